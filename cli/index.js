@@ -4,15 +4,23 @@
  * Project Manager MCP CLI
  * 
  * Command-line interface for interacting with the MCP server
- * and managing tasks across multiple platforms (JIRA, GitLab)
+ * and managing tasks across multiple platforms (JIRA, GitLab, GitHub)
  */
 
 require('dotenv').config();
 const { program } = require('commander');
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
 const { Anthropic } = require('@anthropic-ai/sdk');
+const { createMcpConnection } = require('../lib/mcp-connection');
+const { UpstreamError, ValidationError, getExitCode } = require('../lib/errors');
+const config = require('../lib/config');
+const { readTasks, writeTasks } = require('../lib/local-client');
+const { syncTasks } = require('../lib/sync');
+const { readMapping, writeMapping, migrateIssues } = require('../lib/migrate');
+const { FORMATS, buildGraph, renderGraph } = require('../lib/graph');
 
 // Load package info
 const packageJson = require('../package.json');
@@ -28,76 +36,191 @@ if (process.env.ANTHROPIC_API_KEY) {
 // Configuration
 const MCP_SERVER_PATH = path.join(__dirname, '../mcp-server/index.js');
 
-// Get the default platform from environment or use JIRA
+// Get the profile selected with --profile, if any
+const getSelectedProfile = () => {
+  return program.opts().profile;
+};
+
+// Get the default platform from the profile or environment, or use JIRA
 const getDefaultPlatform = () => {
-  return process.env.DEFAULT_PLATFORM || 'jira';
+  return config.runWithProfile(getSelectedProfile(), () => config.getDefaultPlatform());
+};
+
+// Messages shown when no project is given or configured for a platform;
+// the local task file works without one
+const MISSING_PROJECT_MESSAGES = {
+  jira: 'Project key is required. Use --project option, set JIRA_PROJECT in .env or set project in your profile',
+  gitlab: 'Project ID is required. Use --project option, set GITLAB_PROJECT_ID in .env or set project in your profile',
+  github: 'Repository is required. Use --project option, set GITHUB_OWNER and GITHUB_REPO in .env or set project in your profile',
+  local: null
+};
+
+// Get the JIRA fields, GitLab planning fields and due date given as command options
+const getFieldOptions = (options) => {
+  const fields = {};
+  
+  if (options.priority) {
+    fields.priority = options.priority;
+  }
+  
+  if (options.components) {
+    fields.components = options.components.split(',').map(name => name.trim());
+  }
+  
+  if (options.fixVersions) {
+    fields.fixVersions = options.fixVersions.split(',').map(name => name.trim());
+  }
+  
+  if (options.dueDate) {
+    fields.dueDate = options.dueDate;
+  }
+  
+  if (options.storyPoints) {
+    fields.storyPoints = Number(options.storyPoints);
+  }
+  
+  if (options.environment) {
+    fields.environment = options.environment;
+  }
+  
+  if (options.weight) {
+    fields.weight = Number(options.weight);
+  }
+  
+  // GitHub milestones are numbers; GitLab takes numbers as IDs and anything else as a title
+  ['milestone', 'epic', 'iteration'].forEach(name => {
+    if (options[name]) {
+      fields[name] = /^\d+$/.test(options[name]) ? Number(options[name]) : options[name];
+    }
+  });
+  
+  return fields;
+};
+
+// Open the user's editor on some text and return what they saved
+const editText = (text) => {
+  const file = path.join(os.tmpdir(), `project-manager-${process.pid}.md`);
+  fs.writeFileSync(file, text || '');
+  
+  try {
+    // Editors are often configured with arguments, e.g. "code --wait"
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    const result = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+    
+    if (result.status !== 0) {
+      throw new Error(`Editor exited with status ${result.status}`);
+    }
+    
+    return fs.readFileSync(file, 'utf8');
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+};
+
+// Print the warnings a change came back with, such as a parent link that failed
+const printWarnings = (issue) => {
+  (issue.warnings || []).forEach(warning => console.log(`Warning: ${warning}`));
 };
 
+// Get the project for a platform, from the --project option, environment or profile
+const getProject = (platform, project) => {
+  if (!(platform in MISSING_PROJECT_MESSAGES)) {
+    throw new Error(`Unsupported platform: ${platform}`);
+  }
+  
+  if (project) {
+    return project;
+  }
+  
+  const settings = config.runWithProfile(getSelectedProfile(), () => config.getPlatformConfig(platform));
+  
+  if (platform === 'github') {
+    return settings.owner && settings.repo ? `${settings.owner}/${settings.repo}` : null;
+  }
+  
+  return settings.project;
+};
+
+// One MCP server process is shared by every request a command makes
+let mcpConnection = null;
+
+/**
+ * Get the shared MCP server connection, creating it on first use
+ * 
+ * @returns {Object} - MCP connection
+ */
+function getMcpConnection() {
+  if (!mcpConnection) {
+    mcpConnection = createMcpConnection({
+      serverPath: MCP_SERVER_PATH,
+      timeout: parseInt(process.env.MCP_REQUEST_TIMEOUT) || undefined
+    });
+  }
+  return mcpConnection;
+}
+
 /**
  * Execute an MCP command by sending a request to the MCP server
  * 
  * @param {string} method - MCP method name
  * @param {Object} params - Parameters for the method
+ * @param {Object} [options] - Request options (timeout in milliseconds)
  * @returns {Promise<Object>} - Response from MCP server
  */
-async function executeMcpCommand(method, params) {
-  return new Promise((resolve, reject) => {
-    const mcpServer = spawn('node', [MCP_SERVER_PATH]);
-    let responseData = '';
-    let errorData = '';
-    
-    // Handle MCP server output
-    mcpServer.stdout.on('data', (data) => {
-      responseData += data.toString();
-    });
-    
-    // Handle MCP server errors
-    mcpServer.stderr.on('data', (data) => {
-      errorData += data.toString();
-      // We only log errors in debug mode or if they seem important
-      if (process.env.LOG_LEVEL === 'debug') {
-        console.error(`[DEBUG] MCP Server: ${data.toString()}`);
-      }
-    });
-    
-    // Handle process exit
-    mcpServer.on('close', (code) => {
-      if (code !== 0 && !responseData) {
-        reject(new Error(`MCP server exited with code ${code}: ${errorData}`));
-      } else {
-        try {
-          const response = JSON.parse(responseData);
-          if (response.error) {
-            reject(new Error(response.error.message));
-          } else {
-            resolve(response.result);
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse MCP response: ${error.message}`));
-        }
-      }
-    });
-    
-    // Send request to MCP server
-    const request = {
-      id: Date.now().toString(),
-      method,
-      params
-    };
-    
-    mcpServer.stdin.write(JSON.stringify(request) + '\n');
-    mcpServer.stdin.end();
-  });
+async function executeMcpCommand(method, params, options) {
+  const profile = getSelectedProfile();
+  return getMcpConnection().request(method, profile ? { ...params, profile } : params, options);
+}
+
+/**
+ * Shut down the shared MCP server connection, if one was opened
+ * 
+ * @returns {Promise<void>}
+ */
+async function closeMcpConnection() {
+  if (mcpConnection) {
+    const connection = mcpConnection;
+    mcpConnection = null;
+    await connection.close();
+  }
+}
+
+/**
+ * Get a client for one platform and project that goes through the MCP server,
+ * for commands that work with issues in bulk
+ * 
+ * @param {string} platform - Platform name
+ * @param {string} project - Project key/ID
+ * @returns {Object} - Client with the same functions as the platform clients
+ */
+function createPlatformClient(platform, project) {
+  return {
+    createIssue: (issueData) => executeMcpCommand('create_issue', { project, ...issueData, platform }),
+    getIssue: (key) => executeMcpCommand('get_issue', { key, project, platform }),
+    updateIssue: (key, updateData) => executeMcpCommand('update_issue', {
+      key,
+      updateData: { ...updateData, project },
+      platform
+    }),
+    searchIssues: (query) => executeMcpCommand('search_issues', { project, ...query, platform }),
+    addComment: (key, body) => executeMcpCommand('add_comment', { key, body, project, platform }),
+    listComments: (key) => executeMcpCommand('list_comments', { key, project, platform }),
+    listLinks: (key) => executeMcpCommand('get_issue_links', { key, project, platform })
+  };
 }
 
 // Configure the CLI program
 program
   .name('project-manager')
-  .description('CLI for managing tasks across multiple platforms (JIRA, GitLab)')
+  .description('CLI for managing tasks across multiple platforms (JIRA, GitLab, GitHub)')
   .version(packageJson.version);
 
-// Global platform option
-program.option('-P, --platform <platform>', 'Platform to use (jira, gitlab)', getDefaultPlatform());
+// Global platform and profile options; the platform defaults to the profile's
+program.option('-P, --platform <platform>', 'Platform to use (jira, gitlab, github, local)');
+program.option('--profile <profile>', 'Profile from .project-manager.json to use');
+
+// Stop the MCP server once a command has finished with it
+program.hook('postAction', closeMcpConnection);
 
 // Check platform configuration
 program
@@ -115,7 +238,7 @@ program
       if (result.hasRequiredConfig) {
         console.log(`✅ ${platform.toUpperCase()} is properly configured.`);
       } else {
-        console.log(`❌ ${platform.toUpperCase()} is not properly configured. Please check your .env file.`);
+        console.log(`❌ ${platform.toUpperCase()} is not properly configured. Please check your .env file or profile.`);
         
         if (platform === 'jira') {
           console.log('Required environment variables for JIRA:');
@@ -128,6 +251,11 @@ program
           console.log('- GITLAB_URL: URL of your GitLab instance');
           console.log('- GITLAB_TOKEN: GitLab personal access token');
           console.log('- GITLAB_PROJECT_ID: GitLab project ID');
+        } else if (platform === 'github') {
+          console.log('Required environment variables for GitHub:');
+          console.log('- GITHUB_TOKEN: GitHub personal access token');
+          console.log('- GITHUB_OWNER: Repository owner (user or organization)');
+          console.log('- GITHUB_REPO: Repository name');
         }
       }
     } catch (error) {
@@ -135,7 +263,7 @@ program
       
       // Only exit in non-test environments
       if (process.env.NODE_ENV !== 'test') {
-        process.exit(1);
+        process.exit(getExitCode(error));
       }
       throw error;
     }
@@ -148,88 +276,53 @@ program
   .option('-p, --project <project>', 'Project key/ID (depends on platform)')
   .option('-l, --limit <limit>', 'Maximum number of issues to retrieve', '10')
   .option('-s, --state <state>', 'Issue state (opened, closed, all)', 'opened')
+  .option('-m, --milestone <milestone>', 'Only list issues in this milestone (GitLab)')
+  .option('--epic <epic>', 'Only list issues in this epic, e.g. &5 (GitLab)')
+  .option('--iteration <iteration>', 'Only list issues in this iteration, or "current" (GitLab)')
   .action(async (options, command) => {
     try {
       // Get the global platform option or default
       const platform = command.parent.opts().platform || getDefaultPlatform();
       
-      let projectKey, searchParams;
+      const project = getProject(platform, options.project);
       
-      // Platform-specific handling
-      if (platform === 'jira') {
-        projectKey = options.project || process.env.JIRA_PROJECT;
-        
-        if (!projectKey) {
-          const error = new Error('Project key is required. Use --project option or set JIRA_PROJECT in .env');
-          console.error(`Error: ${error.message}`);
-          
-          // Only exit in non-test environments
-          if (process.env.NODE_ENV !== 'test') {
-            process.exit(1);
-          }
-          throw error;
-        }
+      if (!project && MISSING_PROJECT_MESSAGES[platform]) {
+        const error = new Error(MISSING_PROJECT_MESSAGES[platform]);
+        console.error(`Error: ${error.message}`);
         
-        const jql = `project=${projectKey} ORDER BY created DESC`;
-        searchParams = { 
-          jql, 
-          options: { 
-            maxResults: parseInt(options.limit) 
-          },
-          platform
-        };
-      } else if (platform === 'gitlab') {
-        projectKey = options.project || process.env.GITLAB_PROJECT_ID;
-        
-        if (!projectKey) {
-          const error = new Error('Project ID is required. Use --project option or set GITLAB_PROJECT_ID in .env');
-          console.error(`Error: ${error.message}`);
-          
-          // Only exit in non-test environments
-          if (process.env.NODE_ENV !== 'test') {
-            process.exit(1);
-          }
-          throw error;
+        // Only exit in non-test environments
+        if (process.env.NODE_ENV !== 'test') {
+          process.exit(getExitCode(error));
         }
-        
-        searchParams = {
-          state: options.state,
-          maxResults: parseInt(options.limit),
-          platform
-        };
-      } else {
-        throw new Error(`Unsupported platform: ${platform}`);
+        throw error;
       }
       
-      console.log(`Fetching issues for ${platform} project: ${projectKey}...`);
+      console.log(`Fetching issues for ${platform} project: ${project || 'all'}...`);
       
-      const result = await executeMcpCommand('search_issues', searchParams);
+      const result = await executeMcpCommand('search_issues', {
+        project,
+        status: options.state,
+        maxResults: parseInt(options.limit),
+        milestone: options.milestone,
+        epic: options.epic,
+        iteration: options.iteration,
+        platform
+      });
       
-      if (platform === 'jira') {
-        if (result.issues && result.issues.length > 0) {
-          console.log(`Found ${result.issues.length} issues:`);
-          result.issues.forEach(issue => {
-            console.log(`${issue.key}: ${issue.fields.summary} (${issue.fields.status.name})`);
-          });
-        } else {
-          console.log('No issues found.');
-        }
-      } else if (platform === 'gitlab') {
-        if (result && result.length > 0) {
-          console.log(`Found ${result.length} issues:`);
-          result.forEach(issue => {
-            console.log(`#${issue.iid}: ${issue.title} (${issue.state})`);
-          });
-        } else {
-          console.log('No issues found.');
-        }
+      if (result.issues && result.issues.length > 0) {
+        console.log(`Found ${result.issues.length} issues:`);
+        result.issues.forEach(issue => {
+          console.log(`${issue.key}: ${issue.title} (${issue.status})`);
+        });
+      } else {
+        console.log('No issues found.');
       }
     } catch (error) {
       console.error(`Error: ${error.message}`);
       
       // Only exit in non-test environments
       if (process.env.NODE_ENV !== 'test') {
-        process.exit(1);
+        process.exit(getExitCode(error));
       }
       throw error;
     }
@@ -244,6 +337,16 @@ program
   .option('-d, --description <description>', 'Issue description')
   .option('-a, --assignee <assignee>', 'Assignee username/ID')
   .option('-l, --labels <labels>', 'Comma-separated list of labels')
+  .option('--priority <priority>', 'Priority name (JIRA)')
+  .option('--components <components>', 'Comma-separated list of components (JIRA)')
+  .option('--fix-versions <versions>', 'Comma-separated list of fix versions (JIRA)')
+  .option('--due-date <date>', 'Due date in YYYY-MM-DD format (JIRA, GitLab)')
+  .option('--story-points <points>', 'Story points (JIRA)')
+  .option('--environment <environment>', 'Environment the issue occurs in (JIRA)')
+  .option('--weight <weight>', 'Issue weight (GitLab)')
+  .option('-m, --milestone <milestone>', 'Milestone title or ID (GitLab)')
+  .option('--epic <epic>', 'Epic in the project\'s group, e.g. &5 (GitLab)')
+  .option('--iteration <iteration>', 'Iteration title or ID (GitLab)')
   .action(async (options, command) => {
     try {
       // Get the global platform option or default
@@ -255,75 +358,744 @@ program
         
         // Only exit in non-test environments
         if (process.env.NODE_ENV !== 'test') {
-          process.exit(1);
+          process.exit(getExitCode(error));
         }
         throw error;
       }
       
-      let createParams;
+      const project = getProject(platform, options.project);
       
-      // Platform-specific handling
-      if (platform === 'jira') {
-        const projectKey = options.project || process.env.JIRA_PROJECT;
+      if (!project && MISSING_PROJECT_MESSAGES[platform]) {
+        const error = new Error(MISSING_PROJECT_MESSAGES[platform]);
+        console.error(`Error: ${error.message}`);
         
-        if (!projectKey) {
-          const error = new Error('Project key is required. Use --project option or set JIRA_PROJECT in .env');
-          console.error(`Error: ${error.message}`);
-          
-          // Only exit in non-test environments
-          if (process.env.NODE_ENV !== 'test') {
-            process.exit(1);
-          }
-          throw error;
+        // Only exit in non-test environments
+        if (process.env.NODE_ENV !== 'test') {
+          process.exit(getExitCode(error));
         }
+        throw error;
+      }
+      
+      const createParams = {
+        project,
+        title: options.title,
+        description: options.description,
+        platform
+      };
+      
+      if (options.assignee) {
+        createParams.assignee = options.assignee;
+      }
+      
+      if (options.labels) {
+        createParams.labels = options.labels.split(',');
+      }
+      
+      Object.assign(createParams, getFieldOptions(options));
+      
+      console.log(`Creating ${platform} issue: ${options.title}...`);
+      
+      const result = await executeMcpCommand('create_issue', createParams);
+      
+      console.log(`Created issue: ${result.key}`);
+      printWarnings(result);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Update command - change the fields of an existing issue
+program
+  .command('update')
+  .description('Update an existing issue')
+  .argument('<issueId>', 'Issue identifier (JIRA key, GitLab ID or GitHub number)')
+  .option('-p, --project <project>', 'GitLab project ID or GitHub repository (depends on platform)')
+  .option('-t, --title <title>', 'New title/summary')
+  .option('-d, --description <description>', 'New description')
+  .option('-f, --description-file <file>', 'Read the new description from a file')
+  .option('-e, --edit', 'Edit the description in $VISUAL or $EDITOR')
+  .option('-a, --assignee <assignee>', 'Assignee username/ID')
+  .option('-l, --labels <labels>', 'Comma-separated list of labels, replacing the current ones')
+  .option('--add-labels <labels>', 'Comma-separated list of labels to add')
+  .option('--remove-labels <labels>', 'Comma-separated list of labels to remove')
+  .option('-s, --status <status>', 'New status, e.g. "In Progress" (JIRA), or closed/opened')
+  .option('--state <state>', 'Alias for --status')
+  .option('--resolution <resolution>', 'Resolution to set with --status when the status change asks for one (JIRA)')
+  .option('--priority <priority>', 'Priority name (JIRA)')
+  .option('--components <components>', 'Comma-separated list of components (JIRA)')
+  .option('--fix-versions <versions>', 'Comma-separated list of fix versions (JIRA)')
+  .option('--due-date <date>', 'Due date in YYYY-MM-DD format (JIRA, GitLab)')
+  .option('--story-points <points>', 'Story points (JIRA)')
+  .option('--environment <environment>', 'Environment the issue occurs in (JIRA)')
+  .option('--weight <weight>', 'Issue weight (GitLab)')
+  .option('-m, --milestone <milestone>', 'Milestone title or ID (GitLab) or number (GitHub)')
+  .option('--epic <epic>', 'Epic in the project\'s group, e.g. &5 (GitLab)')
+  .option('--iteration <iteration>', 'Iteration title or ID (GitLab)')
+  .action(async (issueId, options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
+      const updateData = getFieldOptions(options);
+      
+      // The current issue is only needed to edit its description or labels
+      let current = null;
+      const getCurrent = async () => {
+        if (!current) {
+          current = await executeMcpCommand('get_issue', { key: issueId, project: options.project, platform });
+        }
+        return current;
+      };
+      
+      if (options.title) {
+        updateData.title = options.title;
+      }
+      
+      if (options.descriptionFile) {
+        updateData.description = fs.readFileSync(options.descriptionFile, 'utf8');
+      } else if (options.description) {
+        updateData.description = options.description;
+      }
+      
+      if (options.edit) {
+        const original = updateData.description !== undefined
+          ? updateData.description
+          : (await getCurrent()).description;
+        const edited = editText(original);
         
-        createParams = {
-          projectKey,
-          summary: options.title,
-          description: options.description,
+        if (edited !== original) {
+          updateData.description = edited;
+        }
+      }
+      
+      if (options.assignee) {
+        updateData.assignee = options.assignee;
+      }
+      
+      const splitList = (list) => list.split(',').map(label => label.trim()).filter(Boolean);
+      
+      if (options.labels || options.addLabels || options.removeLabels) {
+        const labels = new Set(options.labels ? splitList(options.labels) : (await getCurrent()).labels);
+        
+        if (options.addLabels) {
+          splitList(options.addLabels).forEach(label => labels.add(label));
+        }
+        
+        if (options.removeLabels) {
+          splitList(options.removeLabels).forEach(label => labels.delete(label));
+        }
+        
+        updateData.labels = [...labels];
+      }
+      
+      if (options.status || options.state) {
+        updateData.status = options.status || options.state;
+      }
+      
+      // JIRA only sets a resolution while transitioning the issue
+      if (options.resolution && !updateData.status) {
+        throw new ValidationError('--resolution can only be used with --status', { field: 'resolution' });
+      }
+      
+      if (options.resolution) {
+        updateData.resolution = options.resolution;
+      }
+      
+      if (Object.keys(updateData).length === 0) {
+        throw new ValidationError('Nothing to update. Use --title, --description, --status or another field option');
+      }
+      
+      // GitLab and GitHub take the project with the fields
+      if (options.project) {
+        updateData.project = options.project;
+      }
+      
+      const issue = await executeMcpCommand('update_issue', { key: issueId, updateData, platform });
+      
+      console.log(`Updated ${issue.key}: ${issue.title} (${issue.status})`);
+      printWarnings(issue);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Show command - print the details of a single issue
+program
+  .command('show')
+  .description('Show the details of an issue')
+  .argument('<issueId>', 'Issue identifier (JIRA key, GitLab ID or GitHub number)')
+  .option('-p, --project <project>', 'GitLab project ID or GitHub repository (depends on platform)')
+  .action(async (issueId, options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
+      
+      const issue = await executeMcpCommand('get_issue', {
+        key: issueId,
+        project: options.project,
+        platform
+      });
+      
+      console.log(`${issue.key}: ${issue.title}`);
+      console.log(`Status: ${issue.status || 'Unknown'}`);
+      console.log(`Assignee: ${issue.assignee || 'Unassigned'}`);
+      console.log(`Labels: ${issue.labels.length > 0 ? issue.labels.join(', ') : 'None'}`);
+      
+      if (issue.priority) {
+        console.log(`Priority: ${issue.priority}`);
+      }
+      
+      if (issue.dueDate) {
+        console.log(`Due: ${issue.dueDate}`);
+      }
+      
+      if (issue.parent) {
+        console.log(`Parent: ${issue.parent}`);
+      }
+      
+      console.log(`Comments: ${issue.commentCount !== null ? issue.commentCount : 'Unknown'}`);
+      
+      if (issue.url) {
+        console.log(`URL: ${issue.url}`);
+      }
+      
+      console.log('');
+      console.log(issue.description || 'No description provided.');
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Comment command - add a comment to an issue or list its comments
+program
+  .command('comment')
+  .description('Add a comment to an issue, or list its comments')
+  .argument('<issueId>', 'Issue identifier (JIRA key, GitLab ID or GitHub number)')
+  .option('-m, --message <message>', 'Comment text')
+  .option('-f, --file <file>', 'Read the comment text from a file')
+  .option('-l, --list', 'List the comments on the issue instead of adding one')
+  .option('-p, --project <project>', 'GitLab project ID or GitHub repository (depends on platform)')
+  .action(async (issueId, options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
+      
+      if (options.list) {
+        const comments = await executeMcpCommand('list_comments', {
+          key: issueId,
+          project: options.project,
           platform
-        };
+        });
         
-        if (options.assignee) {
-          createParams.assignee = options.assignee;
+        if (comments.length === 0) {
+          console.log('No comments found.');
         }
         
-        if (options.labels) {
-          createParams.labels = options.labels.split(',');
+        comments.forEach(comment => {
+          console.log(`--- ${comment.author || 'Unknown'} (${comment.createdAt || 'unknown date'})`);
+          console.log(comment.body);
+        });
+        return;
+      }
+      
+      const body = options.file ? fs.readFileSync(options.file, 'utf8') : options.message;
+      
+      if (!body || !body.trim()) {
+        const error = new Error('Comment text is required. Use --message or --file option');
+        console.error(`Error: ${error.message}`);
+        
+        // Only exit in non-test environments
+        if (process.env.NODE_ENV !== 'test') {
+          process.exit(getExitCode(error));
         }
-      } else if (platform === 'gitlab') {
-        createParams = {
-          title: options.title,
-          description: options.description,
+        throw error;
+      }
+      
+      const result = await executeMcpCommand('add_comment', {
+        key: issueId,
+        body,
+        project: options.project,
+        platform
+      });
+      
+      console.log(`Added comment ${result.id} to ${issueId}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Link command - link issues, or list or remove an issue's links
+program
+  .command('link')
+  .description('Link an issue to another issue, or list or remove its links (JIRA and GitLab)')
+  .argument('<issueId>', 'Issue identifier (JIRA key or GitLab ID)')
+  .argument('[targetId]', 'Issue to link to or unlink from')
+  .option('-t, --type <type>', 'Link type, read as "<issueId> blocks <targetId>" (relates, blocks, blocked-by; default: relates)')
+  .option('-l, --list', 'List the issues linked to the issue')
+  .option('-r, --remove', 'Remove the links between the two issues')
+  .option('-p, --project <project>', 'GitLab project ID (depends on platform)')
+  .action(async (issueId, targetId, options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
+      
+      if (options.list) {
+        const links = await executeMcpCommand('get_issue_links', {
+          key: issueId,
+          project: options.project,
           platform
-        };
+        });
         
-        if (options.assignee) {
-          createParams.assigneeId = options.assignee;
+        if (links.length === 0) {
+          console.log('No linked issues found.');
         }
         
-        if (options.labels) {
-          createParams.labels = options.labels.split(',');
+        links.forEach(link => {
+          console.log(`${link.type} ${link.key}: ${link.title} (${link.status})`);
+        });
+        return;
+      }
+      
+      if (!targetId) {
+        const error = new Error('Target issue is required. Use --list to show existing links');
+        console.error(`Error: ${error.message}`);
+        
+        // Only exit in non-test environments
+        if (process.env.NODE_ENV !== 'test') {
+          process.exit(getExitCode(error));
         }
+        throw error;
+      }
+      
+      if (options.remove) {
+        // Without a type, links of every type are removed
+        const removed = await executeMcpCommand('unlink_issues', {
+          key: issueId,
+          targetKey: targetId,
+          type: options.type,
+          project: options.project,
+          platform
+        });
+        
+        console.log(`Removed ${removed.length} link(s) between ${issueId} and ${targetId}`);
+        return;
+      }
+      
+      const link = await executeMcpCommand('link_issues', {
+        key: issueId,
+        targetKey: targetId,
+        type: options.type,
+        project: options.project,
+        platform
+      });
+      
+      console.log(`Linked ${issueId} ${link.type} ${link.key}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Graph command - render the dependency graph of a project or issue
+program
+  .command('graph')
+  .description('Render the dependency graph of a project, or of the issues linked from one issue (JIRA and GitLab)')
+  .argument('[issueId]', 'Issue to start following links from (default: the whole project)')
+  .option('-f, --format <format>', `Output format (${FORMATS.join(', ')})`, 'mermaid')
+  .option('-p, --project <project>', 'Project key/ID (depends on platform)')
+  .option('-m, --max-issues <count>', 'Stop following links from the issue after this many issues', '200')
+  .option('-o, --output <file>', 'Write the graph to a file instead of stdout')
+  .action(async (issueId, options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
+      
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unsupported graph format: ${options.format}. Supported formats: ${FORMATS.join(', ')}`);
+      }
+      
+      const project = getProject(platform, options.project);
+      
+      if (!issueId && !project && MISSING_PROJECT_MESSAGES[platform]) {
+        const error = new Error(MISSING_PROJECT_MESSAGES[platform]);
+        console.error(`Error: ${error.message}`);
+        
+        // Only exit in non-test environments
+        if (process.env.NODE_ENV !== 'test') {
+          process.exit(getExitCode(error));
+        }
+        throw error;
+      }
+      
+      const graph = await buildGraph({
+        client: createPlatformClient(platform, project),
+        project,
+        root: issueId,
+        maxIssues: parseInt(options.maxIssues)
+      });
+      
+      // Warnings go to stderr so the graph itself can be piped
+      graph.cycles.forEach(cycle => {
+        console.error(`Warning: dependency cycle between ${cycle.join(', ')}`);
+      });
+      
+      if (graph.truncated) {
+        console.error(`Warning: stopped following links after ${options.maxIssues} issues`);
+      }
+      
+      const output = renderGraph(graph, options.format);
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.log(`Wrote ${graph.nodes.length} issues and ${graph.edges.length} links to ${options.output}`);
       } else {
-        throw new Error(`Unsupported platform: ${platform}`);
+        process.stdout.write(output);
       }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
       
-      console.log(`Creating ${platform} issue: ${options.title}...`);
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Milestone command - show milestone progress or create a milestone
+program
+  .command('milestone')
+  .description('Show the progress of milestones, or create one (GitLab)')
+  .argument('[title]', 'Milestone to show (default: every milestone in --state)')
+  .option('-p, --project <project>', 'GitLab project ID')
+  .option('-s, --state <state>', 'Milestone state (active, closed, all)', 'active')
+  .option('-c, --create', 'Create the milestone instead')
+  .option('-d, --description <description>', 'Description of the new milestone')
+  .option('--start-date <date>', 'Start date of the new milestone in YYYY-MM-DD format')
+  .option('--due-date <date>', 'Due date of the new milestone in YYYY-MM-DD format')
+  .action(async (title, options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
       
-      const result = await executeMcpCommand('create_issue', createParams);
+      if (options.create) {
+        if (!title) {
+          throw new Error('Milestone title is required to create a milestone');
+        }
+        
+        const milestone = await executeMcpCommand('create_milestone', {
+          project: options.project,
+          title,
+          description: options.description,
+          startDate: options.startDate,
+          dueDate: options.dueDate,
+          platform
+        });
+        
+        console.log(`Created milestone: ${milestone.title}${milestone.url ? ` (${milestone.url})` : ''}`);
+        return;
+      }
       
-      if (platform === 'jira') {
-        console.log(`Created issue: ${result.key}`);
-      } else if (platform === 'gitlab') {
-        console.log(`Created issue: #${result.iid}`);
+      const milestones = await executeMcpCommand('list_milestones', {
+        project: options.project,
+        state: title ? 'all' : options.state,
+        title,
+        progress: true,
+        platform
+      });
+      
+      if (milestones.length === 0) {
+        console.log(title ? `Milestone not found: ${title}` : 'No milestones found.');
+        return;
       }
+      
+      milestones.forEach(milestone => {
+        const { open, closed, openWeight, closedWeight, percent } = milestone.progress;
+        const dates = [
+          milestone.startDate && `from ${milestone.startDate}`,
+          milestone.dueDate && `due ${milestone.dueDate}`
+        ].filter(Boolean).join(' ');
+        
+        console.log(`${milestone.title} (${milestone.state}${dates ? `, ${dates}` : ''})`);
+        console.log(`  Issues: ${closed}/${open + closed} closed, ${open} open`);
+        
+        if (openWeight + closedWeight > 0) {
+          console.log(`  Weight: ${closedWeight}/${openWeight + closedWeight} done, ${openWeight} remaining`);
+        }
+        
+        console.log(`  Progress: ${percent}%`);
+      });
     } catch (error) {
       console.error(`Error: ${error.message}`);
       
       // Only exit in non-test environments
       if (process.env.NODE_ENV !== 'test') {
-        process.exit(1);
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Meta command - show the projects available or what a project contains
+program
+  .command('meta')
+  .description('Show the issue types, statuses, fields and other metadata of a project, or list projects (JIRA and GitLab)')
+  .option('-p, --project <project>', 'Project key/ID (depends on platform)')
+  .option('-l, --list-projects', 'List the projects available instead')
+  .option('--json', 'Print the raw metadata as JSON')
+  .action(async (options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
+      
+      if (options.listProjects) {
+        const projects = await executeMcpCommand('list_projects', { platform });
+        
+        if (options.json) {
+          console.log(JSON.stringify(projects, null, 2));
+        } else {
+          projects.forEach(project => {
+            console.log(`${project.key}: ${project.name}`);
+          });
+        }
+        return;
+      }
+      
+      const meta = await executeMcpCommand('get_project_metadata', {
+        project: getProject(platform, options.project),
+        platform
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify(meta, null, 2));
+        return;
+      }
+      
+      console.log(`${meta.project.key}: ${meta.project.name}`);
+      console.log(`URL: ${meta.project.url}`);
+      
+      const sections = [
+        ['Issue types', meta.issueTypes, type => `${type.name}${type.subtask ? ' (sub-task)' : ''}`],
+        ['Statuses', meta.statuses, status => `${status.name}${status.category ? ` (${status.category})` : ''}`],
+        ['Priorities', meta.priorities, priority => priority],
+        ['Components', meta.components, component => component.name],
+        ['Custom fields', meta.customFields, field =>
+          `${field.name} [${field.id}]${field.requiredFor.length > 0 ? ` (required for ${field.requiredFor.join(', ')})` : ''}`],
+        ['Labels', meta.labels, label => label.name],
+        ['Milestones', meta.milestones, milestone => `${milestone.title}${milestone.dueDate ? ` (due ${milestone.dueDate})` : ''}`],
+        ['Members', meta.members, member => `${member.username} (${member.name})`]
+      ];
+      
+      // Each platform fills in only the sections it has
+      sections.filter(([, items]) => items).forEach(([title, items, format]) => {
+        console.log(`\n${title}:`);
+        
+        if (items.length === 0) {
+          console.log('  (none)');
+        }
+        items.forEach(item => {
+          console.log(`  ${format(item)}`);
+        });
+      });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Sync command - reconcile a local task file with the remote platform
+program
+  .command('sync')
+  .description('Sync a local tasks.json file with the remote platform')
+  .option('-f, --file <file>', 'Task file to sync', process.env.LOCAL_TASKS_FILE || 'tasks.json')
+  .option('-p, --project <project>', 'Project key/ID new issues are created in (depends on platform)')
+  .option('--dry-run', 'Show what would change without changing anything')
+  .action(async (options, command) => {
+    try {
+      // Get the global platform option or default
+      const platform = command.parent.opts().platform || getDefaultPlatform();
+      
+      if (platform === 'local') {
+        throw new Error('Choose a remote platform to sync with using --platform or --profile');
+      }
+      
+      const project = getProject(platform, options.project);
+      
+      if (!project && MISSING_PROJECT_MESSAGES[platform]) {
+        const error = new Error(MISSING_PROJECT_MESSAGES[platform]);
+        console.error(`Error: ${error.message}`);
+        
+        // Only exit in non-test environments
+        if (process.env.NODE_ENV !== 'test') {
+          process.exit(getExitCode(error));
+        }
+        throw error;
+      }
+      
+      const file = path.resolve(options.file);
+      const data = await readTasks(file);
+      
+      const remote = createPlatformClient(platform, project);
+      
+      console.log(`Syncing ${file} with ${platform} project: ${project}${options.dryRun ? ' (dry run)' : ''}...`);
+      
+      // Progress is saved as it goes, so an interrupted sync can be resumed
+      const report = await syncTasks({
+        data,
+        remote,
+        platform,
+        project,
+        dryRun: options.dryRun,
+        saveTasks: tasks => writeTasks(tasks, file)
+      });
+      
+      report.created.forEach(({ task, key, title }) => {
+        console.log(`Create ${task}: ${title}${key ? ` -> ${key}` : ''}`);
+      });
+      report.pulled.forEach(({ task, key, field, local, remote: value }) => {
+        console.log(`Pull ${task} ${field} from ${key}: ${local} -> ${value}`);
+      });
+      report.pushed.forEach(({ task, key, field, local, remote: value }) => {
+        console.log(`Push ${task} ${field} to ${key}: ${value} -> ${local}`);
+      });
+      report.conflicts.forEach(({ task, key, field, local, remote: value }) => {
+        console.log(`Conflict ${task} ${field}: local "${local}", ${key} "${value}" (left unchanged)`);
+      });
+      report.errors.forEach(({ task, key, message }) => {
+        console.log(`Failed ${task}${key ? ` (${key})` : ''}: ${message}`);
+      });
+      
+      console.log(
+        `${report.created.length} created, ${report.pulled.length} pulled, ${report.pushed.length} pushed, ` +
+        `${report.conflicts.length} conflicts, ${report.errors.length} failed, ${report.unchanged.length} unchanged`
+      );
+      
+      if (options.dryRun) {
+        console.log('Dry run: nothing was changed.');
+      }
+      
+      if (report.errors.length > 0) {
+        throw new Error(`${report.errors.length} task(s) failed to sync`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
+      }
+      throw error;
+    }
+  });
+
+// Migrate command - copy a project's issues to another platform
+program
+  .command('migrate')
+  .description('Migrate issues, with their comments, from one platform to another')
+  .option('--from <platform>', 'Platform to migrate from (jira, gitlab, github, local)')
+  .option('--to <platform>', 'Platform to migrate to (jira, gitlab, github, local)')
+  .option('--from-project <project>', 'Project key/ID to migrate from (depends on platform)')
+  .option('--to-project <project>', 'Project key/ID to migrate to (depends on platform)')
+  .option('-u, --user-map <file>', 'JSON file mapping source usernames to target usernames')
+  .option('-m, --mapping <file>', 'File recording migrated issues, used to resume', 'migration-map.json')
+  .action(async (options) => {
+    try {
+      if (!options.from || !options.to) {
+        throw new Error('Both --from and --to platforms are required');
+      }
+      
+      if (options.from === options.to) {
+        throw new Error('--from and --to must be different platforms');
+      }
+      
+      const fromProject = getProject(options.from, options.fromProject);
+      const toProject = getProject(options.to, options.toProject);
+      
+      [[options.from, fromProject], [options.to, toProject]].forEach(([platform, project]) => {
+        if (!project && MISSING_PROJECT_MESSAGES[platform]) {
+          throw new Error(MISSING_PROJECT_MESSAGES[platform]);
+        }
+      });
+      
+      const userMap = options.userMap ? JSON.parse(fs.readFileSync(options.userMap, 'utf8')) : {};
+      const mappingFile = path.resolve(options.mapping);
+      const mapping = await readMapping(mappingFile, options.from, options.to);
+      const resumed = Object.keys(mapping.issues).length;
+      
+      console.log(`Migrating ${options.from} project ${fromProject || 'all'} to ${options.to} project ${toProject || 'default'}...`);
+      if (resumed > 0) {
+        console.log(`Resuming from ${mappingFile} (${resumed} issues already started)`);
+      }
+      
+      const report = await migrateIssues({
+        source: createPlatformClient(options.from, fromProject),
+        target: createPlatformClient(options.to, toProject),
+        from: options.from,
+        to: options.to,
+        project: fromProject,
+        targetProject: toProject,
+        userMap,
+        mapping,
+        saveMapping: (data) => writeMapping(mappingFile, data)
+      });
+      
+      report.migrated.forEach(({ from, to, url }) => {
+        console.log(`${from} -> ${to}${url ? ` (${url})` : ''}`);
+      });
+      report.warnings.forEach(({ from, message }) => {
+        console.log(`Warning ${from}: ${message}`);
+      });
+      report.errors.forEach(({ from, message }) => {
+        console.log(`Failed ${from}: ${message}`);
+      });
+      
+      console.log(
+        `${report.migrated.length} migrated, ${report.skipped.length} already migrated, ` +
+        `${report.errors.length} failed. Mapping written to ${mappingFile}`
+      );
+      
+      if (report.errors.length > 0) {
+        throw new Error(`${report.errors.length} issue(s) failed to migrate; run the command again to retry them`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      
+      // Only exit in non-test environments
+      if (process.env.NODE_ENV !== 'test') {
+        process.exit(getExitCode(error));
       }
       throw error;
     }
@@ -346,7 +1118,7 @@ program
         
         // Only exit in non-test environments
         if (process.env.NODE_ENV !== 'test') {
-          process.exit(1);
+          process.exit(getExitCode(error));
         }
         throw error;
       }
@@ -390,43 +1162,24 @@ program
         
         // Only exit in non-test environments
         if (process.env.NODE_ENV !== 'test') {
-          process.exit(1);
+          process.exit(getExitCode(error));
         }
         throw error;
       }
       
       const tasksData = JSON.parse(jsonMatch[1]);
       
-      let projectIdentifier;
+      const project = getProject(platform, options.project);
       
-      // Platform-specific handling
-      if (platform === 'jira') {
-        projectIdentifier = options.project || process.env.JIRA_PROJECT;
+      if (!project && MISSING_PROJECT_MESSAGES[platform]) {
+        const error = new Error(MISSING_PROJECT_MESSAGES[platform]);
+        console.error(`Error: ${error.message}`);
         
-        if (!projectIdentifier) {
-          const error = new Error('Project key is required. Use --project option or set JIRA_PROJECT in .env');
-          console.error(`Error: ${error.message}`);
-          
-          // Only exit in non-test environments
-          if (process.env.NODE_ENV !== 'test') {
-            process.exit(1);
-          }
-          throw error;
-        }
-      } else if (platform === 'gitlab') {
-        // For GitLab, the project ID is automatically used from env
-        projectIdentifier = options.project || process.env.GITLAB_PROJECT_ID;
-        
-        if (!projectIdentifier) {
-          const error = new Error('Project ID is required. Use --project option or set GITLAB_PROJECT_ID in .env');
-          console.error(`Error: ${error.message}`);
-          
-          // Only exit in non-test environments
-          if (process.env.NODE_ENV !== 'test') {
-            process.exit(1);
-          }
-          throw error;
+        // Only exit in non-test environments
+        if (process.env.NODE_ENV !== 'test') {
+          process.exit(getExitCode(error));
         }
+        throw error;
       }
       
       // Create issues for each task
@@ -435,31 +1188,16 @@ program
       for (const task of tasksData.tasks) {
         console.log(`Creating issue: ${task.summary}`);
         
-        let issueData;
-        
-        if (platform === 'jira') {
-          issueData = {
-            projectKey: projectIdentifier,
-            summary: task.summary,
-            description: task.description,
-            issueType: task.issueType || 'Task',
-            platform
-          };
-        } else if (platform === 'gitlab') {
-          issueData = {
-            title: task.summary,
-            description: task.description,
-            platform
-          };
-        }
-        
-        const result = await executeMcpCommand('create_issue', issueData);
+        const result = await executeMcpCommand('create_issue', {
+          project,
+          title: task.summary,
+          description: task.description,
+          issueType: task.issueType,
+          platform
+        });
         
-        if (platform === 'jira') {
-          console.log(`Created issue: ${result.key}`);
-        } else if (platform === 'gitlab') {
-          console.log(`Created issue: #${result.iid}`);
-        }
+        console.log(`Created issue: ${result.key}`);
+        printWarnings(result);
       }
       
       console.log('Done!');
@@ -468,7 +1206,7 @@ program
       
       // Only exit in non-test environments
       if (process.env.NODE_ENV !== 'test') {
-        process.exit(1);
+        process.exit(getExitCode(error));
       }
       throw error;
     }
@@ -478,7 +1216,7 @@ program
 program
   .command('expand')
   .description('Generate subtasks for an issue')
-  .argument('<issueId>', 'Issue identifier (JIRA key or GitLab ID)')
+  .argument('<issueId>', 'Issue identifier (JIRA key, GitLab ID or GitHub number)')
   .option('-n, --number <number>', 'Number of subtasks to generate', '5')
   .action(async (issueId, options, command) => {
     try {
@@ -491,7 +1229,7 @@ program
         
         // Only exit in non-test environments
         if (process.env.NODE_ENV !== 'test') {
-          process.exit(1);
+          process.exit(getExitCode(error));
         }
         throw error;
       }
@@ -499,55 +1237,14 @@ program
       // Fetch the parent issue
       console.log(`Fetching ${platform} issue: ${issueId}...`);
       
-      let parentResult, parentIssue;
-      
-      // Platform-specific handling
-      if (platform === 'jira') {
-        const jql = `key=${issueId}`;
-        parentResult = await executeMcpCommand('search_issues', { 
-          jql, 
-          options: { fields: ['summary', 'description'] },
-          platform
-        });
-        
-        if (!parentResult.issues || parentResult.issues.length === 0) {
-          const error = new Error(`Issue ${issueId} not found`);
-          console.error(`Error: ${error.message}`);
-          
-          // Only exit in non-test environments
-          if (process.env.NODE_ENV !== 'test') {
-            process.exit(1);
-          }
-          throw error;
-        }
-        
-        parentIssue = {
-          summary: parentResult.issues[0].fields.summary,
-          description: parentResult.issues[0].fields.description || 'No description provided.'
-        };
-      } else if (platform === 'gitlab') {
-        // For GitLab, the search by issue ID
-        parentResult = await executeMcpCommand('search_issues', { 
-          issueId,
-          platform
-        });
-        
-        if (!parentResult || parentResult.length === 0) {
-          const error = new Error(`Issue #${issueId} not found`);
-          console.error(`Error: ${error.message}`);
-          
-          // Only exit in non-test environments
-          if (process.env.NODE_ENV !== 'test') {
-            process.exit(1);
-          }
-          throw error;
-        }
-        
-        parentIssue = {
-          summary: parentResult[0].title,
-          description: parentResult[0].description || 'No description provided.'
-        };
-      }
+      const parent = await executeMcpCommand('get_issue', {
+        key: issueId,
+        platform
+      });
+      const parentIssue = {
+        summary: parent.title,
+        description: parent.description || 'No description provided.'
+      };
       
       // Use Claude to generate subtasks
       console.log('Generating subtasks with Claude...');
@@ -579,19 +1276,13 @@ program
                         message.content[0].text.match(/({[\s\S]*})/);
       
       if (!jsonMatch) {
-        console.error('Error: Could not extract subtask list from Claude\'s response');
-        
-        // Only exit in non-test environments
-        if (process.env.NODE_ENV !== 'test') {
-          process.exit(1);
-        }
-        throw new Error('Could not extract subtask list from Claude\'s response');
+        throw new UpstreamError('Could not extract subtask list from Claude\'s response');
       }
       
       const subtasksData = JSON.parse(jsonMatch[1]);
       
       // Create subtasks
-      console.log(`Creating ${subtasksData.subtasks.length} subtasks for ${issueId}...`);
+      console.log(`Creating ${subtasksData.subtasks.length} subtasks for ${parent.key}...`);
       
       for (const subtask of subtasksData.subtasks) {
         console.log(`Creating subtask: ${subtask.summary}`);
@@ -600,30 +1291,42 @@ program
         
         if (platform === 'jira') {
           issueData = {
-            projectKey: issueId.split('-')[0],
-            summary: subtask.summary,
+            project: parent.key.split('-')[0],
+            title: subtask.summary,
             description: subtask.description,
             issueType: 'Sub-task',
-            parent: { key: issueId },
+            parent: parent.key,
+            platform
+          };
+        } else if (platform === 'local') {
+          issueData = {
+            title: subtask.summary,
+            description: subtask.description,
+            parent: parent.key,
             platform
           };
         } else if (platform === 'gitlab') {
-          // GitLab doesn't have a direct "subtask" concept like JIRA,
-          // but we can create related issues with appropriate titles
+          // GitLab has no subtasks, so the new issue is linked to its parent
+          issueData = {
+            title: `[Subtask] ${subtask.summary}`,
+            description: subtask.description,
+            parent: parent.key,
+            platform
+          };
+        } else {
+          // GitHub has neither subtasks nor issue links, but auto-links
+          // "#123" references back to the parent issue
           issueData = {
             title: `[Subtask] ${subtask.summary}`,
-            description: `${subtask.description}\n\nParent Issue: #${issueId}`,
+            description: `${subtask.description}\n\nParent Issue: ${parent.key}`,
             platform
           };
         }
         
         const result = await executeMcpCommand('create_issue', issueData);
         
-        if (platform === 'jira') {
-          console.log(`Created subtask: ${result.key}`);
-        } else if (platform === 'gitlab') {
-          console.log(`Created subtask: #${result.iid}`);
-        }
+        console.log(`Created subtask: ${result.key}`);
+        printWarnings(result);
       }
       
       console.log('Done!');
@@ -632,7 +1335,7 @@ program
       
       // Only exit in non-test environments
       if (process.env.NODE_ENV !== 'test') {
-        process.exit(1);
+        process.exit(getExitCode(error));
       }
       throw error;
     }
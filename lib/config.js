@@ -0,0 +1,437 @@
+/**
+ * Config Module
+ *
+ * Resolves platform settings from named profiles in `.project-manager.json`
+ * and from environment variables, which take precedence over profiles
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { ConfigError, AuthError } = require('./errors');
+
+const CONFIG_FILE_NAME = '.project-manager.json';
+
+const PLATFORMS = ['jira', 'gitlab', 'github', 'local'];
+
+// Environment variable behind each platform setting
+const ENV_VARS = {
+  jira: {
+    url: 'JIRA_URL',
+    email: 'JIRA_EMAIL',
+    token: 'JIRA_TOKEN',
+    project: 'JIRA_PROJECT',
+    storyPointsField: 'JIRA_STORY_POINTS_FIELD'
+  },
+  gitlab: {
+    url: 'GITLAB_URL',
+    token: 'GITLAB_TOKEN',
+    project: 'GITLAB_PROJECT_ID'
+  },
+  github: {
+    url: 'GITHUB_API_URL',
+    token: 'GITHUB_TOKEN',
+    owner: 'GITHUB_OWNER',
+    repo: 'GITHUB_REPO'
+  },
+  local: {
+    file: 'LOCAL_TASKS_FILE',
+    project: 'LOCAL_PROJECT'
+  }
+};
+
+// Profile selected for the request currently being handled
+const profileStorage = new AsyncLocalStorage();
+
+// Authenticated user the request currently being handled is made for
+const userStorage = new AsyncLocalStorage();
+
+let cachedConfig = null;
+
+/**
+ * Read a config file, if it exists
+ *
+ * @param {string} filePath - Path to the config file
+ * @returns {Object|null} - Parsed config or null if the file does not exist
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the config files to load, lowest precedence first
+ *
+ * PROJECT_MANAGER_CONFIG replaces the project-local file.
+ *
+ * @returns {string[]} - Config file paths
+ */
+function getConfigPaths() {
+  return [
+    path.join(os.homedir(), CONFIG_FILE_NAME),
+    process.env.PROJECT_MANAGER_CONFIG || path.join(process.cwd(), CONFIG_FILE_NAME)
+  ];
+}
+
+/**
+ * Load the user-level and project-local config files and merge them
+ *
+ * Profiles with the same name are merged field by field, with the
+ * project-local file winning.
+ *
+ * @returns {Object} - Merged config with defaultProfile, profiles, users
+ *   and policy
+ */
+function loadConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const config = { defaultProfile: null, profiles: {}, users: {}, policy: {} };
+
+  for (const filePath of [...new Set(getConfigPaths())]) {
+    const file = readConfigFile(filePath);
+    if (!file) {
+      continue;
+    }
+
+    if (file.defaultProfile) {
+      config.defaultProfile = file.defaultProfile;
+    }
+
+    Object.entries(file.profiles || {}).forEach(([name, profile]) => {
+      config.profiles[name] = { ...config.profiles[name], ...profile };
+    });
+
+    Object.entries(file.users || {}).forEach(([name, user]) => {
+      config.users[name] = { ...config.users[name], ...user };
+    });
+
+    config.policy = { ...config.policy, ...file.policy };
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * Forget the loaded config so the files are read again on next use
+ */
+function resetConfig() {
+  cachedConfig = null;
+}
+
+/**
+ * Get a profile by name
+ *
+ * @param {string} name - Profile name
+ * @returns {Object} - Profile
+ */
+function getProfile(name) {
+  const { profiles } = loadConfig();
+  const profile = profiles[name];
+
+  if (!profile) {
+    const available = Object.keys(profiles);
+    throw new ConfigError(
+      `Unknown profile: ${name}. ` +
+      `Available profiles: ${available.length > 0 ? available.join(', ') : 'none'}`
+    );
+  }
+
+  if (!PLATFORMS.includes(profile.platform)) {
+    throw new ConfigError(`Profile ${name} must set platform to one of: ${PLATFORMS.join(', ')}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Check whether the config defines any users
+ *
+ * @returns {boolean} - True if callers must authenticate
+ */
+function hasUsers() {
+  return Object.keys(loadConfig().users).length > 0;
+}
+
+/**
+ * Find the user a bearer token belongs to
+ *
+ * Like profile tokens, user tokens may be given by environment variable
+ * name (tokenEnv) or literally. Hashing both sides keeps the comparison
+ * constant-time whatever the token lengths.
+ *
+ * @param {string} [token] - Bearer token presented by the caller
+ * @returns {Object|null} - User with name, profiles and defaultProfile, or
+ *   null if the token matches no user
+ */
+function authenticate(token) {
+  if (!token) {
+    return null;
+  }
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  const presented = digest(token);
+
+  for (const [name, user] of Object.entries(loadConfig().users)) {
+    const expected = user.tokenEnv ? process.env[user.tokenEnv] : user.token;
+
+    if (expected && crypto.timingSafeEqual(presented, digest(expected))) {
+      const profiles = user.profiles || [];
+      return { name, profiles, defaultProfile: user.defaultProfile || profiles[0] || null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a function on behalf of an authenticated user
+ *
+ * Everything it calls uses that user's profiles and nothing else, so work
+ * is done with their own credentials.
+ *
+ * @param {Object} user - User returned by authenticate
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function runAsUser(user, fn) {
+  return userStorage.run(user, fn);
+}
+
+/**
+ * Get the user the current request is made for
+ *
+ * @returns {Object|null} - User, or null if the caller isn't authenticated
+ */
+function getActiveUser() {
+  return userStorage.getStore() || null;
+}
+
+/**
+ * Get the name of the active profile
+ *
+ * A profile selected for the current request wins over PROJECT_MANAGER_PROFILE,
+ * which wins over the config's defaultProfile. Authenticated users get
+ * their own default profile instead.
+ *
+ * @returns {string|null} - Profile name, or null if none is configured
+ */
+function getActiveProfileName() {
+  const user = getActiveUser();
+
+  if (user) {
+    return profileStorage.getStore() || user.defaultProfile;
+  }
+
+  return profileStorage.getStore() || process.env.PROJECT_MANAGER_PROFILE || loadConfig().defaultProfile || null;
+}
+
+/**
+ * Get the active profile
+ *
+ * @returns {Object|null} - Profile, or null if none is configured
+ */
+function getActiveProfile() {
+  const name = getActiveProfileName();
+  return name ? getProfile(name) : null;
+}
+
+/**
+ * Run a function with a profile selected for everything it calls
+ *
+ * @param {string} [name] - Profile name; without one the usual defaults apply
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function runWithProfile(name, fn) {
+  if (!name) {
+    return fn();
+  }
+
+  // Fail fast on unknown profiles
+  getProfile(name);
+
+  const user = getActiveUser();
+  if (user && !user.profiles.includes(name)) {
+    throw new AuthError(`Profile ${name} is not available to user ${user.name}`);
+  }
+
+  return profileStorage.run(name, fn);
+}
+
+/**
+ * Get the platform to use when a request doesn't name one
+ *
+ * An explicitly selected profile decides, then DEFAULT_PLATFORM, then
+ * the default profile, then JIRA. For an authenticated user, their
+ * default profile decides.
+ *
+ * @returns {string} - Platform name
+ */
+function getDefaultPlatform() {
+  const user = getActiveUser();
+  const selected = profileStorage.getStore() || (user ? user.defaultProfile : process.env.PROJECT_MANAGER_PROFILE);
+
+  if (selected) {
+    return getProfile(selected).platform;
+  }
+
+  if (process.env.DEFAULT_PLATFORM) {
+    return process.env.DEFAULT_PLATFORM;
+  }
+
+  const { defaultProfile } = loadConfig();
+  return defaultProfile ? getProfile(defaultProfile).platform : 'jira';
+}
+
+/**
+ * Get the settings a profile defines for its platform
+ *
+ * Tokens are referenced by environment variable name (tokenEnv) so
+ * config files can be committed; a literal token is also accepted.
+ *
+ * @param {Object} profile - Profile
+ * @returns {Object} - Settings (url, email, token, project, owner, repo,
+ *   file, storyPointsField)
+ */
+function getProfileSettings(profile) {
+  const settings = {
+    file: profile.file,
+    url: profile.url,
+    email: profile.email,
+    token: profile.tokenEnv ? process.env[profile.tokenEnv] : profile.token,
+    project: profile.project,
+    owner: profile.owner,
+    repo: profile.repo,
+    storyPointsField: profile.storyPointsField
+  };
+
+  // GitHub profiles may name the repository as "owner/repo"
+  if (profile.platform === 'github' && profile.project && profile.project.includes('/')) {
+    const [owner, repo] = profile.project.split('/');
+    settings.owner = settings.owner || owner;
+    settings.repo = settings.repo || repo;
+  }
+
+  return settings;
+}
+
+/**
+ * Get the settings an authenticated user has for a platform
+ *
+ * The active profile applies if it is for the platform, otherwise the
+ * user's first profile that is. Environment variables are ignored, since
+ * they hold the server's own credentials rather than the user's.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} platform - Platform name
+ * @returns {Object} - Settings keyed by name
+ */
+function getUserPlatformConfig(user, platform) {
+  const active = getActiveProfile();
+  const profile = active && active.platform === platform
+    ? active
+    : user.profiles.map(getProfile).find(candidate => candidate.platform === platform);
+  const fromProfile = profile ? getProfileSettings(profile) : {};
+
+  const settings = {};
+  Object.keys(ENV_VARS[platform]).forEach((key) => {
+    settings[key] = fromProfile[key];
+  });
+
+  return settings;
+}
+
+/**
+ * Get the settings for a platform
+ *
+ * Environment variables override the active profile, which only applies
+ * if it is a profile for the same platform. Authenticated users only get
+ * the settings from their own profiles.
+ *
+ * @param {string} platform - Platform name (jira, gitlab, github, local)
+ * @returns {Object} - Settings keyed by name (e.g. url, token, project)
+ */
+function getPlatformConfig(platform) {
+  const envVars = ENV_VARS[platform];
+  if (!envVars) {
+    throw new ConfigError(`Unsupported platform: ${platform}`);
+  }
+
+  const user = getActiveUser();
+  if (user) {
+    return getUserPlatformConfig(user, platform);
+  }
+
+  const profile = getActiveProfile();
+  const fromProfile = profile && profile.platform === platform ? getProfileSettings(profile) : {};
+
+  const settings = {};
+  Object.entries(envVars).forEach(([key, envVar]) => {
+    settings[key] = process.env[envVar] || fromProfile[key];
+  });
+
+  return settings;
+}
+
+/**
+ * Get the policy limiting what MCP clients may do
+ *
+ * Each setting comes from its environment variable if set, otherwise from
+ * the config file's policy section.
+ *
+ * @returns {Object} - Policy with readOnly, writableProjects (null for
+ *   any), maxIssuesPerSession (null for no limit) and deniedMethods
+ */
+function getPolicy() {
+  const { policy } = loadConfig();
+  const env = process.env;
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  const readOnly = env.MCP_READ_ONLY !== undefined
+    ? ['1', 'true', 'yes'].includes(env.MCP_READ_ONLY.toLowerCase())
+    : !!policy.readOnly;
+  const writableProjects = env.MCP_WRITABLE_PROJECTS !== undefined
+    ? list(env.MCP_WRITABLE_PROJECTS)
+    : policy.writableProjects;
+  const maxIssuesPerSession = env.MCP_MAX_ISSUES_PER_SESSION !== undefined
+    ? parseInt(env.MCP_MAX_ISSUES_PER_SESSION, 10)
+    : policy.maxIssuesPerSession;
+  const deniedMethods = env.MCP_DENIED_METHODS !== undefined
+    ? list(env.MCP_DENIED_METHODS)
+    : policy.deniedMethods;
+
+  return {
+    readOnly,
+    writableProjects: writableProjects ? writableProjects.map(String) : null,
+    maxIssuesPerSession: Number.isInteger(maxIssuesPerSession) ? maxIssuesPerSession : null,
+    deniedMethods: deniedMethods || []
+  };
+}
+
+module.exports = {
+  loadConfig,
+  resetConfig,
+  getProfile,
+  getActiveProfileName,
+  runWithProfile,
+  hasUsers,
+  authenticate,
+  runAsUser,
+  getActiveUser,
+  getDefaultPlatform,
+  getPlatformConfig,
+  getPolicy
+};
@@ -0,0 +1,245 @@
+/**
+ * Errors Module
+ *
+ * Error types raised by the platform clients and the MCP server, and how
+ * each is reported: as a JSON-RPC error code with a `data` object over MCP,
+ * and as an exit code from the CLI
+ */
+
+/**
+ * Base class for errors callers can tell apart by type
+ */
+class ProjectManagerError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details
+   * @param {string} [options.platform] - Platform the error came from
+   * @param {number} [options.status] - HTTP status the platform answered with
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ProjectManagerError';
+    this.platform = options.platform || null;
+    this.status = options.status || null;
+    this.cause = options.cause;
+  }
+
+  /**
+   * Get the details reported alongside the message
+   *
+   * @returns {Object} - Error type plus whichever of platform, status and
+   *   type-specific details are known
+   */
+  toData() {
+    const data = { type: this.name, platform: this.platform, status: this.status };
+    Object.keys(data).forEach((key) => {
+      if (data[key] === null) {
+        delete data[key];
+      }
+    });
+    return data;
+  }
+}
+
+/**
+ * Raised when a platform or profile isn't configured well enough to use
+ */
+class ConfigError extends ProjectManagerError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Raised when a platform rejects the configured credentials, or the
+ * caller's credentials don't cover what they asked for
+ */
+class AuthError extends ProjectManagerError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Raised when an issue, project or other item doesn't exist
+ */
+class NotFoundError extends ProjectManagerError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Raised when a request is invalid, whether caught before sending it or
+ * rejected by the platform
+ */
+class ValidationError extends ProjectManagerError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details, as for ProjectManagerError
+   * @param {Object[]} [options.errors] - Problems found, each with the field
+   *   name (null if not about one field) and a message
+   * @param {string} [options.field] - Field the message is about, when it is
+   *   the only problem
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.errors = options.errors || (options.field ? [{ field: options.field, message }] : []);
+  }
+
+  toData() {
+    return { ...super.toData(), errors: this.errors };
+  }
+}
+
+/**
+ * Raised when a platform keeps rate limiting requests after every retry
+ */
+class RateLimitError extends ProjectManagerError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details, as for ProjectManagerError
+   * @param {number} [options.retryAfter] - Milliseconds the platform asked us to wait, if known
+   * @param {number} [options.attempts] - Number of attempts made
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, status: options.status || 429 });
+    this.name = 'RateLimitError';
+    this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : null;
+    this.attempts = options.attempts || 0;
+  }
+
+  toData() {
+    return { ...super.toData(), retryAfter: this.retryAfter };
+  }
+}
+
+/**
+ * Raised when a platform fails in a way that isn't the caller's fault:
+ * server errors, dropped connections and unexpected responses
+ */
+class UpstreamError extends ProjectManagerError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * Raised when the server policy forbids a request
+ */
+class PolicyError extends ProjectManagerError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details
+   * @param {string} [options.rule] - Policy setting that was violated
+   * @param {string} [options.method] - Tool that was called
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PolicyError';
+    this.rule = options.rule || null;
+    this.method = options.method || null;
+  }
+
+  toData() {
+    return { ...super.toData(), rule: this.rule, method: this.method };
+  }
+}
+
+const ERROR_TYPES = {
+  ConfigError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  UpstreamError,
+  PolicyError
+};
+
+// JSON-RPC error code for each type; invalid requests use the standard
+// invalid params code, the rest codes from the range left to servers
+const RPC_CODES = {
+  ConfigError: -32010,
+  AuthError: -32011,
+  NotFoundError: -32012,
+  ValidationError: -32602,
+  RateLimitError: -32013,
+  UpstreamError: -32014,
+  PolicyError: -32002
+};
+
+// CLI exit code for each type; anything else exits with 1
+const EXIT_CODES = {
+  ConfigError: 3,
+  AuthError: 4,
+  NotFoundError: 5,
+  ValidationError: 6,
+  RateLimitError: 7,
+  UpstreamError: 8,
+  PolicyError: 9
+};
+
+/**
+ * Describe an error as a JSON-RPC error object
+ *
+ * Errors of the types above get their code and data; others only carry
+ * their message.
+ *
+ * @param {Error} error - Error to describe
+ * @returns {Object} - Error object with message, and code and data when typed
+ */
+function toRpcError(error) {
+  if (!RPC_CODES[error.name] || typeof error.toData !== 'function') {
+    return { message: error.message };
+  }
+
+  return { code: RPC_CODES[error.name], message: error.message, data: error.toData() };
+}
+
+/**
+ * Turn a JSON-RPC error object back into the error it describes
+ *
+ * @param {Object} rpcError - Error object from a response
+ * @returns {Error} - Typed error if the data names a known type, otherwise
+ *   a plain Error
+ */
+function fromRpcError(rpcError) {
+  const data = rpcError.data || {};
+  const ErrorType = ERROR_TYPES[data.type];
+
+  if (!ErrorType) {
+    return new Error(rpcError.message);
+  }
+
+  return new ErrorType(rpcError.message, data);
+}
+
+/**
+ * Get the exit code the CLI uses for an error
+ *
+ * @param {Error} error - Error the command failed with
+ * @returns {number} - Exit code
+ */
+function getExitCode(error) {
+  return EXIT_CODES[error && error.name] || 1;
+}
+
+module.exports = {
+  ProjectManagerError,
+  ConfigError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  UpstreamError,
+  PolicyError,
+  toRpcError,
+  fromRpcError,
+  getExitCode
+};
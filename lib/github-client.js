@@ -0,0 +1,410 @@
+/**
+ * GitHub Client Module
+ *
+ * Handles GitHub API interactions for issue management
+ */
+
+require('dotenv').config();
+const { Octokit } = require('@octokit/rest');
+const {
+  createIssue: createIssueModel,
+  createComment,
+  normalizeIssueInput,
+  normalizeSearchQuery,
+  parseIssueNumber,
+  toOpenState,
+  toIssueState
+} = require('./issue-model');
+const { withRetry } = require('./retry');
+const { ConfigError, ValidationError } = require('./errors');
+const { getPlatformConfig } = require('./config');
+
+/**
+ * Check if environment or active profile has all required GitHub configuration
+ * @returns {boolean} True if all required settings are present
+ */
+function hasRequiredEnv() {
+  const config = getPlatformConfig('github');
+  return !!(config.token && config.owner && config.repo);
+}
+
+/**
+ * Initialize GitHub client with authentication details
+ */
+function initializeClient() {
+  // Validate required environment variables
+  if (!hasRequiredEnv()) {
+    throw new ConfigError('Missing required GitHub configuration. Please check .env file or profile.', { platform: 'github' });
+  }
+
+  const config = getPlatformConfig('github');
+  const options = {
+    auth: config.token
+  };
+
+  // Support GitHub Enterprise installations
+  if (config.url) {
+    options.baseUrl = config.url;
+  }
+
+  return new Octokit(options);
+}
+
+/**
+ * Get the repository the client operates on
+ *
+ * @param {string} [project] - Repository as "owner/repo", defaults to the configured repository
+ * @returns {Object} - Repository owner and name
+ */
+function getRepository(project) {
+  if (project && project.includes('/')) {
+    const [owner, repo] = project.split('/');
+    return { owner, repo };
+  }
+
+  const config = getPlatformConfig('github');
+
+  return {
+    owner: config.owner,
+    repo: project || config.repo
+  };
+}
+
+/**
+ * Map a unified status onto a GitHub issue state for searching, where
+ * anything but closed means open issues
+ *
+ * @param {string} status - Status such as 'close', 'closed', 'reopen' or 'opened'
+ * @returns {string} - GitHub issue state ('open' or 'closed')
+ */
+function toGithubState(status) {
+  return toOpenState(status) === 'closed' ? 'closed' : 'open';
+}
+
+/**
+ * Map a GitHub issue onto the unified issue model
+ *
+ * @param {Object} raw - Issue as returned by the GitHub API
+ * @returns {Object} - Normalized issue
+ */
+function toIssue(raw) {
+  const assignee = raw.assignee || (raw.assignees && raw.assignees[0]);
+
+  return createIssueModel('github', {
+    id: raw.id,
+    key: raw.number !== undefined ? `#${raw.number}` : null,
+    title: raw.title,
+    description: raw.body,
+    status: raw.state,
+    assignee: assignee && assignee.login,
+    labels: (raw.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at,
+    dueDate: raw.milestone && raw.milestone.due_on ? raw.milestone.due_on.slice(0, 10) : null,
+    url: raw.html_url,
+    commentCount: raw.comments
+  });
+}
+
+/**
+ * Map a GitHub issue comment onto the unified comment model
+ *
+ * @param {Object} raw - Comment as returned by the GitHub API
+ * @returns {Object} - Normalized comment
+ */
+function toComment(raw) {
+  return createComment('github', {
+    id: raw.id,
+    author: raw.user && raw.user.login,
+    body: raw.body,
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at
+  });
+}
+
+/**
+ * Create a new issue in GitHub
+ *
+ * @param {Object} issueData - Issue data (project, title, description,
+ *   assignee, labels, milestone)
+ * @returns {Promise<Object>} - Created issue in the unified model
+ */
+async function createIssue(issueData) {
+  try {
+    // Check required env variables
+    if (!hasRequiredEnv()) {
+      throw new ConfigError('Missing required GitHub configuration. Please check .env file or profile.', { platform: 'github' });
+    }
+
+    const github = initializeClient();
+    const input = normalizeIssueInput(issueData);
+
+    // Validate required fields
+    if (!input.title) {
+      throw new ValidationError('Issue title is required', { platform: 'github', field: 'title' });
+    }
+
+    const issue = {
+      ...getRepository(input.project),
+      title: input.title,
+      body: input.description || '',
+      labels: input.labels || []
+    };
+
+    // Add optional fields if provided
+    if (input.assignee) {
+      issue.assignees = [input.assignee];
+    }
+
+    if (input.milestone) {
+      issue.milestone = input.milestone;
+    }
+
+    const response = await withRetry(() => github.rest.issues.create(issue), { idempotent: false });
+    return toIssue(response.data);
+  } catch (error) {
+    console.error('Error creating GitHub issue:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing issue in GitHub
+ *
+ * @param {string|number} issueNumber - The issue number, optionally prefixed with "#"
+ * @param {Object} updateData - Data to update (title, description, assignee,
+ *   labels, status)
+ * @returns {Promise<Object>} - Updated issue in the unified model
+ */
+async function updateIssue(issueNumber, updateData) {
+  try {
+    const github = initializeClient();
+
+    if (!issueNumber) {
+      throw new ValidationError('Issue number is required', { platform: 'github', field: 'key' });
+    }
+
+    const input = normalizeIssueInput(updateData);
+    const issue = {
+      ...getRepository(input.project),
+      issue_number: parseIssueNumber(issueNumber)
+    };
+
+    // Map update fields
+    if (input.title) {
+      issue.title = input.title;
+    }
+
+    if (input.description) {
+      issue.body = input.description;
+    }
+
+    if (input.assignee) {
+      issue.assignees = [input.assignee];
+    }
+
+    if (input.labels) {
+      issue.labels = input.labels;
+    }
+
+    if (input.status) {
+      issue.state = toIssueState(input.status, 'github') === 'closed' ? 'closed' : 'open';
+    }
+
+    const response = await withRetry(() => github.rest.issues.update(issue));
+    return toIssue(response.data);
+  } catch (error) {
+    console.error('Error updating GitHub issue:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single issue by number
+ *
+ * @param {string|number} issueNumber - The issue number, optionally prefixed with "#"
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object>} - Issue in the unified model
+ */
+async function getIssue(issueNumber, options = {}) {
+  try {
+    const github = initializeClient();
+
+    if (!issueNumber) {
+      throw new ValidationError('Issue number is required', { platform: 'github', field: 'key' });
+    }
+
+    const response = await withRetry(() => github.rest.issues.get({
+      ...getRepository(options.project),
+      issue_number: parseIssueNumber(issueNumber)
+    }));
+    return toIssue(response.data);
+  } catch (error) {
+    console.error('Error fetching GitHub issue:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Search for issues using GitHub API
+ *
+ * Pull requests, which GitHub reports as issues, are filtered out.
+ *
+ * @param {Object} params - Search parameters (project, key, status, assignee,
+ *   author, labels, text, maxResults, page); state, search and issueNumber
+ *   are accepted as aliases
+ * @returns {Promise<Object>} - Matching issues in the unified model and their count
+ */
+async function searchIssues(params = {}) {
+  try {
+    const github = initializeClient();
+    const query = normalizeSearchQuery(params);
+    const { owner, repo } = getRepository(query.project);
+
+    // Look up a single issue directly
+    if (query.key) {
+      const response = await withRetry(() => github.rest.issues.get({
+        owner,
+        repo,
+        issue_number: parseIssueNumber(query.key)
+      }));
+      return { issues: [toIssue(response.data)], total: 1 };
+    }
+
+    // GitHub names the 'opened' state 'open'
+    const state = toOpenState(query.status) === 'all' ? 'all' : toGithubState(query.status);
+    const perPage = query.maxResults || 20;
+    const page = query.page || 1;
+
+    // Free-text search goes through the search API
+    if (query.text) {
+      const qualifiers = [`repo:${owner}/${repo}`, 'is:issue'];
+
+      if (state !== 'all') {
+        qualifiers.push(`state:${state}`);
+      }
+
+      if (query.author) {
+        qualifiers.push(`author:${query.author}`);
+      }
+
+      if (query.assignee) {
+        qualifiers.push(`assignee:${query.assignee}`);
+      }
+
+      if (query.labels) {
+        [].concat(query.labels).join(',').split(',').forEach(label => {
+          qualifiers.push(`label:"${label.trim()}"`);
+        });
+      }
+
+      const response = await withRetry(() => github.rest.search.issuesAndPullRequests({
+        q: `${query.text} ${qualifiers.join(' ')}`,
+        per_page: perPage,
+        page
+      }));
+      return {
+        issues: response.data.items.map(toIssue),
+        total: response.data.total_count
+      };
+    }
+
+    const searchOptions = {
+      owner,
+      repo,
+      state,
+      per_page: perPage,
+      page
+    };
+
+    // Add optional search parameters
+    if (query.labels) {
+      searchOptions.labels = [].concat(query.labels).join(',');
+    }
+
+    if (query.author) {
+      searchOptions.creator = query.author;
+    }
+
+    if (query.assignee) {
+      searchOptions.assignee = query.assignee;
+    }
+
+    const response = await withRetry(() => github.rest.issues.listForRepo(searchOptions));
+    const issues = response.data.filter(issue => !issue.pull_request).map(toIssue);
+    return { issues, total: issues.length };
+  } catch (error) {
+    console.error('Error searching GitHub issues:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Add a comment to an issue
+ *
+ * @param {string|number} issueNumber - The issue number, optionally prefixed with "#"
+ * @param {string} body - Comment text
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object>} - Created comment in the unified model
+ */
+async function addComment(issueNumber, body, options = {}) {
+  try {
+    const github = initializeClient();
+
+    if (!issueNumber) {
+      throw new ValidationError('Issue number is required', { platform: 'github', field: 'key' });
+    }
+
+    if (!body) {
+      throw new ValidationError('Comment body is required', { platform: 'github', field: 'body' });
+    }
+
+    const response = await withRetry(() => github.rest.issues.createComment({
+      ...getRepository(options.project),
+      issue_number: parseIssueNumber(issueNumber),
+      body
+    }), { idempotent: false });
+    return toComment(response.data);
+  } catch (error) {
+    console.error('Error adding GitHub comment:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List the comments on an issue, oldest first
+ *
+ * @param {string|number} issueNumber - The issue number, optionally prefixed with "#"
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object[]>} - Comments in the unified model
+ */
+async function listComments(issueNumber, options = {}) {
+  try {
+    const github = initializeClient();
+
+    if (!issueNumber) {
+      throw new ValidationError('Issue number is required', { platform: 'github', field: 'key' });
+    }
+
+    // Issues with long discussions span several pages
+    const comments = await withRetry(() => github.paginate(github.rest.issues.listComments, {
+      ...getRepository(options.project),
+      issue_number: parseIssueNumber(issueNumber),
+      per_page: 100
+    }));
+    return comments.map(toComment);
+  } catch (error) {
+    console.error('Error listing GitHub comments:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  createIssue,
+  updateIssue,
+  getIssue,
+  searchIssues,
+  addComment,
+  listComments,
+  hasRequiredEnv
+};
@@ -6,13 +6,30 @@
 
 require('dotenv').config();
 const { Gitlab } = require('@gitbeaker/node');
+const {
+  createIssue: createIssueModel,
+  createComment,
+  createLink,
+  normalizeLinkType,
+  withWarning,
+  linkToParent,
+  normalizeIssueInput,
+  normalizeSearchQuery,
+  parseIssueNumber,
+  toOpenState,
+  toIssueState
+} = require('./issue-model');
+const { withRetry } = require('./retry');
+const { ConfigError, NotFoundError, ValidationError } = require('./errors');
+const { getPlatformConfig } = require('./config');
 
 /**
- * Check if environment has all required GitLab configuration
- * @returns {boolean} True if all required variables are present
+ * Check if environment or active profile has all required GitLab configuration
+ * @returns {boolean} True if all required settings are present
  */
 function hasRequiredEnv() {
-  return !!(process.env.GITLAB_URL && process.env.GITLAB_TOKEN && process.env.GITLAB_PROJECT_ID);
+  const config = getPlatformConfig('gitlab');
+  return !!(config.url && config.token && config.project);
 }
 
 /**
@@ -21,56 +38,306 @@ function hasRequiredEnv() {
 function initializeClient() {
   // Validate required environment variables
   if (!hasRequiredEnv()) {
-    throw new Error('Missing required GitLab configuration. Please check .env file.');
+    throw new ConfigError('Missing required GitLab configuration. Please check .env file or profile.', { platform: 'gitlab' });
   }
 
+  const config = getPlatformConfig('gitlab');
+
   return new Gitlab({
-    host: process.env.GITLAB_URL,
-    token: process.env.GITLAB_TOKEN
+    host: config.url,
+    token: config.token
   });
 }
 
+/**
+ * Get the project to operate on
+ * 
+ * @param {string|number} [project] - Project ID or path, defaults to the configured project
+ * @returns {string|number} - Project ID or path
+ */
+function getProjectId(project) {
+  return project || getPlatformConfig('gitlab').project;
+}
+
+/**
+ * Map a GitLab issue onto the unified issue model
+ * 
+ * @param {Object} raw - Issue as returned by the GitLab API
+ * @returns {Object} - Normalized issue
+ */
+function toIssue(raw) {
+  const assignee = raw.assignee || (raw.assignees && raw.assignees[0]);
+  
+  return createIssueModel('gitlab', {
+    id: raw.id,
+    key: raw.iid !== undefined ? `#${raw.iid}` : null,
+    title: raw.title,
+    description: raw.description,
+    status: raw.state,
+    assignee: assignee && assignee.username,
+    labels: raw.labels,
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at,
+    dueDate: raw.due_date,
+    url: raw.web_url,
+    commentCount: raw.user_notes_count
+  });
+}
+
+/**
+ * Map a GitLab note onto the unified comment model
+ * 
+ * @param {Object} raw - Note as returned by the GitLab API
+ * @returns {Object} - Normalized comment
+ */
+function toComment(raw) {
+  return createComment('gitlab', {
+    id: raw.id,
+    author: raw.author && raw.author.username,
+    body: raw.body,
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at
+  });
+}
+
+// GitLab's names for the unified link types
+const GITLAB_LINK_TYPES = {
+  relates: 'relates_to',
+  blocks: 'blocks',
+  'blocked-by': 'is_blocked_by'
+};
+
+/**
+ * Call the issue links API
+ * 
+ * @gitbeaker/node has no IssueLinks resource, so requests go through
+ * the requester the other resources share.
+ * 
+ * @param {Object} gitlab - Initialized GitLab client
+ * @param {string} method - HTTP method (get, post, delete)
+ * @param {string|number} projectId - Project ID or path
+ * @param {number} issueIid - Issue IID
+ * @param {Object} [options] - Link ID to address and request body
+ * @returns {Promise<*>} - Response body
+ */
+async function requestIssueLinks(gitlab, method, projectId, issueIid, { linkId, body } = {}) {
+  const endpoint = `projects/${encodeURIComponent(projectId)}/issues/${issueIid}/links` +
+    (linkId ? `/${linkId}` : '');
+  const response = await gitlab.Issues.requester[method](endpoint, body ? { body } : {});
+  return response.body;
+}
+
+/**
+ * Map a linked issue onto the unified link model
+ * 
+ * @param {Object} raw - Linked issue as returned by the issue links API
+ * @returns {Object} - Normalized link
+ */
+function toLink(raw) {
+  return createLink('gitlab', {
+    id: raw.issue_link_id,
+    type: normalizeLinkType(raw.link_type),
+    key: `#${raw.iid}`,
+    title: raw.title,
+    status: raw.state,
+    url: raw.web_url
+  });
+}
+
+/**
+ * Resolve an assignee username to a GitLab user ID
+ * 
+ * @param {Object} gitlab - Initialized GitLab client
+ * @param {string|number} assignee - Username or numeric user ID
+ * @returns {Promise<number>} - User ID
+ */
+async function resolveUserId(gitlab, assignee) {
+  if (/^\d+$/.test(String(assignee))) {
+    return parseInt(assignee, 10);
+  }
+  
+  const users = await withRetry(() => gitlab.Users.all({ username: assignee }));
+  
+  if (!users || users.length === 0) {
+    throw new NotFoundError(`GitLab user not found: ${assignee}`, { platform: 'gitlab' });
+  }
+  
+  return users[0].id;
+}
+
+/**
+ * Resolve a milestone title to a milestone ID
+ * 
+ * Milestones of the project's groups can be used too.
+ * 
+ * @param {Object} gitlab - Initialized GitLab client
+ * @param {string|number} projectId - Project ID or path
+ * @param {string|number} milestone - Milestone title or numeric ID
+ * @returns {Promise<number>} - Milestone ID
+ */
+async function resolveMilestoneId(gitlab, projectId, milestone) {
+  if (/^\d+$/.test(String(milestone))) {
+    return parseInt(milestone, 10);
+  }
+  
+  const milestones = await withRetry(() => gitlab.ProjectMilestones.all(projectId, {
+    title: milestone,
+    include_parent_milestones: true
+  }));
+  
+  if (!milestones || milestones.length === 0) {
+    throw new NotFoundError(`GitLab milestone not found: ${milestone}`, { platform: 'gitlab' });
+  }
+  
+  return milestones[0].id;
+}
+
+/**
+ * Resolve an epic IID in the project's group to the epic's ID
+ * 
+ * Epics belong to groups and need GitLab Premium.
+ * 
+ * @param {Object} gitlab - Initialized GitLab client
+ * @param {string|number} projectId - Project ID or path
+ * @param {string|number} epic - Epic IID, optionally prefixed with "&"
+ * @returns {Promise<number>} - Epic ID
+ */
+async function resolveEpicId(gitlab, projectId, epic) {
+  const epicIid = parseInt(String(epic).replace(/^&/, ''), 10);
+  
+  if (isNaN(epicIid)) {
+    throw new ValidationError(`Invalid epic: ${epic}. Use the epic's number, e.g. &5`, { platform: 'gitlab', field: 'epic' });
+  }
+  
+  const project = await withRetry(() => gitlab.Projects.show(projectId));
+  
+  if (!project.namespace || project.namespace.kind !== 'group') {
+    throw new ValidationError(`Epics need a project in a group; ${projectId} is not in one`, { platform: 'gitlab', field: 'epic' });
+  }
+  
+  const found = await withRetry(() => gitlab.Epics.show(project.namespace.id, epicIid));
+  return found.id;
+}
+
+/**
+ * Set or remove an issue's iteration
+ * 
+ * The issues API can't set iterations, so this posts the /iteration quick
+ * action as a note; GitLab applies it without keeping the note.
+ * 
+ * @param {Object} gitlab - Initialized GitLab client
+ * @param {string|number} projectId - Project ID or path
+ * @param {number} issueIid - Issue IID
+ * @param {string|number|null} iteration - Iteration title or numeric ID;
+ *   empty to remove the iteration
+ * @returns {Promise<void>}
+ */
+async function setIteration(gitlab, projectId, issueIid, iteration) {
+  let command;
+  
+  if (!iteration) {
+    command = '/remove_iteration';
+  } else if (/^\d+$/.test(String(iteration))) {
+    command = `/iteration *iteration:${iteration}`;
+  } else {
+    command = `/iteration *iteration:"${String(iteration).replace(/"/g, '')}"`;
+  }
+  
+  await withRetry(() => gitlab.IssueNotes.create(projectId, issueIid, command), { idempotent: false });
+}
+
+/**
+ * Add the milestone, epic and weight settings shared by create and update
+ * to a request body
+ * 
+ * An empty milestone or epic removes the issue from it.
+ * 
+ * @param {Object} gitlab - Initialized GitLab client
+ * @param {string|number} projectId - Project ID or path
+ * @param {Object} input - Normalized issue input
+ * @param {Object} issue - Request body; updated in place
+ * @returns {Promise<void>}
+ */
+async function addPlanningFields(gitlab, projectId, input, issue) {
+  if (input.milestone !== undefined) {
+    issue.milestone_id = input.milestone ? await resolveMilestoneId(gitlab, projectId, input.milestone) : 0;
+  }
+  
+  if (input.epic !== undefined) {
+    issue.epic_id = input.epic ? await resolveEpicId(gitlab, projectId, input.epic) : 0;
+  }
+  
+  if (input.weight !== undefined && input.weight !== null) {
+    issue.weight = input.weight;
+  }
+}
+
 /**
  * Create a new issue in GitLab
  * 
- * @param {Object} issueData - Issue data including title, description, etc.
- * @returns {Promise<Object>} - Created issue
+ * GitLab issues have no parent field, so a `parent` is recorded by linking
+ * the new issue to it.
+ * 
+ * @param {Object} issueData - Issue data (project, title, description,
+ *   assignee, assigneeId, labels, dueDate, weight, milestone (title or ID),
+ *   epic (&IID), iteration (title or ID), parent)
+ * @returns {Promise<Object>} - Created issue in the unified model
  */
 async function createIssue(issueData) {
   try {
     // Check required env variables
     if (!hasRequiredEnv()) {
-      throw new Error('Missing required GitLab configuration. Please check .env file.');
+      throw new ConfigError('Missing required GitLab configuration. Please check .env file or profile.', { platform: 'gitlab' });
     }
     
     const gitlab = initializeClient();
-    const projectId = process.env.GITLAB_PROJECT_ID;
+    const input = normalizeIssueInput(issueData);
+    const projectId = getProjectId(input.project);
     
     // Validate required fields
-    if (!issueData.title) {
-      throw new Error('Issue title is required');
+    if (!input.title) {
+      throw new ValidationError('Issue title is required', { platform: 'gitlab', field: 'title' });
     }
     
     const issue = {
-      title: issueData.title,
-      description: issueData.description || '',
-      labels: issueData.labels || [],
+      title: input.title,
+      description: input.description || '',
+      labels: input.labels || [],
     };
     
     // Add optional fields if provided
-    if (issueData.assigneeId) {
-      issue.assignee_id = issueData.assigneeId;
+    if (input.assigneeId) {
+      issue.assignee_id = input.assigneeId;
+    } else if (input.assignee) {
+      issue.assignee_id = await resolveUserId(gitlab, input.assignee);
     }
     
-    if (issueData.dueDate) {
-      issue.due_date = issueData.dueDate;
+    if (input.dueDate) {
+      issue.due_date = input.dueDate;
     }
     
-    if (issueData.weight) {
-      issue.weight = issueData.weight;
+    await addPlanningFields(gitlab, projectId, input, issue);
+    
+    let created = toIssue(await withRetry(() => gitlab.Issues.create(projectId, issue), { idempotent: false }));
+    
+    // The issue exists either way, so failing to plan it isn't an error
+    if (input.iteration) {
+      try {
+        await setIteration(gitlab, projectId, parseIssueNumber(created.key), input.iteration);
+      } catch (error) {
+        created = withWarning(created, `Created ${created.key} but could not set its iteration: ${error.message}`);
+      }
     }
     
-    return await gitlab.Issues.create(projectId, issue);
+    if (!input.parent) {
+      return created;
+    }
+    
+    return linkToParent(
+      created,
+      `#${parseIssueNumber(input.parent)}`,
+      () => linkIssues(created.key, input.parent, 'relates', { project: projectId })
+    );
   } catch (error) {
     console.error('Error creating GitLab issue:', error.message);
     throw error;
@@ -80,96 +347,550 @@ async function createIssue(issueData) {
 /**
  * Update an existing issue in GitLab
  * 
- * @param {string} issueId - The issue ID
- * @param {Object} updateData - Data to update
- * @returns {Promise<Object>} - Updated issue
+ * @param {string} issueId - The issue IID, optionally prefixed with "#"
+ * @param {Object} updateData - Data to update (title, description, assignee,
+ *   assigneeId, labels, dueDate, weight, milestone, epic, iteration, status);
+ *   an empty milestone, epic or iteration removes the issue from it
+ * @returns {Promise<Object>} - Updated issue in the unified model
  */
 async function updateIssue(issueId, updateData) {
   try {
     const gitlab = initializeClient();
-    const projectId = process.env.GITLAB_PROJECT_ID;
     
     if (!issueId) {
-      throw new Error('Issue ID is required');
+      throw new ValidationError('Issue ID is required', { platform: 'gitlab', field: 'key' });
     }
     
+    const input = normalizeIssueInput(updateData);
+    const projectId = getProjectId(input.project);
     const issue = {};
     
     // Map update fields
-    if (updateData.title) {
-      issue.title = updateData.title;
+    if (input.title) {
+      issue.title = input.title;
+    }
+    
+    if (input.description) {
+      issue.description = input.description;
+    }
+    
+    if (input.assigneeId) {
+      issue.assignee_id = input.assigneeId;
+    } else if (input.assignee) {
+      issue.assignee_id = await resolveUserId(gitlab, input.assignee);
     }
     
-    if (updateData.description) {
-      issue.description = updateData.description;
+    if (input.labels) {
+      issue.labels = input.labels;
     }
     
-    if (updateData.assigneeId) {
-      issue.assignee_id = updateData.assigneeId;
+    if (input.dueDate) {
+      issue.due_date = input.dueDate;
     }
     
-    if (updateData.labels) {
-      issue.labels = updateData.labels;
+    if (input.status) {
+      issue.state_event = toIssueState(input.status, 'gitlab') === 'closed' ? 'close' : 'reopen';
     }
     
-    if (updateData.state) {
-      issue.state_event = updateData.state === 'close' ? 'close' : 'reopen';
+    await addPlanningFields(gitlab, projectId, input, issue);
+    
+    const issueIid = parseIssueNumber(issueId);
+    
+    if (input.iteration !== undefined) {
+      await setIteration(gitlab, projectId, issueIid, input.iteration);
+      
+      // GitLab rejects edits that change nothing
+      if (Object.keys(issue).length === 0) {
+        return toIssue(await withRetry(() => gitlab.Issues.show(projectId, issueIid)));
+      }
     }
     
-    return await gitlab.Issues.edit(projectId, issueId, issue);
+    return toIssue(await withRetry(() => gitlab.Issues.edit(projectId, issueIid, issue)));
   } catch (error) {
     console.error('Error updating GitLab issue:', error.message);
     throw error;
   }
 }
 
+/**
+ * Get a single issue by IID
+ * 
+ * @param {string} issueId - The issue IID, optionally prefixed with "#"
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object>} - Issue in the unified model
+ */
+async function getIssue(issueId, options = {}) {
+  try {
+    const gitlab = initializeClient();
+    
+    if (!issueId) {
+      throw new ValidationError('Issue ID is required', { platform: 'gitlab', field: 'key' });
+    }
+    
+    return toIssue(await withRetry(() => gitlab.Issues.show(getProjectId(options.project), parseIssueNumber(issueId))));
+  } catch (error) {
+    console.error('Error fetching GitLab issue:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Search for issues using GitLab API
  * 
- * @param {Object} params - Search parameters
- * @returns {Promise<Object>} - Search results
+ * @param {Object} params - Search parameters (project, key, status, assignee,
+ *   author, labels, text, milestone, epic, iteration, maxResults, page);
+ *   state and search are accepted as aliases. milestone, epic and iteration
+ *   also take None or Any
+ * @returns {Promise<Object>} - Matching issues in the unified model and their count
  */
 async function searchIssues(params = {}) {
   try {
     const gitlab = initializeClient();
-    const projectId = process.env.GITLAB_PROJECT_ID;
+    const query = normalizeSearchQuery(params);
+    const projectId = getProjectId(query.project);
     
     const searchOptions = {
       // Default options
       scope: 'all',
-      state: params.state || 'opened',
-      per_page: params.maxResults || 20,
-      page: params.page || 1
+      state: toOpenState(query.status || 'opened') || 'opened',
+      per_page: query.maxResults || 20,
+      page: query.page || 1
     };
     
     // Add optional search parameters
-    if (params.labels) {
-      searchOptions.labels = params.labels;
+    if (query.labels) {
+      searchOptions.labels = query.labels;
+    }
+    
+    if (query.author) {
+      searchOptions.author_username = query.author;
     }
     
-    if (params.author) {
-      searchOptions.author_username = params.author;
+    if (query.assignee) {
+      searchOptions.assignee_username = query.assignee;
     }
     
-    if (params.assignee) {
-      searchOptions.assignee_username = params.assignee;
+    if (query.text) {
+      searchOptions.search = query.text;
     }
     
-    if (params.search) {
-      searchOptions.search = params.search;
+    if (query.milestone) {
+      searchOptions.milestone = query.milestone;
+    }
+    
+    if (query.epic) {
+      searchOptions.epic_id = /^(none|any)$/i.test(query.epic)
+        ? query.epic
+        : await resolveEpicId(gitlab, projectId, query.epic);
+    }
+    
+    if (query.iteration) {
+      if (/^(\d+|none|any|current)$/i.test(String(query.iteration))) {
+        searchOptions.iteration_id = query.iteration;
+      } else {
+        searchOptions.iteration_title = query.iteration;
+      }
+    }
+    
+    // Looking up a single issue shouldn't depend on its state
+    if (query.key) {
+      searchOptions.iids = [parseIssueNumber(query.key)];
+      searchOptions.state = 'all';
     }
     
     // Get project issues with the search parameters
-    return await gitlab.Issues.all({ projectId, ...searchOptions });
+    const issues = await withRetry(() => gitlab.Issues.all({ projectId, ...searchOptions }));
+    
+    return {
+      issues: issues.map(toIssue),
+      total: issues.length
+    };
   } catch (error) {
     console.error('Error searching GitLab issues:', error.message);
     throw error;
   }
 }
 
+/**
+ * Add a comment (note) to an issue
+ * 
+ * @param {string} issueId - The issue IID, optionally prefixed with "#"
+ * @param {string} body - Comment text
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object>} - Created comment in the unified model
+ */
+async function addComment(issueId, body, options = {}) {
+  try {
+    const gitlab = initializeClient();
+    
+    if (!issueId) {
+      throw new ValidationError('Issue ID is required', { platform: 'gitlab', field: 'key' });
+    }
+    
+    if (!body) {
+      throw new ValidationError('Comment body is required', { platform: 'gitlab', field: 'body' });
+    }
+    
+    const note = await withRetry(
+      () => gitlab.IssueNotes.create(getProjectId(options.project), parseIssueNumber(issueId), body),
+      { idempotent: false }
+    );
+    return toComment(note);
+  } catch (error) {
+    console.error('Error adding GitLab comment:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List the comments (notes) on an issue, oldest first
+ * 
+ * System notes such as "changed the description" are left out.
+ * 
+ * @param {string} issueId - The issue IID, optionally prefixed with "#"
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object[]>} - Comments in the unified model
+ */
+async function listComments(issueId, options = {}) {
+  try {
+    const gitlab = initializeClient();
+    
+    if (!issueId) {
+      throw new ValidationError('Issue ID is required', { platform: 'gitlab', field: 'key' });
+    }
+    
+    const notes = await withRetry(() => gitlab.IssueNotes.all(getProjectId(options.project), parseIssueNumber(issueId), {
+      sort: 'asc',
+      order_by: 'created_at'
+    }));
+    
+    return notes.filter(note => !note.system).map(toComment);
+  } catch (error) {
+    console.error('Error listing GitLab comments:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List the issues linked to an issue
+ * 
+ * @param {string} issueId - The issue IID, optionally prefixed with "#"
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object[]>} - Links in the unified model
+ */
+async function listLinks(issueId, options = {}) {
+  try {
+    const gitlab = initializeClient();
+    
+    if (!issueId) {
+      throw new ValidationError('Issue ID is required', { platform: 'gitlab', field: 'key' });
+    }
+    
+    const issues = await withRetry(() => requestIssueLinks(
+      gitlab, 'get', getProjectId(options.project), parseIssueNumber(issueId)
+    ));
+    return issues.map(toLink);
+  } catch (error) {
+    console.error('Error listing GitLab issue links:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Link two issues
+ * 
+ * "blocks" and "blocked-by" links need GitLab Premium.
+ * 
+ * @param {string} issueId - The issue IID, optionally prefixed with "#"
+ * @param {string} targetId - IID of the issue to link to
+ * @param {string} [type] - How the issue relates to the target: relates
+ *   (default), blocks or blocked-by
+ * @param {Object} [options] - Options (project, targetProject when the
+ *   target is in another project)
+ * @returns {Promise<Object>} - Created link in the unified model
+ */
+async function linkIssues(issueId, targetId, type, options = {}) {
+  try {
+    const gitlab = initializeClient();
+    
+    if (!issueId || !targetId) {
+      throw new ValidationError('Issue ID and target issue ID are required', { platform: 'gitlab' });
+    }
+    
+    const linkType = normalizeLinkType(type);
+    const projectId = getProjectId(options.project);
+    
+    const link = await withRetry(() => requestIssueLinks(gitlab, 'post', projectId, parseIssueNumber(issueId), {
+      body: {
+        target_project_id: options.targetProject || projectId,
+        target_issue_iid: parseIssueNumber(targetId),
+        link_type: GITLAB_LINK_TYPES[linkType]
+      }
+    }), { idempotent: false });
+    
+    return toLink({ ...link.target_issue, link_type: link.link_type || GITLAB_LINK_TYPES[linkType] });
+  } catch (error) {
+    console.error('Error linking GitLab issues:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove the links between two issues
+ * 
+ * @param {string} issueId - The issue IID, optionally prefixed with "#"
+ * @param {string} targetId - IID of the linked issue
+ * @param {string} [type] - Only remove links of this type
+ * @param {Object} [options] - Options (project)
+ * @returns {Promise<Object[]>} - Removed links in the unified model
+ */
+async function unlinkIssues(issueId, targetId, type, options = {}) {
+  try {
+    const gitlab = initializeClient();
+    const linkType = type ? normalizeLinkType(type) : null;
+    const projectId = getProjectId(options.project);
+    const targetKey = `#${parseIssueNumber(targetId)}`;
+    
+    const links = (await listLinks(issueId, options)).filter(link =>
+      link.key === targetKey && (!linkType || link.type === linkType)
+    );
+    
+    if (links.length === 0) {
+      throw new NotFoundError(
+        `No ${linkType ? `"${linkType}" ` : ''}link between #${parseIssueNumber(issueId)} and ${targetKey}`,
+        { platform: 'gitlab' }
+      );
+    }
+    
+    for (const link of links) {
+      await withRetry(() => requestIssueLinks(gitlab, 'delete', projectId, parseIssueNumber(issueId), { linkId: link.id }));
+    }
+    
+    return links;
+  } catch (error) {
+    console.error('Error unlinking GitLab issues:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Map a GitLab milestone onto a plain milestone
+ * 
+ * @param {Object} raw - Milestone as returned by the GitLab API
+ * @returns {Object} - Milestone (id, iid, title, description, state,
+ *   startDate, dueDate, url)
+ */
+function toMilestone(raw) {
+  return {
+    id: String(raw.id),
+    iid: raw.iid !== undefined ? raw.iid : null,
+    title: raw.title,
+    description: raw.description || '',
+    state: raw.state,
+    startDate: raw.start_date || null,
+    dueDate: raw.due_date || null,
+    url: raw.web_url || null
+  };
+}
+
+/**
+ * Count a milestone's open and closed issues and their weights
+ * 
+ * @param {Object[]} issues - Issues as returned by the GitLab API
+ * @returns {Object} - Progress (open, closed, openWeight, closedWeight, percent)
+ */
+function toProgress(issues) {
+  const progress = { open: 0, closed: 0, openWeight: 0, closedWeight: 0, percent: 0 };
+  
+  issues.forEach(issue => {
+    const state = issue.state === 'closed' ? 'closed' : 'open';
+    progress[state] += 1;
+    progress[`${state}Weight`] += issue.weight || 0;
+  });
+  
+  // Weighted progress when issues are weighted, by count otherwise
+  const totalWeight = progress.openWeight + progress.closedWeight;
+  const total = progress.open + progress.closed;
+  
+  if (totalWeight > 0) {
+    progress.percent = Math.round((progress.closedWeight / totalWeight) * 100);
+  } else if (total > 0) {
+    progress.percent = Math.round((progress.closed / total) * 100);
+  }
+  
+  return progress;
+}
+
+/**
+ * List a project's milestones, including those of its groups
+ * 
+ * @param {Object} [params] - Parameters (project, state: active, closed or
+ *   all, title, progress to count each milestone's issues and weights)
+ * @returns {Promise<Object[]>} - Milestones, each with progress if asked for
+ */
+async function listMilestones(params = {}) {
+  try {
+    const gitlab = initializeClient();
+    const projectId = getProjectId(params.project);
+    const options = { include_parent_milestones: true };
+    
+    if (params.state && params.state !== 'all') {
+      options.state = params.state;
+    }
+    
+    if (params.title) {
+      options.title = params.title;
+    }
+    
+    const milestones = (await withRetry(() => gitlab.ProjectMilestones.all(projectId, options))).map(toMilestone);
+    
+    if (!params.progress) {
+      return milestones;
+    }
+    
+    // Issues are listed by title so group milestones are counted too
+    for (const milestone of milestones) {
+      const issues = await withRetry(() => gitlab.Issues.all({
+        projectId,
+        milestone: milestone.title,
+        scope: 'all',
+        state: 'all'
+      }));
+      milestone.progress = toProgress(issues);
+    }
+    
+    return milestones;
+  } catch (error) {
+    console.error('Error listing GitLab milestones:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a milestone in a project
+ * 
+ * @param {Object} params - Milestone data (project, title, description,
+ *   startDate, dueDate in YYYY-MM-DD format)
+ * @returns {Promise<Object>} - Created milestone
+ */
+async function createMilestone(params = {}) {
+  try {
+    const gitlab = initializeClient();
+    
+    if (!params.title) {
+      throw new ValidationError('Milestone title is required', { platform: 'gitlab', field: 'title' });
+    }
+    
+    const options = {};
+    
+    if (params.description) {
+      options.description = params.description;
+    }
+    
+    if (params.startDate) {
+      options.start_date = params.startDate;
+    }
+    
+    if (params.dueDate) {
+      options.due_date = params.dueDate;
+    }
+    
+    return toMilestone(await withRetry(
+      () => gitlab.ProjectMilestones.create(getProjectId(params.project), params.title, options),
+      { idempotent: false }
+    ));
+  } catch (error) {
+    console.error('Error creating GitLab milestone:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List the projects the configured user is a member of
+ * 
+ * @returns {Promise<Object[]>} - Projects (id, key, name, url)
+ */
+async function listProjects() {
+  try {
+    const gitlab = initializeClient();
+    const projects = await withRetry(() => gitlab.Projects.all({ membership: true, simple: true }));
+    
+    return projects.map(project => ({
+      id: String(project.id),
+      key: project.path_with_namespace,
+      name: project.name_with_namespace || project.name,
+      url: project.web_url
+    }));
+  } catch (error) {
+    console.error('Error listing GitLab projects:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Describe what exists in a project: labels, milestones and members
+ * 
+ * GitLab issues have no workflow, so the statuses are always opened and closed.
+ * 
+ * @param {string|number} [project] - Project ID or path, defaults to the configured project
+ * @returns {Promise<Object>} - Project metadata
+ */
+async function getProjectMetadata(project) {
+  try {
+    const gitlab = initializeClient();
+    const projectId = getProjectId(project);
+    
+    const [details, labels, milestones, members] = await Promise.all([
+      withRetry(() => gitlab.Projects.show(projectId)),
+      withRetry(() => gitlab.Labels.all(projectId)),
+      withRetry(() => gitlab.ProjectMilestones.all(projectId, { state: 'active' })),
+      withRetry(() => gitlab.ProjectMembers.all(projectId, { includeInherited: true }))
+    ]);
+    
+    return {
+      project: {
+        id: String(details.id),
+        key: details.path_with_namespace,
+        name: details.name_with_namespace || details.name,
+        url: details.web_url
+      },
+      statuses: [{ name: 'opened' }, { name: 'closed' }],
+      labels: labels.map(label => ({
+        name: label.name,
+        color: label.color || null,
+        description: label.description || ''
+      })),
+      milestones: milestones.map(milestone => ({
+        id: String(milestone.id),
+        title: milestone.title,
+        state: milestone.state,
+        dueDate: milestone.due_date || null
+      })),
+      members: members.map(member => ({
+        username: member.username,
+        name: member.name
+      })),
+      platform: 'gitlab'
+    };
+  } catch (error) {
+    console.error('Error fetching GitLab project metadata:', error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   createIssue,
   updateIssue,
+  getIssue,
   searchIssues,
+  addComment,
+  listComments,
+  linkIssues,
+  listLinks,
+  unlinkIssues,
+  listMilestones,
+  createMilestone,
+  listProjects,
+  getProjectMetadata,
   hasRequiredEnv
 };
@@ -0,0 +1,382 @@
+/**
+ * Graph Module
+ *
+ * Builds the dependency graph of a project or of the issues reachable from
+ * one issue by following issue links, and renders it as Mermaid, Graphviz
+ * DOT or JSON
+ *
+ * "blocks" links are dependencies: they are drawn as arrows from the
+ * blocking issue to the blocked one, and are the only edges considered
+ * for cycles and the critical path. Parent/subtask links and any other
+ * link types are drawn for context.
+ */
+
+const { toOpenState } = require('./issue-model');
+const { fetchAllIssues } = require('./migrate');
+
+// Stop walking links from a starting issue after this many issues
+const DEFAULT_MAX_ISSUES = 200;
+
+const FORMATS = ['mermaid', 'dot', 'json'];
+
+/**
+ * Check whether a status means the issue is finished
+ *
+ * @param {string} status - Issue status
+ * @returns {boolean} - True for closed/done issues
+ */
+function isDone(status) {
+  return !!status && (toOpenState(status) === 'closed' || /^(done|closed|resolved)$/i.test(status));
+}
+
+/**
+ * Find the groups of issues that block each other in a cycle
+ *
+ * Uses Tarjan's strongly connected components algorithm.
+ *
+ * @param {string[]} keys - Issue keys
+ * @param {Map<string, string[]>} blocks - Keys each issue blocks
+ * @returns {string[][]} - Issue keys in each cycle
+ */
+function findCycles(keys, blocks) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  const visit = (key) => {
+    index.set(key, counter);
+    lowLink.set(key, counter);
+    counter++;
+    stack.push(key);
+    onStack.add(key);
+
+    for (const next of blocks.get(key) || []) {
+      if (!index.has(next)) {
+        visit(next);
+        lowLink.set(key, Math.min(lowLink.get(key), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(key, Math.min(lowLink.get(key), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(key) === index.get(key)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.unshift(member);
+      } while (member !== key);
+
+      if (component.length > 1 || (blocks.get(key) || []).includes(key)) {
+        cycles.push(component);
+      }
+    }
+  };
+
+  keys.forEach(key => {
+    if (!index.has(key)) {
+      visit(key);
+    }
+  });
+
+  return cycles;
+}
+
+/**
+ * Find the longest chain of open issues that block one another
+ *
+ * Finished issues no longer hold anything up and issues in a cycle have
+ * no order, so both are left out.
+ *
+ * @param {string[]} keys - Open issue keys outside any cycle
+ * @param {Map<string, string[]>} blocks - Keys each issue blocks
+ * @returns {string[]} - Issue keys along the critical path, first to last
+ */
+function findCriticalPath(keys, blocks) {
+  const included = new Set(keys);
+  const inDegree = new Map(keys.map(key => [key, 0]));
+
+  keys.forEach(key => {
+    (blocks.get(key) || []).filter(next => included.has(next)).forEach(next => {
+      inDegree.set(next, inDegree.get(next) + 1);
+    });
+  });
+
+  // Longest chain ending at each issue, built in topological order
+  const length = new Map(keys.map(key => [key, 1]));
+  const previous = new Map();
+  const queue = keys.filter(key => inDegree.get(key) === 0);
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+
+    (blocks.get(key) || []).filter(next => included.has(next)).forEach(next => {
+      if (length.get(key) + 1 > length.get(next)) {
+        length.set(next, length.get(key) + 1);
+        previous.set(next, key);
+      }
+
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) {
+        queue.push(next);
+      }
+    });
+  }
+
+  let end = null;
+  keys.forEach(key => {
+    if (end === null || length.get(key) > length.get(end)) {
+      end = key;
+    }
+  });
+
+  // A lone issue is not a path
+  if (end === null || length.get(end) < 2) {
+    return [];
+  }
+
+  const path = [end];
+  while (previous.has(path[0])) {
+    path.unshift(previous.get(path[0]));
+  }
+  return path;
+}
+
+/**
+ * Build a dependency graph by following issue links
+ *
+ * With a starting issue, links are followed from issue to issue. Without
+ * one, every issue in the project is included, along with the issues they
+ * link to outside it.
+ *
+ * @param {Object} options - Graph options
+ * @param {Object} options.client - Client with getIssue(key), searchIssues(query)
+ *   and listLinks(key)
+ * @param {string} [options.project] - Project to graph
+ * @param {string} [options.root] - Issue to start from instead of a whole project
+ * @param {number} [options.maxIssues] - Stop following links after this many issues
+ * @returns {Promise<Object>} - Graph with nodes, edges, cycles, criticalPath and truncated
+ */
+async function buildGraph({ client, project, root, maxIssues = DEFAULT_MAX_ISSUES }) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (issue) => {
+    if (!nodes.has(issue.key)) {
+      nodes.set(issue.key, {
+        key: issue.key,
+        title: issue.title || '',
+        status: issue.status || null,
+        url: issue.url || null,
+        done: isDone(issue.status)
+      });
+    }
+  };
+
+  const addEdge = (from, to, type) => {
+    // Other link types have no direction worth drawing
+    const [a, b] = type === 'relates' ? [from, to].sort() : [from, to];
+    const id = `${a}\u0000${b}\u0000${type}`;
+
+    if (!edges.has(id) && a !== b) {
+      edges.set(id, { from: a, to: b, type });
+    }
+  };
+
+  const addLink = (key, link) => {
+    switch (link.type) {
+      case 'blocks':
+        return addEdge(key, link.key, 'blocks');
+      case 'blocked-by':
+        return addEdge(link.key, key, 'blocks');
+      case 'parent-of':
+        return addEdge(key, link.key, 'parent');
+      case 'child-of':
+        return addEdge(link.key, key, 'parent');
+      default:
+        return addEdge(key, link.key, 'relates');
+    }
+  };
+
+  let queue;
+  if (root) {
+    addNode(await client.getIssue(root));
+    queue = [nodes.keys().next().value];
+  } else {
+    (await fetchAllIssues(client, project)).forEach(addNode);
+    queue = [...nodes.keys()];
+  }
+
+  const visited = new Set();
+  let truncated = false;
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+    if (visited.has(key)) {
+      continue;
+    }
+
+    if (root && visited.size >= maxIssues) {
+      truncated = true;
+      break;
+    }
+    visited.add(key);
+
+    for (const link of await client.listLinks(key)) {
+      addNode(link);
+      addLink(key, link);
+
+      if (root && !visited.has(link.key)) {
+        queue.push(link.key);
+      }
+    }
+  }
+
+  // Dependencies between the issues in the graph
+  const keys = [...nodes.keys()];
+  const blocks = new Map(keys.map(key => [key, []]));
+  edges.forEach(edge => {
+    if (edge.type === 'blocks') {
+      blocks.get(edge.from).push(edge.to);
+    }
+  });
+
+  const cycles = findCycles(keys, blocks);
+  const inCycle = new Set(cycles.flat());
+  const open = keys.filter(key => !nodes.get(key).done && !inCycle.has(key));
+
+  return {
+    nodes: [...nodes.values()],
+    edges: [...edges.values()],
+    cycles,
+    criticalPath: findCriticalPath(open, blocks),
+    truncated
+  };
+}
+
+/**
+ * Get the pairs of issues along the critical path
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {Set<string>} - "from to" pairs
+ */
+function criticalEdges(graph) {
+  return new Set(graph.criticalPath.slice(1).map((key, i) => `${graph.criticalPath[i]} ${key}`));
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {string} - Mermaid source
+ */
+function renderMermaid(graph) {
+  // Mermaid ids can't contain "-" or "#", so nodes are numbered and
+  // labelled with their key
+  const ids = new Map(graph.nodes.map((node, i) => [node.key, `n${i}`]));
+  const id = (key) => ids.get(key);
+  const label = (text) => text.replace(/"/g, '#quot;');
+  const critical = criticalEdges(graph);
+  const lines = ['graph LR'];
+
+  graph.nodes.forEach(node => {
+    lines.push(`  ${id(node.key)}["${label(`${node.key}: ${node.title}`)}"]`);
+  });
+
+  graph.edges.forEach(edge => {
+    const arrow = {
+      blocks: critical.has(`${edge.from} ${edge.to}`) ? '==>' : '-->',
+      parent: '-.->',
+      relates: '---'
+    }[edge.type];
+    lines.push(`  ${id(edge.from)} ${arrow} ${id(edge.to)}`);
+  });
+
+  const classes = [
+    ['critical', graph.criticalPath, 'stroke:#d32f2f,stroke-width:3px'],
+    ['cycle', graph.cycles.flat(), 'fill:#ffcdd2,stroke:#b71c1c'],
+    ['done', graph.nodes.filter(node => node.done).map(node => node.key), 'fill:#eeeeee,color:#757575']
+  ];
+
+  classes.filter(([, keys]) => keys.length > 0).forEach(([name, keys, style]) => {
+    lines.push(`  classDef ${name} ${style}`);
+    lines.push(`  class ${keys.map(id).join(',')} ${name}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a graph in Graphviz DOT
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {string} - DOT source
+ */
+function renderDot(graph) {
+  const quote = (text) => `"${String(text).replace(/(["\\])/g, '\\$1').replace(/\n/g, '\\n')}"`;
+  const critical = criticalEdges(graph);
+  const onPath = new Set(graph.criticalPath);
+  const inCycle = new Set(graph.cycles.flat());
+  const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box];'];
+
+  graph.nodes.forEach(node => {
+    const attributes = [`label=${quote(`${node.key}\n${node.title}`)}`];
+
+    if (node.url) {
+      attributes.push(`URL=${quote(node.url)}`);
+    }
+    if (inCycle.has(node.key)) {
+      attributes.push('style=filled', 'fillcolor="#ffcdd2"');
+    } else if (node.done) {
+      attributes.push('style=filled', 'fillcolor="#eeeeee"', 'fontcolor="#757575"');
+    }
+    if (onPath.has(node.key)) {
+      attributes.push('color="#d32f2f"', 'penwidth=2');
+    }
+
+    lines.push(`  ${quote(node.key)} [${attributes.join(', ')}];`);
+  });
+
+  graph.edges.forEach(edge => {
+    const attributes = {
+      blocks: critical.has(`${edge.from} ${edge.to}`) ? ['color="#d32f2f"', 'penwidth=2'] : [],
+      parent: ['style=dotted'],
+      relates: ['style=dashed', 'arrowhead=none']
+    }[edge.type];
+    const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${suffix};`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a graph in one of the supported formats
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @param {string} [format] - mermaid (default), dot or json
+ * @returns {string} - Rendered graph
+ */
+function renderGraph(graph, format = 'mermaid') {
+  switch (format) {
+    case 'mermaid':
+      return renderMermaid(graph);
+    case 'dot':
+      return renderDot(graph);
+    case 'json':
+      return JSON.stringify(graph, null, 2) + '\n';
+    default:
+      throw new Error(`Unsupported graph format: ${format}. Supported formats: ${FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  buildGraph,
+  renderGraph
+};
@@ -0,0 +1,313 @@
+/**
+ * Issue Model Module
+ *
+ * Defines the platform-neutral issue shape that every client accepts and
+ * returns, so callers don't need to know each platform's field names
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * A normalized issue
+ *
+ * @typedef {Object} Issue
+ * @property {string} id - Platform-internal identifier
+ * @property {string} key - Human-facing reference accepted by every client call
+ *   (e.g. "PROJ-123" for JIRA, "#42" for GitLab and GitHub)
+ * @property {string} title - Issue title/summary
+ * @property {string} description - Issue description/body
+ * @property {string|null} status - Workflow status or state name
+ * @property {string|null} assignee - Assignee username
+ * @property {string[]} labels - Labels
+ * @property {string|null} priority - Priority name
+ * @property {string|null} createdAt - Creation timestamp
+ * @property {string|null} updatedAt - Last update timestamp
+ * @property {string|null} dueDate - Due date (YYYY-MM-DD)
+ * @property {string|null} url - Link to the issue in the platform's web UI
+ * @property {string|null} parent - Key of the parent issue
+ * @property {number|null} commentCount - Number of comments, when the platform reports it
+ * @property {string} platform - Platform the issue lives on
+ * @property {string[]} [warnings] - Problems that didn't stop a change from
+ *   being made, such as a new issue that couldn't be linked to its parent
+ */
+
+/**
+ * Build a normalized issue, filling in defaults for missing fields
+ *
+ * @param {string} platform - Platform name
+ * @param {Object} fields - Issue fields
+ * @returns {Issue} - Normalized issue
+ */
+function createIssue(platform, fields) {
+  return {
+    id: fields.id !== undefined && fields.id !== null ? String(fields.id) : null,
+    key: fields.key || null,
+    title: fields.title || '',
+    description: fields.description || '',
+    status: fields.status || null,
+    assignee: fields.assignee || null,
+    labels: fields.labels || [],
+    priority: fields.priority || null,
+    createdAt: fields.createdAt || null,
+    updatedAt: fields.updatedAt || null,
+    dueDate: fields.dueDate || null,
+    url: fields.url || null,
+    parent: fields.parent || null,
+    commentCount: typeof fields.commentCount === 'number' ? fields.commentCount : null,
+    platform
+  };
+}
+
+/**
+ * A normalized comment
+ *
+ * @typedef {Object} Comment
+ * @property {string} id - Platform-internal identifier
+ * @property {string|null} author - Author username
+ * @property {string} body - Comment text
+ * @property {string|null} createdAt - Creation timestamp
+ * @property {string|null} updatedAt - Last update timestamp
+ * @property {string} platform - Platform the comment lives on
+ */
+
+/**
+ * Build a normalized comment, filling in defaults for missing fields
+ *
+ * @param {string} platform - Platform name
+ * @param {Object} fields - Comment fields
+ * @returns {Comment} - Normalized comment
+ */
+function createComment(platform, fields) {
+  return {
+    id: fields.id !== undefined && fields.id !== null ? String(fields.id) : null,
+    author: fields.author || null,
+    body: fields.body || '',
+    createdAt: fields.createdAt || null,
+    updatedAt: fields.updatedAt || null,
+    platform
+  };
+}
+
+/**
+ * A normalized link between two issues, seen from the issue it was listed for
+ *
+ * @typedef {Object} Link
+ * @property {string|null} id - Platform-internal link identifier, null for
+ *   parent/subtask relationships
+ * @property {string} type - How the issue relates to the linked one: 'relates',
+ *   'blocks', 'blocked-by', 'child-of' or 'parent-of'; other JIRA link types
+ *   use their description in kebab case (e.g. 'duplicates')
+ * @property {string} key - Key of the linked issue
+ * @property {string} title - Title of the linked issue
+ * @property {string|null} status - Status of the linked issue
+ * @property {string|null} url - Link to the linked issue in the platform's web UI
+ * @property {string} platform - Platform the link lives on
+ */
+
+// Link types that can be created on every platform with issue links
+const LINK_TYPES = ['relates', 'blocks', 'blocked-by'];
+
+/**
+ * Build a normalized link, filling in defaults for missing fields
+ *
+ * @param {string} platform - Platform name
+ * @param {Object} fields - Link fields
+ * @returns {Link} - Normalized link
+ */
+function createLink(platform, fields) {
+  return {
+    id: fields.id !== undefined && fields.id !== null ? String(fields.id) : null,
+    type: fields.type,
+    key: fields.key || null,
+    title: fields.title || '',
+    status: fields.status || null,
+    url: fields.url || null,
+    platform
+  };
+}
+
+/**
+ * Normalize a link type, accepting the platforms' own spellings
+ *
+ * @param {string} [type] - Link type (e.g. 'blocks', 'is_blocked_by', 'relates_to')
+ * @returns {string} - One of LINK_TYPES, 'relates' by default
+ */
+function normalizeLinkType(type) {
+  if (!type) {
+    return 'relates';
+  }
+
+  // "is_blocked_by" and "relates_to" are GitLab's names
+  const normalized = String(type).toLowerCase().replace(/[\s_]+/g, '-').replace(/^is-/, '').replace(/-to$/, '');
+
+  if (!LINK_TYPES.includes(normalized)) {
+    throw new ValidationError(`Unsupported link type: ${type}. Supported types: ${LINK_TYPES.join(', ')}`, { field: 'type' });
+  }
+
+  return normalized;
+}
+
+/**
+ * Add a warning to an issue, logging it as well
+ *
+ * @param {Issue} issue - Issue a change was made to
+ * @param {string} warning - What went wrong
+ * @returns {Issue} - Copy of the issue with the warning added
+ */
+function withWarning(issue, warning) {
+  console.error(`Warning: ${warning}`);
+  return { ...issue, warnings: [...(issue.warnings || []), warning] };
+}
+
+/**
+ * Link a new issue to its parent where the platform has no real subtasks
+ *
+ * The issue exists either way, so a failed link doesn't fail its creation:
+ * it is logged and the issue comes back without a parent and with a warning.
+ *
+ * @param {Issue} issue - Newly created issue
+ * @param {string} parent - Parent issue key
+ * @param {Function} link - Function linking the issue to its parent
+ * @returns {Promise<Issue>} - The issue with its parent, or with a warning
+ */
+async function linkToParent(issue, parent, link) {
+  try {
+    await link();
+    return { ...issue, parent };
+  } catch (error) {
+    return withWarning(issue, `Created ${issue.key} but could not link it to parent ${parent}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize issue input, accepting the platform-specific names callers
+ * used before the unified model (summary, projectKey, state)
+ *
+ * @param {Object} data - Issue input
+ * @returns {Object} - Input using unified field names
+ */
+function normalizeIssueInput(data = {}) {
+  const input = { ...data };
+
+  if (input.title === undefined && input.summary !== undefined) {
+    input.title = input.summary;
+  }
+
+  if (input.project === undefined && input.projectKey !== undefined) {
+    input.project = input.projectKey;
+  }
+
+  if (input.status === undefined && input.state !== undefined) {
+    input.status = input.state;
+  }
+
+  // Older callers passed the parent as { key }
+  if (input.parent && typeof input.parent === 'object') {
+    input.parent = input.parent.key;
+  }
+
+  return input;
+}
+
+/**
+ * Normalize search input, accepting the names callers used before the
+ * unified model (search, state, projectKey, issueId, issueNumber)
+ *
+ * @param {Object} query - Search input
+ * @returns {Object} - Query using unified field names
+ */
+function normalizeSearchQuery(query = {}) {
+  const normalized = { ...query };
+
+  if (normalized.text === undefined && normalized.search !== undefined) {
+    normalized.text = normalized.search;
+  }
+
+  if (normalized.status === undefined && normalized.state !== undefined) {
+    normalized.status = normalized.state;
+  }
+
+  if (normalized.project === undefined && normalized.projectKey !== undefined) {
+    normalized.project = normalized.projectKey;
+  }
+
+  if (normalized.key === undefined) {
+    normalized.key = normalized.issueId !== undefined ? normalized.issueId : normalized.issueNumber;
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse a numbered issue reference such as "#42" or "42"
+ *
+ * @param {string|number} key - Issue reference
+ * @returns {number} - Issue number
+ */
+function parseIssueNumber(key) {
+  return parseInt(String(key).replace(/^#/, ''), 10);
+}
+
+/**
+ * Map a unified status onto an open/closed state
+ *
+ * @param {string} status - Status such as 'opened', 'open', 'closed', 'close' or 'reopen'
+ * @returns {string|null} - 'opened', 'closed', 'all' or null if not a state
+ */
+function toOpenState(status) {
+  switch (String(status).toLowerCase()) {
+    case 'open':
+    case 'opened':
+    case 'reopen':
+    case 'reopened':
+      return 'opened';
+    case 'close':
+    case 'closed':
+      return 'closed';
+    case 'all':
+      return 'all';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Map a requested status onto the open/closed state of a platform that has
+ * nothing else, treating finished statuses such as "Done" as closed
+ *
+ * @param {string} status - Requested status
+ * @param {string} platform - Platform the issue lives on
+ * @returns {string} - 'opened' or 'closed'
+ * @throws {ValidationError} - If the status is neither open nor finished
+ */
+function toIssueState(status, platform) {
+  const state = toOpenState(status);
+
+  if (state === 'opened' || state === 'closed') {
+    return state;
+  }
+
+  if (/^(done|resolved|completed?|fixed)$/i.test(String(status).trim())) {
+    return 'closed';
+  }
+
+  throw new ValidationError(
+    `Status "${status}" is not supported on ${platform}. Use opened or closed (or done)`,
+    { platform, field: 'status' }
+  );
+}
+
+module.exports = {
+  LINK_TYPES,
+  createIssue,
+  createComment,
+  createLink,
+  normalizeLinkType,
+  withWarning,
+  linkToParent,
+  normalizeIssueInput,
+  normalizeSearchQuery,
+  parseIssueNumber,
+  toOpenState,
+  toIssueState
+};
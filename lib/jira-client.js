@@ -5,14 +5,52 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const JiraClient = require('jira-client');
+const {
+  createIssue: createIssueModel,
+  createComment,
+  createLink,
+  normalizeLinkType,
+  linkToParent,
+  normalizeIssueInput,
+  normalizeSearchQuery,
+  toOpenState
+} = require('./issue-model');
+const { withRetry } = require('./retry');
+const { getPlatformConfig } = require('./config');
+const { ConfigError, NotFoundError, ValidationError } = require('./errors');
+
+// Fields fetched for searches unless the caller asks for others
+const DEFAULT_SEARCH_FIELDS = [
+  'summary', 'status', 'assignee', 'description', 'created', 'updated',
+  'labels', 'priority', 'duedate', 'parent'
+];
+
+// Issue types each project can create, looked up per JIRA site, credentials
+// and project, since users may be allowed to create different types
+const issueTypeCache = new Map();
+
+// How long looked up issue types are used before fetching them again
+const ISSUE_TYPE_CACHE_TTL = 10 * 60 * 1000;
+
+// Standard fields that take names, for when there is no metadata to look them up in
+const NAMED_FIELDS = {
+  priority: { name: 'Priority', schema: { type: 'priority' } },
+  components: { name: 'Components', schema: { type: 'array', items: 'component' } },
+  fixVersions: { name: 'Fix versions', schema: { type: 'array', items: 'version' } }
+};
+
+// Names of the story points field in classic and next-gen projects, unless configured
+const STORY_POINTS_FIELDS = ['Story Points', 'Story point estimate'];
 
 /**
- * Check if environment has all required JIRA configuration
- * @returns {boolean} True if all required variables are present
+ * Check if environment or active profile has all required JIRA configuration
+ * @returns {boolean} True if all required settings are present
  */
 function hasRequiredEnv() {
-  return !!(process.env.JIRA_URL && process.env.JIRA_TOKEN && process.env.JIRA_EMAIL);
+  const config = getPlatformConfig('jira');
+  return !!(config.url && config.token && config.email);
 }
 
 /**
@@ -21,114 +59,708 @@ function hasRequiredEnv() {
 function initializeClient() {
   // Validate required environment variables
   if (!hasRequiredEnv()) {
-    throw new Error('Missing required JIRA configuration. Please check .env file.');
+    throw new ConfigError('Missing required JIRA configuration. Please check .env file or profile.', { platform: 'jira' });
   }
 
+  const config = getPlatformConfig('jira');
+
   // Extract host from URL (removing protocol)
-  const hostUrl = process.env.JIRA_URL.replace(/^https?:\/\//, '');
+  const hostUrl = config.url.replace(/^https?:\/\//, '');
 
   return new JiraClient({
     protocol: 'https',
     host: hostUrl,
-    username: process.env.JIRA_EMAIL,
-    password: process.env.JIRA_TOKEN,
+    username: config.email,
+    password: config.token,
     apiVersion: '2',
     strictSSL: true
   });
 }
 
+/**
+ * Get the base URL of the JIRA web UI
+ * 
+ * @returns {string} - Base URL without a trailing slash
+ */
+function getBaseUrl() {
+  const url = (getPlatformConfig('jira').url || '').replace(/\/+$/, '');
+  return /^https?:\/\//.test(url) ? url : `https://${url}`;
+}
+
+/**
+ * Map a JIRA issue onto the unified issue model
+ * 
+ * @param {Object} raw - Issue as returned by the JIRA API
+ * @returns {Object} - Normalized issue
+ */
+function toIssue(raw) {
+  const fields = raw.fields || {};
+  const assignee = fields.assignee;
+  
+  return createIssueModel('jira', {
+    id: raw.id,
+    key: raw.key,
+    title: fields.summary,
+    description: fields.description,
+    status: fields.status && fields.status.name,
+    assignee: assignee && (assignee.name || assignee.accountId || assignee.displayName),
+    labels: fields.labels,
+    priority: fields.priority && fields.priority.name,
+    createdAt: fields.created,
+    updatedAt: fields.updated,
+    dueDate: fields.duedate,
+    url: raw.key ? `${getBaseUrl()}/browse/${raw.key}` : null,
+    parent: fields.parent && fields.parent.key,
+    commentCount: fields.comment && fields.comment.total
+  });
+}
+
+/**
+ * Map a JIRA comment onto the unified comment model
+ * 
+ * @param {Object} raw - Comment as returned by the JIRA API
+ * @returns {Object} - Normalized comment
+ */
+function toComment(raw) {
+  const author = raw.author;
+  
+  return createComment('jira', {
+    id: raw.id,
+    author: author && (author.name || author.accountId || author.displayName),
+    body: raw.body,
+    createdAt: raw.created,
+    updatedAt: raw.updated
+  });
+}
+
+/**
+ * Map a linked issue onto the unified link model
+ * 
+ * @param {Object} raw - Linked issue as embedded in another issue's fields
+ * @param {string} type - Link type, from the point of view of the other issue
+ * @param {string} [id] - Issue link id
+ * @returns {Object} - Normalized link
+ */
+function toLink(raw, type, id) {
+  const fields = raw.fields || {};
+  
+  return createLink('jira', {
+    id,
+    type,
+    key: raw.key,
+    title: fields.summary,
+    status: fields.status && fields.status.name,
+    url: `${getBaseUrl()}/browse/${raw.key}`
+  });
+}
+
+/**
+ * Name a JIRA link type the way the unified model does
+ * 
+ * @param {string} description - Inward or outward description (e.g. "is blocked by")
+ * @returns {string} - Link type (e.g. "blocked-by")
+ */
+function toLinkType(description) {
+  const type = description.toLowerCase().replace(/\s+/g, '-').replace(/^is-/, '');
+  return type === 'relates-to' ? 'relates' : type;
+}
+
+/**
+ * Quote a value for use in a JQL string literal
+ * 
+ * @param {string} value - Raw value
+ * @returns {string} - Quoted value
+ */
+function quoteJql(value) {
+  return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+}
+
+/**
+ * Build a JQL query from unified search parameters
+ * 
+ * @param {Object} query - Search parameters (project, key, status, assignee, author, labels, text)
+ * @returns {string} - JQL query
+ */
+function buildJql(query) {
+  const clauses = [];
+  const project = query.project || getPlatformConfig('jira').project;
+  
+  if (project) {
+    clauses.push(`project = ${quoteJql(project)}`);
+  }
+  
+  if (query.key) {
+    clauses.push(`key = ${quoteJql(query.key)}`);
+  }
+  
+  if (query.status) {
+    // Open/closed map onto status categories, anything else is a status name
+    const state = toOpenState(query.status);
+    
+    if (state === 'opened') {
+      clauses.push('statusCategory != Done');
+    } else if (state === 'closed') {
+      clauses.push('statusCategory = Done');
+    } else if (!state) {
+      clauses.push(`status = ${quoteJql(query.status)}`);
+    }
+  }
+  
+  if (query.assignee) {
+    clauses.push(`assignee = ${quoteJql(query.assignee)}`);
+  }
+  
+  if (query.author) {
+    clauses.push(`reporter = ${quoteJql(query.author)}`);
+  }
+  
+  if (query.labels) {
+    const labels = [].concat(query.labels).join(',').split(',').map(label => label.trim()).filter(Boolean);
+    labels.forEach(label => clauses.push(`labels = ${quoteJql(label)}`));
+  }
+  
+  if (query.text) {
+    clauses.push(`text ~ ${quoteJql(query.text)}`);
+  }
+  
+  return `${clauses.join(' AND ')} ORDER BY created DESC`.trim();
+}
+
+/**
+ * Fetch the issue types that can be created in a project
+ * 
+ * Sites that have dropped or restrict the old create metadata endpoint are
+ * asked for the issue types alone, without their fields. If neither can be
+ * read, nothing is returned and JIRA validates the issue itself.
+ * 
+ * @param {Object} jira - Initialized JIRA client
+ * @param {string} project - Project key
+ * @returns {Promise<Object[]>} - Issue types (id, name, subtask, fields)
+ */
+async function fetchIssueTypes(jira, project) {
+  const unavailable = error => error.status === 403 || error.status === 404;
+  
+  try {
+    const meta = await withRetry(() => jira.getIssueCreateMetadata({
+      projectKeys: project,
+      expand: 'projects.issuetypes.fields'
+    }));
+    const projectMeta = (meta.projects || []).find(p => p.key === project);
+    return projectMeta ? projectMeta.issuetypes || [] : [];
+  } catch (error) {
+    if (!unavailable(error)) {
+      throw error;
+    }
+  }
+  
+  try {
+    const types = await withRetry(() => jira.genericGet(`issue/createmeta/${encodeURIComponent(project)}/issuetypes`));
+    return types.values || types.issueTypes || [];
+  } catch (error) {
+    if (!unavailable(error)) {
+      throw error;
+    }
+    return [];
+  }
+}
+
+/**
+ * Get the issue types that can be created in a project, with their fields
+ * 
+ * @param {Object} jira - Initialized JIRA client
+ * @param {string} project - Project key
+ * @returns {Promise<Object[]>} - Issue types (id, name, subtask, fields)
+ */
+async function getIssueTypes(jira, project) {
+  const config = getPlatformConfig('jira');
+  const credentials = crypto.createHash('sha256').update(`${config.email}:${config.token}`).digest('hex');
+  const cacheKey = `${getBaseUrl()} ${credentials} ${project}`;
+  const cached = issueTypeCache.get(cacheKey);
+  
+  if (cached && cached.expires > Date.now()) {
+    return cached.issueTypes;
+  }
+  
+  const issueTypes = await fetchIssueTypes(jira, project);
+  issueTypeCache.set(cacheKey, { issueTypes, expires: Date.now() + ISSUE_TYPE_CACHE_TTL });
+  return issueTypes;
+}
+
+/**
+ * Find a field in create or edit metadata by ID or display name
+ * 
+ * @param {Object} fieldsMeta - Field metadata keyed by field ID
+ * @param {string} name - Field ID (e.g. customfield_10042) or name (e.g. "Team")
+ * @returns {Array|null} - [field ID, field metadata], or null if there is no such field
+ */
+function findField(fieldsMeta, name) {
+  if (fieldsMeta[name]) {
+    return [name, fieldsMeta[name]];
+  }
+  
+  const target = String(name).toLowerCase();
+  return Object.entries(fieldsMeta).find(([, field]) =>
+    field.name && field.name.toLowerCase() === target
+  ) || null;
+}
+
+/**
+ * Convert a field value into the shape JIRA expects, checking it against
+ * the field's allowed values
+ * 
+ * Objects are passed through untouched for fields this can't express,
+ * such as cascading selects.
+ * 
+ * @param {Object} field - Field metadata
+ * @param {*} value - Value given by the caller; option names for select fields
+ * @returns {Object} - { value } or { error }
+ */
+function toFieldValue(field, value) {
+  const schema = field.schema || {};
+  const isArray = schema.type === 'array';
+  const itemType = isArray ? schema.items : schema.type;
+  const allowed = field.allowedValues || [];
+  const label = (option) => String(option.value !== undefined ? option.value : option.name);
+  const converted = [];
+  
+  for (const item of isArray ? [].concat(value) : [value]) {
+    if (item !== null && typeof item === 'object') {
+      converted.push(item);
+    } else if (allowed.length > 0) {
+      const match = allowed.find(option =>
+        label(option).toLowerCase() === String(item).toLowerCase() || String(option.id) === String(item)
+      );
+      
+      if (!match) {
+        return { error: `Invalid value "${item}" for ${field.name}. Allowed values: ${allowed.map(label).join(', ')}` };
+      }
+      
+      if (match.value !== undefined) {
+        converted.push({ value: match.value });
+      } else if (match.name !== undefined) {
+        converted.push({ name: match.name });
+      } else {
+        converted.push({ id: match.id });
+      }
+    } else if (['priority', 'component', 'version'].includes(itemType)) {
+      converted.push({ name: String(item) });
+    } else if (itemType === 'number') {
+      if (item === '' || isNaN(Number(item))) {
+        return { error: `Invalid value "${item}" for ${field.name}: expected a number` };
+      }
+      converted.push(Number(item));
+    } else if (itemType === 'user') {
+      converted.push({ name: item });
+    } else {
+      converted.push(item);
+    }
+  }
+  
+  return { value: isArray ? converted : converted[0] };
+}
+
+/**
+ * Add custom fields to an issue and check it against the field metadata
+ * 
+ * @param {Object} fieldsMeta - Field metadata keyed by field ID, from create
+ *   or edit metadata
+ * @param {Object} fields - Issue fields to send; custom fields are added in place
+ * @param {Object} [customFields] - Values keyed by field name or ID
+ * @param {boolean} [checkRequired] - Also report required fields that are missing
+ * @returns {Object[]} - Problems found, each with field and message
+ */
+function applyFieldMetadata(fieldsMeta, fields, customFields = {}, checkRequired = false) {
+  const problems = [];
+  
+  Object.entries(customFields).forEach(([name, value]) => {
+    const found = findField(fieldsMeta, name);
+    
+    if (!found) {
+      problems.push({ field: name, message: `Unknown field "${name}"` });
+      return;
+    }
+    
+    const [id, field] = found;
+    const result = toFieldValue(field, value);
+    
+    if (result.error) {
+      problems.push({ field: field.name, message: result.error });
+    } else {
+      fields[id] = result.value;
+    }
+  });
+  
+  if (checkRequired) {
+    Object.entries(fieldsMeta)
+      .filter(([id, field]) => field.required && !field.hasDefaultValue && fields[id] === undefined)
+      .forEach(([, field]) => {
+        problems.push({ field: field.name, message: `Missing required field "${field.name}"` });
+      });
+  }
+  
+  return problems;
+}
+
+/**
+ * Collect the fields whose values are checked against metadata: custom
+ * fields and the standard fields that take values from a list
+ * 
+ * @param {Object} input - Normalized issue input
+ * @param {Object} fieldsMeta - Field metadata keyed by field ID, used to
+ *   find the story points field
+ * @returns {Object} - Values keyed by field name or ID
+ */
+function getCheckedFields(input, fieldsMeta) {
+  const checked = { ...input.customFields };
+  
+  if (input.priority) {
+    checked.priority = input.priority;
+  }
+  
+  if (input.components) {
+    checked.components = [].concat(input.components);
+  }
+  
+  if (input.fixVersions) {
+    checked.fixVersions = [].concat(input.fixVersions);
+  }
+  
+  if (input.storyPoints !== undefined && input.storyPoints !== null) {
+    const field = getPlatformConfig('jira').storyPointsField ||
+      STORY_POINTS_FIELDS.find(name => findField(fieldsMeta, name)) ||
+      STORY_POINTS_FIELDS[0];
+    checked[field] = input.storyPoints;
+  }
+  
+  return checked;
+}
+
+/**
+ * Fill in an issue's checked fields from field metadata
+ * 
+ * Without metadata, standard fields are sent by name and custom fields
+ * can only be given by ID, which are sent as is.
+ * 
+ * @param {Object} fieldsMeta - Field metadata keyed by field ID, empty if unavailable
+ * @param {Object} fields - Issue fields to send; updated in place
+ * @param {Object} input - Normalized issue input
+ * @param {Object} options - Options
+ * @param {string} options.context - What was invalid, to start the error message
+ * @param {boolean} [options.checkRequired] - Also report missing required fields
+ * @returns {void}
+ * @throws {ValidationError} - If any fields are unknown, missing or invalid
+ */
+function resolveFields(fieldsMeta, fields, input, { context, checkRequired = false }) {
+  const checked = getCheckedFields(input, fieldsMeta);
+  let problems;
+  
+  if (Object.keys(fieldsMeta).length > 0) {
+    problems = applyFieldMetadata(fieldsMeta, fields, checked, checkRequired);
+  } else {
+    const fallbackMeta = { ...NAMED_FIELDS };
+    const usable = {};
+    problems = [];
+    
+    Object.entries(checked).forEach(([name, value]) => {
+      if (/^customfield_\d+$/.test(name)) {
+        fallbackMeta[name] = { name };
+      } else if (!fallbackMeta[name]) {
+        problems.push({ field: name, message: `Cannot look up field "${name}" without field metadata; use its ID instead` });
+        return;
+      }
+      usable[name] = value;
+    });
+    
+    problems.push(...applyFieldMetadata(fallbackMeta, fields, usable));
+  }
+  
+  if (problems.length > 0) {
+    throw new ValidationError(
+      `${context}: ${problems.map(problem => problem.message).join('; ')}`,
+      { platform: 'jira', errors: problems }
+    );
+  }
+}
+
+/**
+ * Check a new issue against the project's create metadata, filling in
+ * the fields that need looking up and the issue type's exact name
+ * 
+ * Projects whose metadata can't be read are only checked as far as
+ * possible, and JIRA has the final say.
+ * 
+ * @param {Object} jira - Initialized JIRA client
+ * @param {Object} issue - Issue to create; its fields are updated in place
+ * @param {Object} input - Normalized issue input
+ * @returns {Promise<void>}
+ * @throws {ValidationError} - If the issue type is unknown or fields are
+ *   missing or invalid
+ */
+async function validateNewIssue(jira, issue, input) {
+  const project = issue.fields.project.key;
+  const issueTypes = await getIssueTypes(jira, project);
+  
+  if (issueTypes.length === 0) {
+    resolveFields({}, issue.fields, input, { context: `Invalid issue for ${project}` });
+    return;
+  }
+  
+  const typeName = issue.fields.issuetype.name.toLowerCase();
+  const issueType = issueTypes.find(type => type.name.toLowerCase() === typeName);
+  
+  if (!issueType) {
+    const message = `Invalid issue type "${issue.fields.issuetype.name}" for ${project}. ` +
+      `Valid issue types: ${issueTypes.map(type => type.name).join(', ')}`;
+    throw new ValidationError(message, { platform: 'jira', field: 'issuetype' });
+  }
+  
+  issue.fields.issuetype = { name: issueType.name };
+  resolveFields(issueType.fields || {}, issue.fields, input, {
+    context: `Invalid ${issueType.name} for ${project}`,
+    checkRequired: true
+  });
+}
+
 /**
  * Create a new issue in JIRA
  * 
- * @param {Object} issueData - Issue data including summary, description, etc.
- * @returns {Promise<Object>} - Created issue
+ * Issues with a parent are created as sub-tasks, using whatever the
+ * project calls its sub-task type. Projects without one (some next-gen
+ * projects) get a Task linked to the parent instead.
+ * 
+ * The issue is checked against the project's create metadata first, so
+ * missing required fields and invalid option values are reported by name
+ * instead of as a bare 400 from JIRA.
+ * 
+ * @param {Object} issueData - Issue data (project, title, description,
+ *   issueType, assignee, labels, priority, components, fixVersions,
+ *   dueDate, storyPoints, environment, parent, customFields); summary and
+ *   projectKey are accepted as aliases, and parent may be a key or { key }.
+ *   customFields are keyed by field name (e.g. "Team") or ID, and select
+ *   fields take option names
+ * @returns {Promise<Object>} - Created issue in the unified model
+ * @throws {ValidationError} - If the issue doesn't match the create metadata
  */
 async function createIssue(issueData) {
   try {
     // Check required env variables for testing
     if (!hasRequiredEnv()) {
-      throw new Error('Missing required JIRA configuration. Please check .env file.');
+      throw new ConfigError('Missing required JIRA configuration. Please check .env file or profile.', { platform: 'jira' });
     }
     
     const jira = initializeClient();
+    const input = normalizeIssueInput(issueData);
     
-    // Default values and validation
-    if (!issueData.projectKey) {
-      issueData.projectKey = process.env.JIRA_PROJECT;
+    const parentKey = input.parent && (input.parent.key || input.parent);
+    
+    // Default values and validation; sub-tasks live in their parent's project
+    if (!input.project) {
+      input.project = parentKey ? parentKey.split('-')[0] : getPlatformConfig('jira').project;
     }
     
-    if (!issueData.summary) {
-      throw new Error('Issue summary is required');
+    if (!input.title) {
+      throw new ValidationError('Issue summary is required', { platform: 'jira', field: 'title' });
     }
     
     const issue = {
       fields: {
         project: {
-          key: issueData.projectKey
+          key: input.project
         },
-        summary: issueData.summary,
-        description: issueData.description || '',
+        summary: input.title,
+        description: input.description || '',
         issuetype: {
-          name: issueData.issueType || 'Task'
+          name: input.issueType || 'Task'
         }
       }
     };
     
     // Add optional fields if provided
-    if (issueData.assignee) {
-      issue.fields.assignee = { name: issueData.assignee };
+    if (input.assignee) {
+      issue.fields.assignee = { name: input.assignee };
+    }
+    
+    if (input.labels && Array.isArray(input.labels)) {
+      issue.fields.labels = input.labels;
+    }
+    
+    if (input.dueDate) {
+      issue.fields.duedate = input.dueDate;
     }
     
-    if (issueData.labels && Array.isArray(issueData.labels)) {
-      issue.fields.labels = issueData.labels;
+    if (input.environment) {
+      issue.fields.environment = input.environment;
     }
     
-    return await jira.addNewIssue(issue);
+    let relateToParent = false;
+    
+    if (parentKey) {
+      const subtaskType = (await getIssueTypes(jira, input.project)).find(type => type.subtask);
+      
+      if (subtaskType) {
+        issue.fields.issuetype = { name: subtaskType.name };
+        issue.fields.parent = { key: parentKey };
+      } else {
+        if (!input.issueType || /^sub-?task$/i.test(input.issueType)) {
+          issue.fields.issuetype = { name: 'Task' };
+        }
+        relateToParent = true;
+      }
+    }
+    
+    await validateNewIssue(jira, issue, input);
+    
+    const created = await withRetry(() => jira.addNewIssue(issue), { idempotent: false });
+    
+    // JIRA only echoes the id and key, so fill in the rest from the request
+    const result = toIssue({ ...created, fields: issue.fields });
+    
+    if (relateToParent) {
+      return linkToParent(result, parentKey, () => linkIssues(created.key, parentKey, 'relates'));
+    }
+    
+    return result;
   } catch (error) {
     console.error('Error creating JIRA issue:', error.message);
     throw error;
   }
 }
 
+/**
+ * Move an issue to a new status using the transitions available to it
+ * 
+ * Status names are matched case-insensitively against each transition's
+ * target status, then against the transition name. Transitions whose
+ * screen requires a resolution get one, either the requested resolution
+ * or a sensible default from the allowed values.
+ * 
+ * @param {Object} jira - Initialized JIRA client
+ * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
+ * @param {string} status - Target status or transition name (e.g., "In Progress")
+ * @param {string} [resolution] - Resolution name (e.g., "Won't Do")
+ * @returns {Promise<void>}
+ */
+async function transitionIssue(jira, issueKey, status, resolution) {
+  const { transitions = [] } = await withRetry(() => jira.listTransitions(issueKey));
+  const target = status.toLowerCase();
+  
+  const transition =
+    transitions.find(t => t.to && t.to.name.toLowerCase() === target) ||
+    transitions.find(t => t.name.toLowerCase() === target);
+  
+  if (!transition) {
+    const validStatuses = [...new Set(transitions.map(t => (t.to ? t.to.name : t.name)))];
+    throw new ValidationError(
+      `Cannot move ${issueKey} to status "${status}". ` +
+      `Valid target statuses: ${validStatuses.length > 0 ? validStatuses.join(', ') : 'none'}`,
+      { platform: 'jira', field: 'status' }
+    );
+  }
+  
+  const issueTransition = {
+    transition: { id: transition.id }
+  };
+  
+  const resolutionField = transition.fields && transition.fields.resolution;
+  
+  if (resolutionField && (resolution || resolutionField.required)) {
+    const allowed = resolutionField.allowedValues || [];
+    let chosen;
+    
+    if (resolution) {
+      chosen = allowed.find(value => value.name.toLowerCase() === resolution.toLowerCase());
+      
+      if (!chosen && allowed.length > 0) {
+        throw new ValidationError(
+          `Invalid resolution "${resolution}" for ${issueKey}. ` +
+          `Valid resolutions: ${allowed.map(value => value.name).join(', ')}`,
+          { platform: 'jira', field: 'resolution' }
+        );
+      }
+    } else {
+      // Prefer "Done" when the workflow insists on a resolution
+      chosen = allowed.find(value => value.name.toLowerCase() === 'done') || allowed[0];
+    }
+    
+    issueTransition.fields = {
+      resolution: { name: chosen ? chosen.name : resolution }
+    };
+  }
+  
+  await withRetry(() => jira.transitionIssue(issueKey, issueTransition), { idempotent: false });
+}
+
 /**
  * Update an existing issue in JIRA
  * 
  * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
- * @param {Object} updateData - Data to update
- * @returns {Promise<Object>} - Updated issue
+ * @param {Object} updateData - Data to update (title, description, assignee,
+ *   labels, priority, components, fixVersions, dueDate, storyPoints,
+ *   environment, customFields); `status` (and optionally `resolution`)
+ *   moves the issue through its workflow. Fields that take values from a
+ *   list are checked against the issue's edit metadata
+ * @returns {Promise<Object>} - Updated issue in the unified model
+ * @throws {ValidationError} - If a field is unknown or not editable, or a
+ *   value isn't allowed
  */
 async function updateIssue(issueKey, updateData) {
   try {
     const jira = initializeClient();
     
     if (!issueKey) {
-      throw new Error('Issue key is required');
+      throw new ValidationError('Issue key is required', { platform: 'jira', field: 'key' });
     }
     
+    const input = normalizeIssueInput(updateData);
     const issue = {
       fields: {}
     };
     
     // Map update fields
-    if (updateData.summary) {
-      issue.fields.summary = updateData.summary;
+    if (input.title) {
+      issue.fields.summary = input.title;
+    }
+    
+    if (input.description) {
+      issue.fields.description = input.description;
+    }
+    
+    if (input.assignee) {
+      issue.fields.assignee = { name: input.assignee };
+    }
+    
+    if (input.labels) {
+      issue.fields.labels = input.labels;
+    }
+    
+    if (input.dueDate) {
+      issue.fields.duedate = input.dueDate;
+    }
+    
+    if (input.environment) {
+      issue.fields.environment = input.environment;
     }
     
-    if (updateData.description) {
-      issue.fields.description = updateData.description;
+    // Fields that take values from a list are checked against the edit metadata
+    if (Object.keys(getCheckedFields(input, {})).length > 0) {
+      const editMeta = await withRetry(() => jira.genericGet(`issue/${encodeURIComponent(issueKey)}/editmeta`));
+      resolveFields((editMeta && editMeta.fields) || {}, issue.fields, input, {
+        context: `Invalid update for ${issueKey}`
+      });
     }
     
-    if (updateData.assignee) {
-      issue.fields.assignee = { name: updateData.assignee };
+    // Only send a field update if there is something to change
+    if (Object.keys(issue.fields).length > 0 || !input.status) {
+      await withRetry(() => jira.updateIssue(issueKey, issue));
     }
     
-    if (updateData.status) {
-      // Note: Status transitions require additional handling via transitions API
-      // This is a placeholder for more complex implementation
-      console.warn('Status updates require transition handling - not implemented directly');
+    // Status changes go through the workflow transitions API
+    if (input.status) {
+      await transitionIssue(jira, issueKey, input.status, input.resolution);
     }
     
-    return await jira.updateIssue(issueKey, issue);
+    // JIRA returns no body for updates, so fetch the result
+    return toIssue(await withRetry(() => jira.findIssue(issueKey)));
   } catch (error) {
     console.error('Error updating JIRA issue:', error.message);
     throw error;
@@ -136,34 +768,366 @@ async function updateIssue(issueKey, updateData) {
 }
 
 /**
- * Search for issues using JQL
+ * Get a single issue by key
+ * 
+ * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
+ * @returns {Promise<Object>} - Issue in the unified model
+ */
+async function getIssue(issueKey) {
+  try {
+    const jira = initializeClient();
+    
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'jira', field: 'key' });
+    }
+    
+    return toIssue(await withRetry(() => jira.findIssue(issueKey)));
+  } catch (error) {
+    console.error('Error fetching JIRA issue:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Add a comment to an issue
+ * 
+ * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
+ * @param {string} body - Comment text
+ * @returns {Promise<Object>} - Created comment in the unified model
+ */
+async function addComment(issueKey, body) {
+  try {
+    const jira = initializeClient();
+    
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'jira', field: 'key' });
+    }
+    
+    if (!body) {
+      throw new ValidationError('Comment body is required', { platform: 'jira', field: 'body' });
+    }
+    
+    return toComment(await withRetry(() => jira.addComment(issueKey, body), { idempotent: false }));
+  } catch (error) {
+    console.error('Error adding JIRA comment:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List the comments on an issue, oldest first
+ * 
+ * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
+ * @returns {Promise<Object[]>} - Comments in the unified model
+ */
+async function listComments(issueKey) {
+  try {
+    const jira = initializeClient();
+    
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'jira', field: 'key' });
+    }
+    
+    const { comments = [] } = await withRetry(() => jira.getComments(issueKey));
+    return comments.map(toComment);
+  } catch (error) {
+    console.error('Error listing JIRA comments:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List the issues linked to an issue, including its parent and subtasks
+ * 
+ * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
+ * @returns {Promise<Object[]>} - Links in the unified model
+ */
+async function listLinks(issueKey) {
+  try {
+    const jira = initializeClient();
+    
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'jira', field: 'key' });
+    }
+    
+    const { fields = {} } = await withRetry(() => jira.findIssue(issueKey));
+    const links = [];
+    
+    if (fields.parent) {
+      links.push(toLink(fields.parent, 'child-of'));
+    }
+    
+    (fields.subtasks || []).forEach(subtask => {
+      links.push(toLink(subtask, 'parent-of'));
+    });
+    
+    // Each link holds the other issue on the side the description applies to
+    (fields.issuelinks || []).forEach(link => {
+      if (link.outwardIssue) {
+        links.push(toLink(link.outwardIssue, toLinkType(link.type.outward), link.id));
+      } else if (link.inwardIssue) {
+        links.push(toLink(link.inwardIssue, toLinkType(link.type.inward), link.id));
+      }
+    });
+    
+    return links;
+  } catch (error) {
+    console.error('Error listing JIRA issue links:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Link two issues
+ * 
+ * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
+ * @param {string} targetKey - Key of the issue to link to
+ * @param {string} [type] - How the issue relates to the target: relates
+ *   (default), blocks or blocked-by
+ * @returns {Promise<Object>} - Created link in the unified model
+ */
+async function linkIssues(issueKey, targetKey, type) {
+  try {
+    const jira = initializeClient();
+    
+    if (!issueKey || !targetKey) {
+      throw new ValidationError('Issue key and target issue key are required', { platform: 'jira' });
+    }
+    
+    const linkType = normalizeLinkType(type);
+    
+    // The outward description ("blocks") reads from the inward issue to the outward one
+    const [inward, outward] = linkType === 'blocked-by' ? [targetKey, issueKey] : [issueKey, targetKey];
+    
+    await withRetry(() => jira.issueLink({
+      type: { name: linkType === 'relates' ? 'Relates' : 'Blocks' },
+      inwardIssue: { key: inward },
+      outwardIssue: { key: outward }
+    }), { idempotent: false });
+    
+    // JIRA returns no body for new links, so look the link up
+    const links = await listLinks(issueKey);
+    return links.find(link => link.key === targetKey && link.type === linkType) ||
+      createLink('jira', { type: linkType, key: targetKey });
+  } catch (error) {
+    console.error('Error linking JIRA issues:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove the links between two issues
+ * 
+ * Parent/subtask relationships belong to the issues themselves and
+ * can't be removed this way.
+ * 
+ * @param {string} issueKey - The issue key (e.g., "PROJECT-123")
+ * @param {string} targetKey - Key of the linked issue
+ * @param {string} [type] - Only remove links of this type
+ * @returns {Promise<Object[]>} - Removed links in the unified model
+ */
+async function unlinkIssues(issueKey, targetKey, type) {
+  try {
+    const jira = initializeClient();
+    const linkType = type ? normalizeLinkType(type) : null;
+    
+    const links = (await listLinks(issueKey)).filter(link =>
+      link.id && link.key === targetKey && (!linkType || link.type === linkType)
+    );
+    
+    if (links.length === 0) {
+      throw new NotFoundError(`No ${linkType ? `"${linkType}" ` : ''}link between ${issueKey} and ${targetKey}`, { platform: 'jira' });
+    }
+    
+    for (const link of links) {
+      await withRetry(() => jira.deleteIssueLink(link.id));
+    }
+    
+    return links;
+  } catch (error) {
+    console.error('Error unlinking JIRA issues:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Search for issues
+ * 
+ * Accepts either unified search parameters or, as before, a JQL string
+ * followed by search options.
  * 
- * @param {string} jql - JQL query string
- * @param {Object} options - Additional options (maxResults, startAt, fields)
- * @returns {Promise<Object>} - Search results
+ * @param {Object|string} query - Search parameters (project, key, status, assignee,
+ *   author, labels, text, maxResults, startAt, fields, or raw jql) or a JQL string
+ * @param {Object} options - Additional options when query is JQL (maxResults, startAt, fields)
+ * @returns {Promise<Object>} - Matching issues in the unified model and the total count
  */
-async function searchIssues(jql, options = {}) {
+async function searchIssues(query = {}, options = {}) {
   try {
     const jira = initializeClient();
     
+    const params = typeof query === 'string'
+      ? { jql: query, ...options }
+      : normalizeSearchQuery({ ...query.options, ...query });
+    
+    const maxResults = params.maxResults || 50;
     const searchOptions = {
-      jql: jql,
-      maxResults: options.maxResults || 50,
-      startAt: options.startAt || 0,
-      fields: options.fields || ['summary', 'status', 'assignee', 'description', 'created', 'updated']
+      jql: params.jql || buildJql(params),
+      maxResults,
+      startAt: params.startAt || (params.page ? (params.page - 1) * maxResults : 0),
+      fields: params.fields || DEFAULT_SEARCH_FIELDS
     };
     
-    return await jira.searchJira(searchOptions.jql, searchOptions);
+    const results = await withRetry(() => jira.searchJira(searchOptions.jql, searchOptions));
+    
+    return {
+      issues: (results.issues || []).map(toIssue),
+      total: results.total
+    };
   } catch (error) {
     console.error('Error searching JIRA issues:', error.message);
     throw error;
   }
 }
 
+/**
+ * List the projects the configured user can see
+ * 
+ * @returns {Promise<Object[]>} - Projects (id, key, name, url)
+ */
+async function listProjects() {
+  try {
+    const jira = initializeClient();
+    const projects = await withRetry(() => jira.listProjects());
+    
+    return projects.map(project => ({
+      id: String(project.id),
+      key: project.key,
+      name: project.name,
+      url: `${getBaseUrl()}/browse/${project.key}`
+    }));
+  } catch (error) {
+    console.error('Error listing JIRA projects:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Summarize the custom fields of a project's issue types
+ * 
+ * @param {Object[]} issueTypes - Issue types with their fields, from create metadata
+ * @returns {Object[]} - Custom fields (id, name, type, issueTypes,
+ *   requiredFor, allowedValues)
+ */
+function toCustomFields(issueTypes) {
+  const fields = new Map();
+  
+  issueTypes.forEach(issueType => {
+    Object.entries(issueType.fields || {})
+      .filter(([id]) => id.startsWith('customfield_'))
+      .forEach(([id, field]) => {
+        if (!fields.has(id)) {
+          const schema = field.schema || {};
+          fields.set(id, {
+            id,
+            name: field.name,
+            type: schema.type === 'array' && schema.items ? `array of ${schema.items}` : schema.type || null,
+            issueTypes: [],
+            requiredFor: [],
+            allowedValues: field.allowedValues
+              ? field.allowedValues.map(value => value.value || value.name)
+              : null
+          });
+        }
+        
+        const summary = fields.get(id);
+        summary.issueTypes.push(issueType.name);
+        if (field.required) {
+          summary.requiredFor.push(issueType.name);
+        }
+      });
+  });
+  
+  return [...fields.values()];
+}
+
+/**
+ * Describe what exists in a project: issue types, workflow statuses,
+ * priorities, components and custom fields
+ * 
+ * @param {string} [project] - Project key, defaults to the configured project
+ * @returns {Promise<Object>} - Project metadata
+ */
+async function getProjectMetadata(project) {
+  try {
+    const jira = initializeClient();
+    const projectKey = project || getPlatformConfig('jira').project;
+    
+    if (!projectKey) {
+      throw new ValidationError('Project key is required', { platform: 'jira', field: 'project' });
+    }
+    
+    const [details, workflows, priorities, issueTypes] = await Promise.all([
+      withRetry(() => jira.getProject(projectKey)),
+      withRetry(() => jira.genericGet(`project/${encodeURIComponent(projectKey)}/statuses`)),
+      withRetry(() => jira.listPriorities()),
+      getIssueTypes(jira, projectKey)
+    ]);
+    
+    // Statuses are listed per issue type; most are shared
+    const statuses = new Map();
+    workflows.forEach(workflow => {
+      (workflow.statuses || []).forEach(status => {
+        if (!statuses.has(status.name)) {
+          statuses.set(status.name, {
+            name: status.name,
+            category: status.statusCategory ? status.statusCategory.name : null,
+            issueTypes: []
+          });
+        }
+        statuses.get(status.name).issueTypes.push(workflow.name);
+      });
+    });
+    
+    return {
+      project: {
+        id: String(details.id),
+        key: details.key,
+        name: details.name,
+        url: `${getBaseUrl()}/browse/${details.key}`
+      },
+      issueTypes: (details.issueTypes || issueTypes).map(type => ({
+        id: String(type.id),
+        name: type.name,
+        subtask: !!type.subtask
+      })),
+      statuses: [...statuses.values()],
+      priorities: priorities.map(priority => priority.name),
+      components: (details.components || []).map(component => ({
+        id: String(component.id),
+        name: component.name,
+        description: component.description || ''
+      })),
+      customFields: toCustomFields(issueTypes),
+      platform: 'jira'
+    };
+  } catch (error) {
+    console.error('Error fetching JIRA project metadata:', error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   createIssue,
   updateIssue,
+  getIssue,
   searchIssues,
+  addComment,
+  listComments,
+  linkIssues,
+  listLinks,
+  unlinkIssues,
+  listProjects,
+  getProjectMetadata,
   // Export for testing
   hasRequiredEnv
 };
@@ -0,0 +1,513 @@
+/**
+ * Local Client Module
+ *
+ * Handles issue management against a local JSON task file, for offline
+ * use, demos and tests
+ *
+ * The file uses the tasks.json layout: phases keyed by name, each holding
+ * tasks that may have subtasks.
+ *
+ *   { "phase1": { "title": "...", "description": "...", "tasks": [
+ *     { "id": "P1-1", "title": "...", "subtasks": [
+ *       { "id": "P1-1.1", "title": "...", "status": "todo", "priority": "high" }
+ *     ] }
+ *   ] } }
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const {
+  createIssue: createIssueModel,
+  createComment,
+  normalizeIssueInput,
+  normalizeSearchQuery,
+  toOpenState
+} = require('./issue-model');
+const { getPlatformConfig, getActiveUser } = require('./config');
+const { ConfigError, NotFoundError, ValidationError } = require('./errors');
+
+const DEFAULT_STATUS = 'todo';
+const DONE_STATUS = 'done';
+const IN_PROGRESS_STATUS = 'in-progress';
+
+// Mutations are queued so concurrent requests don't overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Check if the local backend is configured
+ *
+ * The task file is created on first write, so nothing is required.
+ *
+ * @returns {boolean} Always true
+ */
+function hasRequiredEnv() {
+  return true;
+}
+
+/**
+ * Get the path of the task file
+ *
+ * Authenticated users must have a profile naming their task file, so they
+ * can't fall back to the server's own.
+ *
+ * @returns {string} - Absolute path, from LOCAL_TASKS_FILE or the profile, defaulting to ./tasks.json
+ */
+function getTasksFile() {
+  const { file } = getPlatformConfig('local');
+  const user = getActiveUser();
+
+  if (!file && user) {
+    throw new ConfigError(`No local task file is configured for user ${user.name}`, { platform: 'local' });
+  }
+
+  return path.resolve(file || 'tasks.json');
+}
+
+/**
+ * Read the task file
+ *
+ * @param {string} [file] - Path of the task file, defaults to the configured one
+ * @returns {Promise<Object>} - Phases keyed by name, empty if the file doesn't exist yet
+ */
+async function readTasks(file = getTasksFile()) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new ConfigError(`Cannot read task file ${file}: ${error.message}`, { platform: 'local' });
+  }
+}
+
+/**
+ * Write the task file atomically
+ *
+ * The data is written to a temporary file next to the task file and
+ * renamed over it, so readers never see a half-written file.
+ *
+ * @param {Object} data - Phases keyed by name
+ * @param {string} [file] - Path of the task file, defaults to the configured one
+ * @returns {Promise<void>}
+ */
+async function writeTasks(data, file = getTasksFile()) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2) + '\n');
+  await fs.promises.rename(tempFile, file);
+}
+
+/**
+ * Read, change and write the task file as one queued step
+ *
+ * @param {Function} fn - Receives the task data, mutates it and returns a result
+ * @returns {Promise<*>} - Result of fn
+ */
+function mutateTasks(fn) {
+  const run = writeQueue.then(async () => {
+    const data = await readTasks();
+    const result = await fn(data);
+    await writeTasks(data);
+    return result;
+  });
+
+  // Keep the queue going after a failed mutation
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Walk every task and subtask in the task data
+ *
+ * @param {Object} data - Phases keyed by name
+ * @returns {Object[]} - Entries with the task, its phase key and its parent task
+ */
+function flattenTasks(data) {
+  const entries = [];
+
+  const visit = (tasks, phase, parent) => {
+    (tasks || []).forEach(task => {
+      entries.push({ task, phase, parent });
+      visit(task.subtasks, phase, task);
+    });
+  };
+
+  Object.entries(data).forEach(([phase, { tasks }]) => visit(tasks, phase, null));
+  return entries;
+}
+
+/**
+ * Find a task by id
+ *
+ * @param {Object} data - Phases keyed by name
+ * @param {string} key - Task id (e.g. "P1-1.2")
+ * @returns {Object} - Entry with the task, its phase key and its parent task
+ */
+function findTask(data, key) {
+  const entry = flattenTasks(data).find(({ task }) => task.id === key);
+
+  if (!entry) {
+    throw new NotFoundError(`Task ${key} not found in ${getTasksFile()}`, { platform: 'local' });
+  }
+
+  return entry;
+}
+
+/**
+ * Get the status of a task
+ *
+ * Tasks without their own status take it from their subtasks.
+ *
+ * @param {Object} task - Task
+ * @returns {string} - Status
+ */
+function getTaskStatus(task) {
+  if (task.status) {
+    return task.status;
+  }
+
+  const subtasks = task.subtasks || [];
+  if (subtasks.length === 0) {
+    return DEFAULT_STATUS;
+  }
+
+  const statuses = subtasks.map(getTaskStatus);
+  if (statuses.every(status => status === DONE_STATUS)) {
+    return DONE_STATUS;
+  }
+  return statuses.some(status => status !== DEFAULT_STATUS) ? IN_PROGRESS_STATUS : DEFAULT_STATUS;
+}
+
+/**
+ * Map a unified status onto a task status
+ *
+ * @param {string} status - Status such as 'close', 'reopen' or 'in-progress'
+ * @returns {string} - Task status
+ */
+function toTaskStatus(status) {
+  switch (toOpenState(status)) {
+    case 'closed':
+      return DONE_STATUS;
+    case 'opened':
+      return DEFAULT_STATUS;
+    default:
+      return String(status).toLowerCase();
+  }
+}
+
+/**
+ * Generate the next id in a list of tasks
+ *
+ * Follows the numbering already in use, e.g. "P1-3" after "P1-2", and
+ * "P1-3.1" for the first subtask of "P1-3".
+ *
+ * @param {Object[]} siblings - Tasks the new task will sit next to
+ * @param {string} prefix - Prefix to use when there are no siblings to follow
+ * @returns {string} - New id
+ */
+function nextId(siblings, prefix) {
+  let numbering = prefix;
+  let highest = 0;
+
+  siblings.forEach(({ id }) => {
+    const match = /^(.*?)(\d+)$/.exec(id || '');
+    if (match) {
+      numbering = match[1];
+      highest = Math.max(highest, parseInt(match[2], 10));
+    }
+  });
+
+  return `${numbering}${highest + 1}`;
+}
+
+/**
+ * Map a task onto the unified issue model
+ *
+ * @param {Object} entry - Entry with the task, its phase key and its parent task
+ * @returns {Object} - Normalized issue
+ */
+function toIssue({ task, parent }) {
+  return createIssueModel('local', {
+    id: task.id,
+    key: task.id,
+    title: task.title,
+    description: task.description,
+    status: getTaskStatus(task),
+    assignee: task.assignee,
+    labels: task.labels,
+    priority: task.priority,
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+    dueDate: task.dueDate,
+    url: null,
+    parent: parent && parent.id,
+    commentCount: (task.comments || []).length
+  });
+}
+
+/**
+ * Create a new task
+ *
+ * @param {Object} issueData - Issue data (project, title, description,
+ *   parent, status, priority, assignee, labels, dueDate); the project is
+ *   the phase key and defaults to the configured or first phase
+ * @returns {Promise<Object>} - Created task in the unified model
+ */
+async function createIssue(issueData) {
+  try {
+    const input = normalizeIssueInput(issueData);
+
+    // Validate required fields
+    if (!input.title) {
+      throw new ValidationError('Issue title is required', { platform: 'local', field: 'title' });
+    }
+
+    return await mutateTasks(data => {
+      const now = new Date().toISOString();
+      let siblings, prefix, parent = null, phase;
+
+      if (input.parent) {
+        ({ task: parent, phase } = findTask(data, input.parent));
+        parent.subtasks = parent.subtasks || [];
+        siblings = parent.subtasks;
+        prefix = `${parent.id}.`;
+      } else {
+        phase = input.project || getPlatformConfig('local').project || Object.keys(data)[0] || 'tasks';
+        data[phase] = data[phase] || { title: phase, description: '', tasks: [] };
+        data[phase].tasks = data[phase].tasks || [];
+        siblings = data[phase].tasks;
+        prefix = `${phase.toUpperCase()}-`;
+      }
+
+      const task = {
+        id: nextId(siblings, prefix),
+        title: input.title,
+        description: input.description || '',
+        status: input.status ? toTaskStatus(input.status) : DEFAULT_STATUS,
+        priority: input.priority || 'medium'
+      };
+
+      // Add optional fields if provided
+      if (input.assignee) {
+        task.assignee = input.assignee;
+      }
+
+      if (input.labels && Array.isArray(input.labels)) {
+        task.labels = input.labels;
+      }
+
+      if (input.dueDate) {
+        task.dueDate = input.dueDate;
+      }
+
+      task.createdAt = now;
+      task.updatedAt = now;
+
+      siblings.push(task);
+      return toIssue({ task, phase, parent });
+    });
+  } catch (error) {
+    console.error('Error creating local task:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing task
+ *
+ * @param {string} issueKey - Task id (e.g. "P1-1.2")
+ * @param {Object} updateData - Data to update (title, description, status,
+ *   priority, assignee, labels, dueDate)
+ * @returns {Promise<Object>} - Updated task in the unified model
+ */
+async function updateIssue(issueKey, updateData) {
+  try {
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'local', field: 'key' });
+    }
+
+    const input = normalizeIssueInput(updateData);
+
+    return await mutateTasks(data => {
+      const entry = findTask(data, issueKey);
+      const { task } = entry;
+
+      ['title', 'description', 'priority', 'assignee', 'labels', 'dueDate'].forEach(field => {
+        if (input[field] !== undefined) {
+          task[field] = input[field];
+        }
+      });
+
+      if (input.status) {
+        task.status = toTaskStatus(input.status);
+      }
+
+      task.updatedAt = new Date().toISOString();
+      return toIssue(entry);
+    });
+  } catch (error) {
+    console.error('Error updating local task:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single task by id
+ *
+ * @param {string} issueKey - Task id (e.g. "P1-1.2")
+ * @returns {Promise<Object>} - Task in the unified model
+ */
+async function getIssue(issueKey) {
+  try {
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'local', field: 'key' });
+    }
+
+    return toIssue(findTask(await readTasks(), issueKey));
+  } catch (error) {
+    console.error('Error fetching local task:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Search for tasks, including subtasks
+ *
+ * @param {Object} params - Search parameters (project, key, status, assignee,
+ *   labels, text, maxResults, page); without a project every phase is searched
+ * @returns {Promise<Object>} - Matching tasks in the unified model and the total count
+ */
+async function searchIssues(params = {}) {
+  try {
+    const query = normalizeSearchQuery(params);
+    const state = query.status ? toOpenState(query.status) : null;
+    const text = query.text ? query.text.toLowerCase() : null;
+    const labels = query.labels
+      ? [].concat(query.labels).join(',').split(',').map(label => label.trim()).filter(Boolean)
+      : [];
+
+    const matches = flattenTasks(await readTasks()).filter(({ task, phase }) => {
+      const status = getTaskStatus(task);
+
+      if (query.project && phase !== query.project) {
+        return false;
+      }
+
+      if (query.key && task.id !== query.key) {
+        return false;
+      }
+
+      if (state === 'opened' && status === DONE_STATUS) {
+        return false;
+      }
+
+      if (state === 'closed' && status !== DONE_STATUS) {
+        return false;
+      }
+
+      if (query.status && !state && status !== toTaskStatus(query.status)) {
+        return false;
+      }
+
+      if (query.assignee && task.assignee !== query.assignee) {
+        return false;
+      }
+
+      if (labels.some(label => !(task.labels || []).includes(label))) {
+        return false;
+      }
+
+      if (text && !`${task.title} ${task.description || ''}`.toLowerCase().includes(text)) {
+        return false;
+      }
+
+      return true;
+    });
+
+    const maxResults = query.maxResults || 50;
+    const start = ((query.page || 1) - 1) * maxResults;
+
+    return {
+      issues: matches.slice(start, start + maxResults).map(toIssue),
+      total: matches.length
+    };
+  } catch (error) {
+    console.error('Error searching local tasks:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Add a comment to a task
+ *
+ * @param {string} issueKey - Task id (e.g. "P1-1.2")
+ * @param {string} body - Comment text
+ * @returns {Promise<Object>} - Created comment in the unified model
+ */
+async function addComment(issueKey, body) {
+  try {
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'local', field: 'key' });
+    }
+
+    if (!body) {
+      throw new ValidationError('Comment body is required', { platform: 'local', field: 'body' });
+    }
+
+    return await mutateTasks(data => {
+      const { task } = findTask(data, issueKey);
+      const now = new Date().toISOString();
+
+      task.comments = task.comments || [];
+      const comment = {
+        id: String(task.comments.length + 1),
+        author: process.env.USER || null,
+        body,
+        createdAt: now
+      };
+      task.comments.push(comment);
+
+      return createComment('local', { ...comment, updatedAt: now });
+    });
+  } catch (error) {
+    console.error('Error adding local comment:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List the comments on a task, oldest first
+ *
+ * @param {string} issueKey - Task id (e.g. "P1-1.2")
+ * @returns {Promise<Object[]>} - Comments in the unified model
+ */
+async function listComments(issueKey) {
+  try {
+    if (!issueKey) {
+      throw new ValidationError('Issue key is required', { platform: 'local', field: 'key' });
+    }
+
+    const { task } = findTask(await readTasks(), issueKey);
+    return (task.comments || []).map(comment => createComment('local', comment));
+  } catch (error) {
+    console.error('Error listing local comments:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  createIssue,
+  updateIssue,
+  getIssue,
+  searchIssues,
+  addComment,
+  listComments,
+  hasRequiredEnv,
+  // Task file helpers shared with sync
+  readTasks,
+  writeTasks,
+  flattenTasks,
+  getTaskStatus
+};
@@ -0,0 +1,209 @@
+/**
+ * MCP Connection Module
+ *
+ * Keeps a single MCP server process alive and multiplexes requests over
+ * its stdio, correlating responses to requests by id
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { fromRpcError } = require('./errors');
+
+// Default time to wait for a response before giving up on a request
+const DEFAULT_TIMEOUT = 60000;
+
+// Time the server spends at most finishing its requests once its stdin
+// closes, unless MCP_SHUTDOWN_TIMEOUT says otherwise (the server reads the
+// same variable), and the extra time it gets to exit after that
+const DEFAULT_SHUTDOWN_TIMEOUT = 30000;
+const EXIT_GRACE = 5000;
+
+// Server output kept for the exit error; only the end explains a crash
+const MAX_STDERR = 4096;
+
+/**
+ * Create a connection to an MCP server process
+ *
+ * The server is spawned lazily on the first request and respawned if it
+ * exits between requests.
+ *
+ * @param {Object} options - Connection options
+ * @param {string} options.serverPath - Path to the MCP server entry point
+ * @param {number} [options.timeout] - Default per-request timeout in milliseconds
+ * @returns {Object} - Connection with request() and close() methods
+ */
+function createMcpConnection(options) {
+  const { serverPath } = options;
+  const defaultTimeout = options.timeout || DEFAULT_TIMEOUT;
+  const closeTimeout = parseInt(process.env.MCP_SHUTDOWN_TIMEOUT || String(DEFAULT_SHUTDOWN_TIMEOUT), 10) + EXIT_GRACE;
+
+  const pending = new Map();
+  let server = null;
+  let exited = null;
+  let stderr = '';
+  let nextId = 1;
+
+  // Settle a pending request and clear its timer
+  function settle(id, error, result) {
+    const entry = pending.get(id);
+    if (!entry) {
+      return;
+    }
+
+    pending.delete(id);
+    clearTimeout(entry.timer);
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+
+  // Route a line of server output to the request it answers
+  function handleLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let response;
+    try {
+      response = JSON.parse(line);
+    } catch (error) {
+      console.error(`[WARN] Ignoring unparseable MCP output: ${line}`);
+      return;
+    }
+
+    const id = response.id === undefined || response.id === null ? null : String(response.id);
+    if (!id || !pending.has(id)) {
+      return;
+    }
+
+    // Errors come back as the type the server raised, so callers can tell them apart
+    if (response.error) {
+      settle(id, fromRpcError(response.error));
+    } else {
+      settle(id, null, response.result);
+    }
+  }
+
+  // Spawn the server process and wire up its streams
+  function start() {
+    const child = spawn('node', [serverPath]);
+    stderr = '';
+
+    readline.createInterface({ input: child.stdout, terminal: false }).on('line', handleLine);
+
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-MAX_STDERR);
+      // We only log errors in debug mode or if they seem important
+      if (process.env.LOG_LEVEL === 'debug') {
+        console.error(`[DEBUG] MCP Server: ${data.toString()}`);
+      }
+    });
+
+    exited = new Promise((resolve) => {
+      const onExit = (code) => {
+        if (server === child) {
+          server = null;
+        }
+
+        // Fail anything still waiting on this process
+        for (const id of [...pending.keys()]) {
+          settle(id, new Error(`MCP server exited with code ${code}: ${stderr}`));
+        }
+
+        resolve(code);
+      };
+
+      child.on('close', onExit);
+      child.on('error', (error) => {
+        stderr = (stderr + error.message).slice(-MAX_STDERR);
+        onExit(null);
+      });
+    });
+
+    server = child;
+    return child;
+  }
+
+  // Tell the server to stop working on a request nobody is waiting for
+  function cancel(child, id, reason) {
+    if (child !== server) {
+      return;
+    }
+
+    child.stdin.write(JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: id, reason }
+    }) + '\n');
+  }
+
+  /**
+   * Send a request to the MCP server
+   *
+   * @param {string} method - MCP method name
+   * @param {Object} params - Parameters for the method
+   * @param {Object} [requestOptions] - Request options
+   * @param {number} [requestOptions.timeout] - Timeout in milliseconds for this request
+   * @returns {Promise<Object>} - Result from the MCP server
+   */
+  function request(method, params, requestOptions = {}) {
+    const child = server || start();
+    const id = String(nextId++);
+    const timeout = requestOptions.timeout || defaultTimeout;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        settle(id, new Error(`MCP request ${method} timed out after ${timeout}ms`));
+        cancel(child, id, 'timed out');
+      }, timeout);
+
+      pending.set(id, { resolve, reject, timer });
+
+      child.stdin.write(JSON.stringify({ id, method, params }) + '\n');
+    });
+  }
+
+  /**
+   * Close the connection, letting the server finish and exit
+   *
+   * The server is only killed if it is still running once its own shutdown
+   * timeout has passed.
+   *
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    const child = server;
+    if (!child) {
+      return;
+    }
+
+    child.stdin.end();
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve('timeout'), closeTimeout);
+    });
+
+    if (await Promise.race([exited, timedOut]) === 'timeout') {
+      child.kill();
+    }
+    clearTimeout(timer);
+  }
+
+  return {
+    request,
+    close,
+    // Number of requests still waiting for a response
+    get pendingCount() {
+      return pending.size;
+    }
+  };
+}
+
+module.exports = {
+  createMcpConnection,
+  DEFAULT_TIMEOUT
+};
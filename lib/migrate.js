@@ -0,0 +1,247 @@
+/**
+ * Migrate Module
+ *
+ * Copies issues, with their comments, from one platform to another
+ *
+ * Progress is recorded in a mapping of old key → new issue that is saved
+ * after every step, so an interrupted migration picks up where it stopped
+ * instead of creating duplicates.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { comparableStatus, toRemoteStatus } = require('./sync');
+
+// Issues fetched from the source per search request
+const PAGE_SIZE = 50;
+
+const PLATFORM_NAMES = {
+  jira: 'JIRA',
+  gitlab: 'GitLab',
+  github: 'GitHub',
+  local: 'the local task file'
+};
+
+/**
+ * Read a mapping file, starting a new mapping if it does not exist
+ *
+ * @param {string} file - Path to the mapping file
+ * @param {string} from - Source platform
+ * @param {string} to - Target platform
+ * @returns {Promise<Object>} - Mapping with from, to and issues keyed by old key
+ */
+async function readMapping(file, from, to) {
+  let mapping;
+
+  try {
+    mapping = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { from, to, issues: {} };
+    }
+    throw new Error(`Invalid mapping file ${file}: ${error.message}`);
+  }
+
+  if (mapping.from !== from || mapping.to !== to) {
+    throw new Error(`Mapping file ${file} is for a migration from ${mapping.from} to ${mapping.to}`);
+  }
+
+  return { ...mapping, issues: mapping.issues || {} };
+}
+
+/**
+ * Write a mapping file atomically
+ *
+ * @param {string} file - Path to the mapping file
+ * @param {Object} mapping - Mapping to write
+ * @returns {Promise<void>}
+ */
+async function writeMapping(file, mapping) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tempFile, JSON.stringify(mapping, null, 2) + '\n');
+  await fs.promises.rename(tempFile, file);
+}
+
+/**
+ * Fetch every issue in the source project, in all states
+ *
+ * Pages are fetched until one comes back empty, since neither the page
+ * length nor the total is reliable: GitLab and GitHub only count the issues
+ * on the page, and GitHub drops pull requests from its pages.
+ *
+ * @param {Object} source - Source client
+ * @param {string} project - Source project
+ * @returns {Promise<Object[]>} - Issues in the unified model
+ */
+async function fetchAllIssues(source, project) {
+  const issues = [];
+
+  for (let page = 1; ; page++) {
+    const result = await source.searchIssues({ project, status: 'all', maxResults: PAGE_SIZE, page });
+    if (result.issues.length === 0) {
+      return issues;
+    }
+
+    issues.push(...result.issues);
+  }
+}
+
+/**
+ * Format a comment for the target, which records the original author and date
+ * since comments can only be posted as the migrating user
+ *
+ * @param {Object} comment - Comment in the unified model
+ * @returns {string} - Comment body
+ */
+function formatComment(comment) {
+  const date = comment.createdAt ? ` on ${comment.createdAt}` : '';
+  return `${comment.author || 'Unknown user'} wrote${date}:\n\n${comment.body}`;
+}
+
+/**
+ * Migrate every issue in a project from one platform to another
+ *
+ * Parents are migrated before their subtasks. Issues already completed in
+ * the mapping are skipped, and partly migrated ones are finished.
+ *
+ * @param {Object} options - Migration options
+ * @param {Object} options.source - Source client with searchIssues(query)
+ *   and listComments(key)
+ * @param {Object} options.target - Target client with createIssue(data),
+ *   updateIssue(key, updateData) and addComment(key, body)
+ * @param {string} options.from - Source platform name
+ * @param {string} options.to - Target platform name
+ * @param {string} [options.project] - Source project
+ * @param {string} [options.targetProject] - Target project
+ * @param {Object} [options.userMap] - Target usernames keyed by source username
+ * @param {Object} options.mapping - Mapping read with readMapping; updated in place
+ * @param {Function} [options.saveMapping] - Called with the mapping after every step
+ * @returns {Promise<Object>} - Report with migrated, skipped, warnings and errors entries
+ */
+async function migrateIssues({
+  source,
+  target,
+  from,
+  to,
+  project,
+  targetProject,
+  userMap = {},
+  mapping,
+  saveMapping = async () => {}
+}) {
+  const report = { migrated: [], skipped: [], warnings: [], errors: [] };
+  const issues = await fetchAllIssues(source, project);
+  const byKey = new Map(issues.map(issue => [issue.key, issue]));
+  const pending = new Map();
+
+  for (const issue of issues) {
+    try {
+      await migrate(issue);
+    } catch (error) {
+      report.errors.push({ from: issue.key, message: error.message });
+    }
+  }
+
+  return report;
+
+  // Migrate an issue once, even when several subtasks wait for it
+  function migrate(issue) {
+    if (!pending.has(issue.key)) {
+      pending.set(issue.key, migrateIssue(issue));
+    }
+    return pending.get(issue.key);
+  }
+
+  async function migrateIssue(issue) {
+    let entry = mapping.issues[issue.key];
+
+    if (entry && entry.done) {
+      report.skipped.push({ from: issue.key, to: entry.key });
+      return entry;
+    }
+
+    if (!entry) {
+      entry = await createTargetIssue(issue);
+    }
+
+    // Creating the issue leaves it open; later steps are safe to repeat
+    if (comparableStatus(to, issue.status) !== comparableStatus(to, entry.status)) {
+      const updated = await target.updateIssue(entry.key, { status: toRemoteStatus(to, issue.status) });
+      entry.status = updated.status;
+      await saveMapping(mapping);
+    }
+
+    if (issue.commentCount !== 0) {
+      const comments = await source.listComments(issue.key);
+
+      // Comments already copied before an interruption are counted, not repeated
+      for (const comment of comments.slice(entry.comments)) {
+        await target.addComment(entry.key, formatComment(comment));
+        entry.comments += 1;
+        await saveMapping(mapping);
+      }
+    }
+
+    entry.done = true;
+    await saveMapping(mapping);
+    report.migrated.push({ from: issue.key, to: entry.key, url: entry.url });
+    return entry;
+  }
+
+  async function createTargetIssue(issue) {
+    const parent = issue.parent && byKey.get(issue.parent);
+
+    // The parent only has to exist, even if copying its comments failed
+    if (parent) {
+      await migrate(parent).catch(() => {});
+    }
+
+    const parentEntry = parent ? mapping.issues[parent.key] : null;
+
+    if (parent && !parentEntry) {
+      throw new Error(`Parent issue ${issue.parent} was not migrated`);
+    }
+
+    const origin = issue.url ? `${issue.key} (${issue.url})` : issue.key;
+    const issueData = {
+      project: targetProject,
+      title: issue.title,
+      description: `${issue.description || ''}\n\nMigrated from ${PLATFORM_NAMES[from] || from} issue ${origin}`.trim(),
+      labels: issue.labels,
+      platform: to
+    };
+
+    if (issue.assignee && userMap[issue.assignee]) {
+      issueData.assignee = userMap[issue.assignee];
+    } else if (issue.assignee) {
+      report.warnings.push({ from: issue.key, message: `No user mapped for assignee ${issue.assignee}; left unassigned` });
+    }
+
+    if (parentEntry && to !== 'github') {
+      // JIRA creates a sub-task, GitLab links the new issue to its parent
+      issueData.parent = parentEntry.key;
+      if (to === 'jira') {
+        issueData.issueType = 'Sub-task';
+      }
+    } else if (parentEntry) {
+      // GitHub auto-links "#123" references back to the parent issue
+      issueData.description = `${issueData.description}\n\nParent Issue: ${parentEntry.key}`;
+    }
+
+    const created = await target.createIssue(issueData);
+    const entry = { key: created.key, url: created.url, status: created.status, comments: 0, done: false };
+
+    mapping.issues[issue.key] = entry;
+    await saveMapping(mapping);
+    return entry;
+  }
+}
+
+module.exports = {
+  fetchAllIssues,
+  readMapping,
+  writeMapping,
+  migrateIssues
+};
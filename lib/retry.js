@@ -0,0 +1,323 @@
+/**
+ * Retry Module
+ *
+ * Wraps platform API calls so transient failures (rate limits, server
+ * errors, dropped connections) are retried with exponential backoff
+ */
+
+require('dotenv').config();
+const {
+  ProjectManagerError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  UpstreamError
+} = require('./errors');
+
+// Default number of retries after the first attempt
+const DEFAULT_RETRIES = 3;
+
+// Backoff bounds in milliseconds
+const BASE_DELAY = 500;
+const MAX_DELAY = 30000;
+
+// Server errors worth retrying
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+// Network errors worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Get the HTTP status of a failed request
+ *
+ * Handles the error shapes of jira-client (request-promise), gitbeaker (got)
+ * and Octokit.
+ *
+ * @param {Error} error - Request error
+ * @returns {number|null} - HTTP status code
+ */
+function getStatus(error) {
+  const response = error.response || {};
+  return error.statusCode || error.status || response.statusCode || response.status || null;
+}
+
+/**
+ * Get a response header of a failed request
+ *
+ * @param {Error} error - Request error
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(error, name) {
+  const headers = error.response && error.response.headers;
+  if (!headers) {
+    return undefined;
+  }
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+/**
+ * Get the network error code of a failed request, if it never got a response
+ *
+ * @param {Error} error - Request error
+ * @returns {string|undefined} - Error code such as ECONNRESET
+ */
+function getNetworkCode(error) {
+  return error.code || (error.cause && error.cause.code) || (error.error && error.error.code);
+}
+
+/**
+ * Check whether a request was rejected by a rate limit
+ *
+ * GitHub reports exhausted rate limits as 403 with no remaining requests.
+ *
+ * @param {Error} error - Request error
+ * @returns {boolean} - True if rate limited
+ */
+function isRateLimited(error) {
+  const status = getStatus(error);
+  return status === 429 || (status === 403 && getHeader(error, 'x-ratelimit-remaining') === '0');
+}
+
+/**
+ * Check whether a failed request may be retried
+ *
+ * Rate-limited requests were never processed, so they are always safe to
+ * retry. Server errors and dropped connections may have been processed,
+ * so they are only retried for idempotent calls.
+ *
+ * @param {Error} error - Request error
+ * @param {boolean} idempotent - Whether repeating the call is harmless
+ * @returns {boolean} - True if the request should be retried
+ */
+function isRetryable(error, idempotent) {
+  if (isRateLimited(error)) {
+    return true;
+  }
+
+  if (!idempotent) {
+    return false;
+  }
+
+  return RETRYABLE_STATUSES.includes(getStatus(error)) || RETRYABLE_CODES.includes(getNetworkCode(error));
+}
+
+/**
+ * Get how long the platform asked us to wait before retrying
+ *
+ * Honors `Retry-After` (seconds or an HTTP date) and the reset time sent
+ * by GitLab (`RateLimit-Reset`) and GitHub (`X-RateLimit-Reset`) as epoch
+ * seconds.
+ *
+ * @param {Error} error - Request error
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null if not given
+ */
+function getRetryAfter(error, now = Date.now()) {
+  const retryAfter = getHeader(error, 'retry-after');
+
+  if (retryAfter !== undefined && retryAfter !== null) {
+    if (/^\d+(\.\d+)?$/.test(String(retryAfter).trim())) {
+      return Math.round(parseFloat(retryAfter) * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const reset = getHeader(error, 'ratelimit-reset') || getHeader(error, 'x-ratelimit-reset');
+
+  if (reset && /^\d+$/.test(String(reset).trim())) {
+    return Math.max(0, parseInt(reset, 10) * 1000 - now);
+  }
+
+  return null;
+}
+
+/**
+ * Get the parsed body of a failed request's response
+ *
+ * @param {Error} error - Request error
+ * @returns {Object|null} - Response body, if it was JSON
+ */
+function getBody(error) {
+  const response = error.response || {};
+  const body = (error.error && typeof error.error === 'object' ? error.error : null) ||
+    response.body || response.data || null;
+
+  if (typeof body !== 'string') {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Get the field errors a platform reported for a rejected request
+ *
+ * JIRA sends `errorMessages` and an `errors` object keyed by field, GitLab
+ * a `message` object keyed by field, and GitHub an `errors` array.
+ *
+ * @param {Object|null} body - Response body
+ * @returns {Object[]} - Problems, each with the field (or null) and a message
+ */
+function getFieldErrors(body) {
+  if (!body || typeof body !== 'object') {
+    return [];
+  }
+
+  const errors = (body.errorMessages || []).map(message => ({ field: null, message }));
+
+  if (Array.isArray(body.errors)) {
+    body.errors.forEach((item) => {
+      errors.push(typeof item === 'string'
+        ? { field: null, message: item }
+        : { field: item.field || null, message: item.message || item.code || 'invalid' });
+    });
+  } else if (body.errors && typeof body.errors === 'object') {
+    Object.entries(body.errors).forEach(([field, message]) => errors.push({ field, message }));
+  }
+
+  if (body.message && typeof body.message === 'object') {
+    Object.entries(body.message).forEach(([field, messages]) => {
+      errors.push({ field, message: [].concat(messages).join(', ') });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a failed request into the error type callers can act on
+ *
+ * Errors that already have a type, and errors that didn't come from a
+ * request, are returned unchanged.
+ *
+ * @param {Error} error - Request error
+ * @returns {Error} - Typed error
+ */
+function toTypedError(error) {
+  if (error instanceof ProjectManagerError) {
+    return error;
+  }
+
+  const status = getStatus(error);
+  const options = { status, cause: error };
+
+  if (status === 401 || status === 403) {
+    return new AuthError(error.message, options);
+  }
+
+  if (status === 404) {
+    return new NotFoundError(error.message, options);
+  }
+
+  if (status === 400 || status === 422) {
+    return new ValidationError(error.message, { ...options, errors: getFieldErrors(getBody(error)) });
+  }
+
+  if (status || RETRYABLE_CODES.includes(getNetworkCode(error))) {
+    return new UpstreamError(error.message, options);
+  }
+
+  return error;
+}
+
+/**
+ * Compute an exponential backoff delay with full jitter
+ *
+ * @param {number} attempt - Zero-based attempt number
+ * @param {number} baseDelay - Delay before the first retry in milliseconds
+ * @param {number} maxDelay - Upper bound in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Get the configured number of retries
+ *
+ * @returns {number} - Number of retries after the first attempt
+ */
+function getMaxRetries() {
+  const retries = parseInt(process.env.API_MAX_RETRIES, 10);
+  return isNaN(retries) || retries < 0 ? DEFAULT_RETRIES : retries;
+}
+
+/**
+ * Wait for the given time
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call a platform API, retrying transient failures
+ *
+ * @param {Function} fn - Function making the API call and returning a promise
+ * @param {Object} [options] - Retry options
+ * @param {boolean} [options.idempotent=true] - Whether repeating the call is harmless;
+ *   non-idempotent calls (creating issues, adding comments) are only retried when rate limited
+ * @param {number} [options.retries] - Retries after the first attempt (defaults to API_MAX_RETRIES or 3)
+ * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxDelay] - Longest delay between attempts in milliseconds
+ * @param {Function} [options.sleep] - Function used to wait between attempts
+ * @returns {Promise<*>} - Result of the call
+ * @throws {RateLimitError} - If the platform is still rate limiting after the last attempt
+ * @throws {AuthError|NotFoundError|ValidationError|UpstreamError} - If the
+ *   platform rejected the call or failed, depending on the HTTP status
+ */
+async function withRetry(fn, options = {}) {
+  const idempotent = options.idempotent !== false;
+  const retries = options.retries !== undefined ? options.retries : getMaxRetries();
+  const baseDelay = options.baseDelay || BASE_DELAY;
+  const maxDelay = options.maxDelay || MAX_DELAY;
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const retryable = isRetryable(error, idempotent);
+
+      if (!retryable || attempt >= retries) {
+        if (isRateLimited(error)) {
+          throw new RateLimitError(
+            `Rate limit exceeded after ${attempt + 1} attempt(s): ${error.message}`,
+            { retryAfter: getRetryAfter(error), attempts: attempt + 1, cause: error }
+          );
+        }
+        throw toTypedError(error);
+      }
+
+      const retryAfter = getRetryAfter(error);
+      const delay = Math.min(maxDelay, retryAfter !== null ? retryAfter : getBackoffDelay(attempt, baseDelay, maxDelay));
+
+      if (process.env.LOG_LEVEL === 'debug') {
+        console.error(`[DEBUG] Retrying after ${error.message} (attempt ${attempt + 1} of ${retries}, waiting ${delay}ms)`);
+      }
+
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  toTypedError,
+  getRetryAfter,
+  isRateLimited,
+  isRetryable
+};
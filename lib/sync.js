@@ -0,0 +1,263 @@
+/**
+ * Sync Module
+ *
+ * Reconciles a local task file (tasks.json layout) with a remote platform
+ *
+ * Each synced task records its remote issue under `remote.<platform>`,
+ * together with the status and assignee both sides agreed on at the last
+ * sync. Comparing each side against that base tells which side changed a
+ * field: one-sided changes are copied across, and fields changed on both
+ * sides are reported as conflicts and left alone.
+ */
+
+const { flattenTasks, getTaskStatus } = require('./local-client');
+const { toOpenState } = require('./issue-model');
+
+// Fields kept in sync after a task has been created remotely
+const SYNCED_FIELDS = ['status', 'assignee'];
+
+/**
+ * Reduce a status to what both sides can represent
+ *
+ * JIRA workflows have named statuses; GitLab and GitHub issues are only
+ * open or closed.
+ *
+ * @param {string} platform - Remote platform
+ * @param {string} status - Local or remote status
+ * @returns {string|null} - Comparable status
+ */
+function comparableStatus(platform, status) {
+  if (!status) {
+    return null;
+  }
+
+  const state = toOpenState(status);
+  const done = state === 'closed' || /^(done|closed|resolved)$/i.test(status);
+
+  if (platform !== 'jira') {
+    return done ? 'closed' : 'opened';
+  }
+
+  if (done) {
+    return 'done';
+  }
+
+  const name = String(status).toLowerCase().replace(/[\s_]+/g, '-');
+  return name === 'to-do' || state === 'opened' ? 'todo' : name;
+}
+
+/**
+ * Map a local task status onto a status the remote platform accepts
+ *
+ * @param {string} platform - Remote platform
+ * @param {string} status - Local task status (e.g. "in-progress")
+ * @returns {string} - Remote status or state change
+ */
+function toRemoteStatus(platform, status) {
+  const comparable = comparableStatus(platform, status);
+
+  if (platform !== 'jira') {
+    return comparable === 'closed' ? 'close' : 'reopen';
+  }
+
+  // JIRA matches target statuses case-insensitively
+  return comparable === 'todo' ? 'To Do' : comparable.replace(/-/g, ' ');
+}
+
+/**
+ * Map a remote status onto a local task status
+ *
+ * @param {string} platform - Remote platform
+ * @param {string} status - Remote status
+ * @param {string} current - Current local status, kept when it is equivalent
+ * @returns {string} - Local task status
+ */
+function toLocalStatus(platform, status, current) {
+  const comparable = comparableStatus(platform, status);
+
+  if (comparable === comparableStatus(platform, current)) {
+    return current;
+  }
+
+  if (comparable === 'closed' || comparable === 'done') {
+    return 'done';
+  }
+
+  return comparable === 'opened' ? 'todo' : comparable;
+}
+
+/**
+ * Get a synced field's value from one side, in comparable form
+ *
+ * @param {string} platform - Remote platform
+ * @param {string} field - Field name (status or assignee)
+ * @param {*} value - Field value
+ * @returns {string|null} - Comparable value
+ */
+function comparable(platform, field, value) {
+  if (field === 'status') {
+    return comparableStatus(platform, value);
+  }
+  return value || null;
+}
+
+/**
+ * Sync a local task file with a remote platform
+ *
+ * The task data is changed in place; nothing is written remotely or
+ * locally in a dry run, but the report lists what would happen.
+ *
+ * @param {Object} options - Sync options
+ * @param {Object} options.data - Task file contents (phases keyed by name)
+ * @param {Object} options.remote - Remote client with createIssue(data),
+ *   getIssue(key) and updateIssue(key, updateData)
+ * @param {string} options.platform - Remote platform name
+ * @param {string} [options.project] - Remote project new issues are created in
+ * @param {boolean} [options.dryRun] - Report changes without making them
+ * @param {Function} [options.saveTasks] - Called with the task data after
+ *   every issue created and every task synced, so an interrupted run
+ *   doesn't lose the remote keys; not called in a dry run
+ * @returns {Promise<Object>} - Report with created, pulled, pushed, conflicts,
+ *   errors and unchanged entries
+ */
+async function syncTasks({ data, remote, platform, project, dryRun = false, saveTasks = async () => {} }) {
+  const report = { created: [], pulled: [], pushed: [], conflicts: [], errors: [], unchanged: [] };
+
+  // Parents come before their subtasks, so their remote keys are known
+  for (const { task, parent } of flattenTasks(data)) {
+    const link = task.remote && task.remote[platform];
+
+    try {
+      if (!link) {
+        await createRemote(task, parent);
+      } else {
+        await reconcile(task, link);
+      }
+    } catch (error) {
+      report.errors.push({ task: task.id, key: link ? link.key : null, message: error.message });
+    }
+
+    if (!dryRun) {
+      await saveTasks(data);
+    }
+  }
+
+  return report;
+
+  // Create the remote issue for a task that has never been synced
+  async function createRemote(task, parent) {
+    const parentLink = parent && parent.remote && parent.remote[platform];
+    const status = getTaskStatus(task);
+
+    if (dryRun) {
+      report.created.push({ task: task.id, key: null, title: task.title });
+      return;
+    }
+
+    const issueData = {
+      project,
+      title: task.title,
+      description: task.description || '',
+      platform
+    };
+
+    if (task.assignee) {
+      issueData.assignee = task.assignee;
+    }
+
+    if (parentLink && platform === 'jira') {
+      issueData.parent = parentLink.key;
+      issueData.issueType = 'Sub-task';
+    } else if (parentLink && platform === 'gitlab') {
+      // GitLab links the new issue to its parent
+      issueData.parent = parentLink.key;
+    } else if (parentLink) {
+      // GitHub auto-links "#123" references back to the parent issue
+      issueData.description = `${issueData.description}\n\nParent Issue: ${parentLink.key}`.trim();
+    }
+
+    const issue = await remote.createIssue(issueData);
+    const link = {
+      key: issue.key,
+      url: issue.url,
+      status: comparable(platform, 'status', issue.status),
+      assignee: comparable(platform, 'assignee', issue.assignee)
+    };
+
+    // Record the issue straight away, so it isn't created again if the rest fails
+    task.remote = { ...task.remote, [platform]: link };
+    report.created.push({ task: task.id, key: issue.key, title: task.title });
+    await saveTasks(data);
+
+    // New issues start open; carry over any progress already made locally.
+    // If this fails the next sync pushes the status as a local change.
+    if (comparableStatus(platform, status) !== comparableStatus(platform, issue.status)) {
+      try {
+        const updated = await remote.updateIssue(issue.key, { status: toRemoteStatus(platform, status) });
+        link.status = comparable(platform, 'status', updated.status);
+      } catch (error) {
+        report.errors.push({ task: task.id, key: issue.key, message: error.message });
+      }
+    }
+  }
+
+  // Copy one-sided changes across and report two-sided ones
+  async function reconcile(task, link) {
+    const issue = await remote.getIssue(link.key);
+    const local = { status: getTaskStatus(task), assignee: task.assignee };
+    const updates = {};
+    let changed = false;
+
+    for (const field of SYNCED_FIELDS) {
+      const base = link[field] === undefined ? null : link[field];
+      const localValue = comparable(platform, field, local[field]);
+      const remoteValue = comparable(platform, field, issue[field]);
+      const localChanged = localValue !== base;
+      const remoteChanged = remoteValue !== base;
+
+      if (localValue === remoteValue) {
+        // Both sides agree, possibly after changing the same way
+        if (base !== localValue && !dryRun) {
+          link[field] = localValue;
+        }
+        continue;
+      }
+
+      changed = true;
+      const change = { task: task.id, key: link.key, field, local: local[field] || null, remote: issue[field] || null };
+
+      if (localChanged && remoteChanged) {
+        report.conflicts.push(change);
+      } else if (remoteChanged || localValue === null) {
+        // Values can't be cleared remotely, so a cleared local field takes the remote one
+        report.pulled.push(change);
+
+        if (!dryRun) {
+          task[field] = field === 'status' ? toLocalStatus(platform, issue.status, local.status) : issue[field];
+          link[field] = remoteValue;
+        }
+      } else {
+        report.pushed.push(change);
+        updates[field] = field === 'status' ? toRemoteStatus(platform, local.status) : local[field];
+      }
+    }
+
+    if (Object.keys(updates).length > 0 && !dryRun) {
+      const updated = await remote.updateIssue(link.key, updates);
+
+      Object.keys(updates).forEach(field => {
+        link[field] = comparable(platform, field, updated[field]);
+      });
+    }
+
+    if (!changed) {
+      report.unchanged.push({ task: task.id, key: link.key });
+    }
+  }
+}
+
+module.exports = {
+  syncTasks,
+  comparableStatus,
+  toRemoteStatus
+};
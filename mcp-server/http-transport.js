@@ -0,0 +1,353 @@
+/**
+ * HTTP Transport for the MCP Server
+ *
+ * Serves MCP's streamable HTTP transport: clients POST JSON-RPC messages to
+ * a single endpoint and get the responses back as JSON, or as a server-sent
+ * event stream when that is all they accept. Each client gets a session on
+ * `initialize`, identified by the Mcp-Session-Id header on later requests,
+ * and ends it with a DELETE.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// JSON-RPC errors raised by the transport itself, before a message is handled
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const INTERNAL_ERROR = -32603;
+// Implementation-defined server errors for callers without valid
+// credentials and for initialize calls beyond the session cap
+const UNAUTHORIZED = -32001;
+const TOO_MANY_SESSIONS = -32003;
+
+// Request bodies larger than this are refused
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Sessions unused for this long are ended
+const DEFAULT_SESSION_TTL = 60 * 60 * 1000;
+
+// Sessions each user, or everyone together without authentication, may hold
+const DEFAULT_MAX_SESSIONS = 100;
+
+/**
+ * Build a JSON-RPC error response
+ *
+ * @param {string|number|null} id - Request ID, if known
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {Object} - Error response
+ */
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Read a request body, refusing bodies over the size limit
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>} - Request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Request body too large');
+        error.status = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check whether a browser origin may call the server
+ *
+ * Browsers send an Origin header, so checking it stops web pages from
+ * reaching a server on localhost through DNS rebinding. Other clients
+ * don't send one.
+ *
+ * @param {string} [origin] - Origin header
+ * @param {string[]} allowedOrigins - Origins allowed besides localhost
+ * @returns {boolean} - True if the request may proceed
+ */
+function isAllowedOrigin(origin, allowedOrigins) {
+  if (!origin || allowedOrigins.includes(origin)) {
+    return true;
+  }
+
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create an HTTP server speaking MCP's streamable HTTP transport
+ *
+ * @param {Object} options - Transport options
+ * @param {Function} options.handleMessage - Called with each JSON-RPC
+ *   message and its session; resolves to the response, or null for
+ *   notifications
+ * @param {Function} [options.onSessionEnd] - Called with a session when it
+ *   is deleted or expires
+ * @param {Function} [options.authenticate] - Called with the bearer token
+ *   of each request; returns the caller's identity, an object with a name,
+ *   or null to reject it. Without it, requests aren't authenticated
+ * @param {string} [options.path] - Endpoint path (default /mcp)
+ * @param {string[]} [options.allowedOrigins] - Browser origins allowed
+ *   besides localhost
+ * @param {number} [options.sessionTtl] - Milliseconds an unused session lasts
+ * @param {number} [options.maxSessions] - Sessions each user may hold at
+ *   once, or all callers together when requests aren't authenticated
+ * @returns {Object} - Transport with server, sessions, listen(port, host)
+ *   and close(timeout)
+ */
+function createHttpTransport({
+  handleMessage,
+  onSessionEnd = () => {},
+  authenticate = null,
+  path = '/mcp',
+  allowedOrigins = [],
+  sessionTtl = DEFAULT_SESSION_TTL,
+  maxSessions = DEFAULT_MAX_SESSIONS
+}) {
+  const sessions = new Map();
+  let inFlight = 0;
+  let idle = null;
+
+  const endSession = (session) => {
+    sessions.delete(session.id);
+    onSessionEnd(session);
+  };
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  // Clients that accept both get JSON, which is simpler to consume
+  const wantsEventStream = (req) => {
+    const accept = req.headers.accept || '';
+    return accept.includes('text/event-stream') && !accept.includes('application/json');
+  };
+
+  // Identify the caller, or answer 401 if they can't be
+  const authenticateRequest = (req, res) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const user = match ? authenticate(match[1]) : null;
+
+    if (!user) {
+      sendJson(res, 401, rpcError(null, UNAUTHORIZED, match ? 'Invalid bearer token' : 'Missing bearer token'), {
+        'WWW-Authenticate': 'Bearer realm="mcp"'
+      });
+    }
+    return user;
+  };
+
+  // A session may only be used by the caller who started it
+  const isSessionOwner = (session, user) => !authenticate || session.user.name === user.name;
+
+  // Sessions count against their user, or against everyone without
+  // authentication
+  const countSessions = user => [...sessions.values()].filter(session => isSessionOwner(session, user)).length;
+
+  const handlePost = async (req, res, user) => {
+    let payload;
+
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      return sendJson(res, error.status || 400, rpcError(null, PARSE_ERROR, `Parse error: ${error.message}`));
+    }
+
+    const messages = Array.isArray(payload) ? payload : [payload];
+    let session;
+
+    // Initializing starts a new session; everything else needs one
+    if (messages.some(message => message && message.method === 'initialize')) {
+      if (countSessions(user) >= maxSessions) {
+        return sendJson(res, 503, rpcError(null, TOO_MANY_SESSIONS, `Too many sessions (limit ${maxSessions}); end one with DELETE first`));
+      }
+
+      session = { id: crypto.randomUUID(), createdAt: Date.now(), user };
+      sessions.set(session.id, session);
+    } else {
+      const sessionId = req.headers['mcp-session-id'];
+
+      if (!sessionId) {
+        return sendJson(res, 400, rpcError(null, INVALID_REQUEST, 'Missing Mcp-Session-Id header; send initialize first'));
+      }
+
+      session = sessions.get(sessionId);
+
+      if (!session) {
+        return sendJson(res, 404, rpcError(null, INVALID_REQUEST, `Unknown or expired session: ${sessionId}`));
+      }
+
+      if (!isSessionOwner(session, user)) {
+        return sendJson(res, 403, rpcError(null, UNAUTHORIZED, 'Session belongs to another user'));
+      }
+    }
+
+    session.lastSeen = Date.now();
+    const headers = { 'Mcp-Session-Id': session.id };
+    const responses = (await Promise.all(messages.map(message => handleMessage(message, session)))).filter(Boolean);
+
+    // Notifications and responses get no reply
+    if (responses.length === 0) {
+      res.writeHead(202, headers);
+      return res.end();
+    }
+
+    if (wantsEventStream(req)) {
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      responses.forEach(response => {
+        res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      });
+      return res.end();
+    }
+
+    return sendJson(res, 200, Array.isArray(payload) ? responses : responses[0], headers);
+  };
+
+  const handleDelete = (req, res, user) => {
+    const session = sessions.get(req.headers['mcp-session-id']);
+
+    if (!session) {
+      return sendJson(res, 404, rpcError(null, INVALID_REQUEST, 'Unknown or expired session'));
+    }
+
+    if (!isSessionOwner(session, user)) {
+      return sendJson(res, 403, rpcError(null, UNAUTHORIZED, 'Session belongs to another user'));
+    }
+
+    endSession(session);
+    res.writeHead(204);
+    return res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    inFlight += 1;
+
+    try {
+      if (new URL(req.url, 'http://localhost').pathname !== path) {
+        return sendJson(res, 404, { error: `Not found; the MCP endpoint is ${path}` });
+      }
+
+      if (!isAllowedOrigin(req.headers.origin, allowedOrigins)) {
+        return sendJson(res, 403, rpcError(null, INVALID_REQUEST, `Origin not allowed: ${req.headers.origin}`));
+      }
+
+      const user = authenticate ? authenticateRequest(req, res) : null;
+      if (authenticate && !user) {
+        return undefined;
+      }
+
+      switch (req.method) {
+        case 'POST':
+          return await handlePost(req, res, user);
+        case 'DELETE':
+          return handleDelete(req, res, user);
+        default:
+          // The server never sends messages outside responses, so there is no GET stream
+          res.writeHead(405, { Allow: 'POST, DELETE' });
+          return res.end();
+      }
+    } catch (error) {
+      console.error(`[ERROR] ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, rpcError(null, INTERNAL_ERROR, error.message));
+      } else {
+        res.end();
+      }
+    } finally {
+      inFlight -= 1;
+      if (inFlight === 0 && idle) {
+        idle();
+      }
+    }
+  });
+
+  // End sessions nobody has used for a while
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTtl;
+    [...sessions.values()].filter(session => session.lastSeen < cutoff).forEach(endSession);
+  }, Math.min(sessionTtl, 60 * 1000));
+  sweep.unref();
+
+  return {
+    server,
+    sessions,
+
+    /**
+     * Start listening
+     *
+     * @param {number} port - Port to listen on; 0 picks a free one
+     * @param {string} [host] - Interface to bind to (default 127.0.0.1)
+     * @returns {Promise<Object>} - Address the server listens on
+     */
+    listen(port, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    /**
+     * Stop accepting connections and wait for requests being handled
+     *
+     * @param {number} [timeout] - Milliseconds to wait before dropping
+     *   the remaining connections
+     * @returns {Promise<void>}
+     */
+    close(timeout = 10000) {
+      clearInterval(sweep);
+      server.close();
+
+      // closeIdleConnections and closeAllConnections arrived in Node 18.2
+      const closeConnections = (method) => {
+        if (server[method]) {
+          server[method]();
+        }
+      };
+      closeConnections('closeIdleConnections');
+      [...sessions.values()].forEach(endSession);
+
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          closeConnections('closeAllConnections');
+          resolve();
+        }, timeout);
+        timer.unref();
+
+        idle = () => {
+          clearTimeout(timer);
+          closeConnections('closeAllConnections');
+          resolve();
+        };
+
+        if (inFlight === 0) {
+          idle();
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  createHttpTransport
+};
@@ -1,25 +1,73 @@
 /**
  * MCP Server for Project Manager
  * 
- * Implements the MCP protocol for task management with JIRA and GitLab
+ * Implements the MCP protocol (JSON-RPC 2.0 over stdio) for task management
+ * with JIRA, GitLab and GitHub. Requests without a `jsonrpc` field are handled in
+ * legacy mode, where the method name is the tool name.
  */
 
 require('dotenv').config();
 const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
 const jiraClient = require('../lib/jira-client');
 const gitlabClient = require('../lib/gitlab-client');
+const githubClient = require('../lib/github-client');
+const localClient = require('../lib/local-client');
+const {
+  runWithProfile,
+  getActiveProfileName,
+  getDefaultPlatform,
+  hasUsers,
+  authenticate,
+  runAsUser
+} = require('../lib/config');
+const { tools, findTool } = require('./tools');
+const { isToolAllowed, enforcePolicy, endPolicySession } = require('./policy');
+const { createHttpTransport } = require('./http-transport');
+const { createRequestTracker } = require('./request-tracker');
+const { ProjectManagerError, ValidationError, toRpcError } = require('../lib/errors');
+const packageJson = require('../package.json');
 
 // Configure logging based on environment
 const logLevel = process.env.LOG_LEVEL || 'info';
 const isDev = process.env.NODE_ENV === 'dev';
 
-// Input/output streams for MCP protocol
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: false
+/**
+ * Get a command-line option's value
+ *
+ * @param {string} name - Option name without the leading dashes
+ * @returns {string|undefined} - Value following the option, if given
+ */
+function getArgument(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// stdio by default; `--transport http` serves MCP's streamable HTTP transport
+const transport = getArgument('transport') || process.env.MCP_TRANSPORT || 'stdio';
+
+// MCP session the request being handled belongs to; stdio has just one
+const sessionStorage = new AsyncLocalStorage();
+
+// Tool calls being handled, at most MCP_MAX_CONCURRENCY at once
+const requests = createRequestTracker({
+  concurrency: parseInt(getArgument('concurrency') || process.env.MCP_MAX_CONCURRENCY || '8', 10)
 });
 
+// Milliseconds to wait for tool calls to finish when shutting down
+const shutdownTimeout = parseInt(process.env.MCP_SHUTDOWN_TIMEOUT || '30000', 10);
+
+/**
+ * Get the key a request is tracked under, so a cancellation from one
+ * session can't reach another session's requests
+ *
+ * @param {string|number} id - Request ID
+ * @returns {string} - Tracking key
+ */
+function getRequestKey(id) {
+  return JSON.stringify([sessionStorage.getStore() || null, id]);
+}
+
 // Client selection helper
 function getClient(platform = 'jira') {
   platform = platform.toLowerCase();
@@ -29,112 +77,522 @@ function getClient(platform = 'jira') {
       return jiraClient;
     case 'gitlab':
       return gitlabClient;
+    case 'github':
+      return githubClient;
+    case 'local':
+      return localClient;
     default:
-      throw new Error(`Unsupported platform: ${platform}`);
+      throw new ValidationError(`Unsupported platform: ${platform}`, { field: 'platform' });
+  }
+}
+
+// Only JIRA and GitLab have issue links
+function requireLinks(client, platform) {
+  if (!client.linkIssues) {
+    throw new ValidationError(`Issue links are not supported on ${platform}`, { platform, field: 'platform' });
+  }
+}
+
+// Only GitLab milestones can be listed and created
+function requireMilestones(client, platform) {
+  if (!client.listMilestones) {
+    throw new ValidationError(`Milestones are not supported on ${platform}`, { platform, field: 'platform' });
+  }
+}
+
+// Only JIRA and GitLab describe their projects
+function requireMetadata(client, platform) {
+  if (!client.getProjectMetadata) {
+    throw new ValidationError(`Project metadata is not supported on ${platform}`, { platform, field: 'platform' });
+  }
+}
+
+// Project listings and metadata rarely change, so they are fetched once per
+// MCP session for each profile, platform and project
+const metadataCaches = new Map();
+
+/**
+ * Fetch a value once per session, sharing the request between concurrent callers
+ *
+ * @param {string[]} keyParts - Parts of the cache key
+ * @param {boolean} refresh - Fetch again even if cached
+ * @param {Function} fetch - Function returning a promise of the value
+ * @returns {Promise<*>} - Cached or fetched value
+ */
+function cached(keyParts, refresh, fetch) {
+  const sessionId = sessionStorage.getStore() || null;
+  const key = JSON.stringify(keyParts);
+  
+  if (!metadataCaches.has(sessionId)) {
+    metadataCaches.set(sessionId, new Map());
+  }
+  const metadataCache = metadataCaches.get(sessionId);
+  
+  if (refresh || !metadataCache.has(key)) {
+    const promise = fetch();
+    metadataCache.set(key, promise);
+    // Failures are not cached, so the next call tries again
+    promise.catch(() => {
+      if (metadataCache.get(key) === promise) {
+        metadataCache.delete(key);
+      }
+    });
   }
+  
+  return metadataCache.get(key);
 }
 
+// MCP protocol versions this server can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Standard JSON-RPC 2.0 error codes
+const RPC_ERRORS = {
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
 // MCP protocol implementation
 const mcp = {
-  // Send a response via stdout
+  // Send a legacy response via stdout; errors are thrown errors, whose
+  // code and data are filled in for typed ones, or ready-made error objects
   sendResponse: (id, result, error) => {
     const response = {
       id,
       result: error ? null : result,
-      error: error ? { message: error.message } : null
+      error: error ? (error instanceof Error ? toRpcError(error) : error) : null
     };
     
     console.log(JSON.stringify(response));
   },
   
-  // Handle MCP requests
-  handleRequest: async (request) => {
-    try {
-      const { id, method, params } = request;
-      
-      // Log incoming request in dev mode
-      if (isDev && logLevel === 'debug') {
-        console.error(`[DEBUG] Received request: ${JSON.stringify(request)}`);
+  // Send a JSON-RPC 2.0 message via stdout
+  sendMessage: (message) => {
+    console.log(JSON.stringify(message));
+  },
+  
+  // Execute a tool by name with the profile the request selects, if any,
+  // provided the server policy allows it
+  callTool: (method, params) => {
+    return runWithProfile(params && params.profile, () => {
+      const platform = (params && params.platform) || getDefaultPlatform();
+      return enforcePolicy(
+        method,
+        params || {},
+        platform,
+        sessionStorage.getStore() || null,
+        () => mcp.runTool(method, params)
+      ).catch((error) => {
+        // Errors translated from HTTP failures don't know their platform
+        if (error instanceof ProjectManagerError && !error.platform) {
+          error.platform = platform;
+        }
+        throw error;
+      });
+    });
+  },
+  
+  // Execute a tool by name and return its result
+  runTool: async (method, params) => {
+    // Extract platform from params or use the profile/environment default
+    const platform = (params && params.platform) || getDefaultPlatform();
+    const client = getClient(platform);
+    
+    switch (method) {
+      case 'create_issue':
+        return await client.createIssue(params);
+        
+      case 'update_issue':
+        // Clients accept any issue reference; older callers used
+        // platform-specific parameter names
+        return await client.updateIssue(
+          params.key || params.issueKey || params.issueId || params.issueNumber,
+          params.updateData || {}
+        );
+        
+      case 'get_issue':
+        return await client.getIssue(params.key, { project: params.project });
+        
+      case 'search_issues':
+        return await client.searchIssues(params);
+        
+      case 'add_comment':
+        return await client.addComment(params.key, params.body, { project: params.project });
+        
+      case 'list_comments':
+        return await client.listComments(params.key, { project: params.project });
+        
+      case 'link_issues':
+        requireLinks(client, platform);
+        return await client.linkIssues(params.key, params.targetKey, params.type, {
+          project: params.project,
+          targetProject: params.targetProject
+        });
+        
+      case 'get_issue_links':
+        requireLinks(client, platform);
+        return await client.listLinks(params.key, { project: params.project });
+        
+      case 'unlink_issues':
+        requireLinks(client, platform);
+        return await client.unlinkIssues(params.key, params.targetKey, params.type, { project: params.project });
+        
+      case 'list_milestones':
+        requireMilestones(client, platform);
+        return await client.listMilestones(params);
+        
+      case 'create_milestone':
+        requireMilestones(client, platform);
+        return await client.createMilestone(params);
+        
+      case 'list_projects':
+        requireMetadata(client, platform);
+        return await cached(
+          [getActiveProfileName(), platform, method],
+          params.refresh,
+          () => client.listProjects()
+        );
+        
+      case 'get_project_metadata':
+        requireMetadata(client, platform);
+        return await cached(
+          [getActiveProfileName(), platform, method, params.project || null],
+          params.refresh,
+          () => client.getProjectMetadata(params.project)
+        );
+        
+      case 'has_required_config':
+        // Check if the client has required configuration
+        return { hasRequiredConfig: client.hasRequiredEnv() };
+        
+      default:
+        throw new Error(`Unknown method: ${method}`);
+    }
+  },
+  
+  // Handle a JSON-RPC 2.0 request or notification, returning the response
+  // message to send (or null for notifications)
+  handleRpcRequest: async (request) => {
+    const { id, method, params } = request;
+    const isNotification = id === undefined || id === null;
+    
+    const reply = (result) => ({ jsonrpc: '2.0', id, result });
+    const fail = (code, message, data) => ({
+      jsonrpc: '2.0',
+      id: isNotification ? null : id,
+      error: data ? { code, message, data } : { code, message }
+    });
+    
+    if (typeof method !== 'string') {
+      return fail(RPC_ERRORS.INVALID_REQUEST, 'Invalid request: method must be a string');
+    }
+    
+    switch (method) {
+      case 'initialize': {
+        const requested = params && params.protocolVersion;
+        const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+          ? requested
+          : SUPPORTED_PROTOCOL_VERSIONS[0];
+        
+        return reply({
+          protocolVersion,
+          capabilities: {
+            tools: { listChanged: false }
+          },
+          serverInfo: {
+            name: packageJson.name,
+            version: packageJson.version
+          }
+        });
       }
       
-      // Extract platform from params or use default
-      const platform = (params && params.platform) || 'jira';
-      const client = getClient(platform);
-      
-      switch (method) {
-        case 'create_issue':
-          const issue = await client.createIssue(params);
-          mcp.sendResponse(id, issue);
-          break;
-          
-        case 'update_issue':
-          let issueKey, updateData;
-          
-          if (platform === 'jira') {
-            // JIRA uses issueKey
-            issueKey = params.issueKey;
-            updateData = params.updateData;
-          } else if (platform === 'gitlab') {
-            // GitLab uses issueId
-            issueKey = params.issueId;
-            updateData = params.updateData;
-          }
-          
-          const updatedIssue = await client.updateIssue(issueKey, updateData);
-          mcp.sendResponse(id, updatedIssue);
-          break;
-          
-        case 'search_issues':
-          let searchResults;
-          
-          if (platform === 'jira') {
-            // JIRA uses JQL for searching
-            const { jql, options } = params;
-            searchResults = await client.searchIssues(jql, options);
-          } else if (platform === 'gitlab') {
-            // GitLab uses different search parameters
-            searchResults = await client.searchIssues(params);
+      case 'initialized':
+      case 'notifications/initialized':
+        // Handshake complete, nothing to acknowledge
+        return isNotification ? null : reply({});
+        
+      case 'ping':
+        return reply({});
+        
+      case 'tools/list':
+        // Tools the policy rules out entirely aren't offered
+        return reply({ tools: tools.filter(tool => isToolAllowed(tool.name)) });
+        
+      case 'tools/call': {
+        const name = params && params.name;
+        const tool = findTool(name);
+        
+        if (!tool) {
+          return fail(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+        
+        const args = (params && params.arguments) || {};
+        const missing = (tool.inputSchema.required || []).filter(field => args[field] === undefined);
+        
+        if (missing.length > 0) {
+          return fail(RPC_ERRORS.INVALID_PARAMS, `Missing required arguments for ${name}: ${missing.join(', ')}`);
+        }
+        
+        // Request ids must be unique among the requests in progress
+        if (!isNotification && requests.has(getRequestKey(id))) {
+          return fail(RPC_ERRORS.INVALID_REQUEST, `Request ${id} is already in progress`);
+        }
+        
+        // Cancelled calls get no response
+        return requests.run(isNotification ? null : getRequestKey(id), async () => {
+          // Tool failures are reported inside the result so the model can see them
+          try {
+            const result = await mcp.callTool(name, args);
+            return reply({
+              content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+              isError: false
+            });
+          } catch (error) {
+            console.error(`[ERROR] ${error.message}`);
+            
+            // Typed errors also carry their code and data so callers can
+            // tell them apart
+            const rpcError = toRpcError(error);
+            return reply({
+              content: [{ type: 'text', text: error.message }],
+              ...(rpcError.code && { structuredContent: { error: rpcError } }),
+              isError: true
+            });
           }
-          
-          mcp.sendResponse(id, searchResults);
-          break;
-          
-        case 'has_required_config':
-          // Check if the client has required configuration
-          const hasConfig = client.hasRequiredEnv();
-          mcp.sendResponse(id, { hasRequiredConfig: hasConfig });
-          break;
-          
-        default:
-          throw new Error(`Unknown method: ${method}`);
+        });
+      }
+      
+      case 'notifications/cancelled': {
+        const requestId = params && params.requestId;
+        
+        if (requestId !== undefined && requests.cancel(getRequestKey(requestId))) {
+          console.error(`[INFO] Cancelled request ${requestId}${params.reason ? `: ${params.reason}` : ''}`);
+        }
+        return isNotification ? null : reply({});
       }
+      
+      default:
+        if (isNotification) {
+          // Unknown notifications are ignored per JSON-RPC
+          return null;
+        }
+        return fail(RPC_ERRORS.METHOD_NOT_FOUND, `Unknown method: ${method}`);
+    }
+  },
+  
+  // Handle a JSON-RPC 2.0 message, turning unexpected failures into an
+  // error response
+  handleRpcMessage: async (request) => {
+    try {
+      return await mcp.handleRpcRequest(request);
     } catch (error) {
       console.error(`[ERROR] ${error.message}`);
-      mcp.sendResponse(request.id, null, error);
+      return {
+        jsonrpc: '2.0',
+        id: request.id === undefined ? null : request.id,
+        error: { code: RPC_ERRORS.INTERNAL_ERROR, message: error.message }
+      };
+    }
+  },
+  
+  // Handle a message received over HTTP within its MCP session, on behalf
+  // of the user who started the session if callers authenticate
+  handleSessionMessage: (message, session) => {
+    // Legacy mode is only for the CLI, which talks over stdio
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return Promise.resolve({
+        jsonrpc: '2.0',
+        id: message && message.id !== undefined ? message.id : null,
+        error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid request: expected a JSON-RPC 2.0 message' }
+      });
+    }
+    
+    const handle = () => sessionStorage.run(session.id, () => mcp.handleRpcMessage(message));
+    return session.user ? runAsUser(session.user, handle) : handle();
+  },
+  
+  // Forget everything cached for a session that has ended
+  endSession: (session) => {
+    metadataCaches.delete(session.id);
+    endPolicySession(session.id);
+  },
+  
+  // Handle MCP requests
+  handleRequest: async (request) => {
+    // Log incoming request in dev mode
+    if (isDev && logLevel === 'debug') {
+      console.error(`[DEBUG] Received request: ${JSON.stringify(request)}`);
+    }
+    
+    // Standard MCP clients speak JSON-RPC 2.0
+    if (request && request.jsonrpc === '2.0') {
+      const response = await mcp.handleRpcMessage(request);
+      if (response) {
+        mcp.sendMessage(response);
+      }
+      return;
+    }
+    
+    // Legacy mode: method names are tool names, used by the CLI
+    if (!findTool(request.method)) {
+      console.error(`[ERROR] Unknown method: ${request.method}`);
+      mcp.sendResponse(request.id, null, {
+        code: RPC_ERRORS.METHOD_NOT_FOUND,
+        message: `Unknown method: ${request.method}`
+      });
+      return;
+    }
+    
+    const { id, method, params } = request;
+    
+    if (id !== undefined && id !== null && requests.has(getRequestKey(id))) {
+      mcp.sendResponse(id, null, { code: RPC_ERRORS.INVALID_REQUEST, message: `Request ${id} is already in progress` });
+      return;
+    }
+    
+    const outcome = await requests.run(id === undefined || id === null ? null : getRequestKey(id), async () => {
+      try {
+        return { result: await mcp.callTool(method, params) };
+      } catch (error) {
+        console.error(`[ERROR] ${error.message}`);
+        return { error };
+      }
+    });
+    
+    // Cancelled requests get no response
+    if (!outcome) {
+      return;
+    }
+    
+    if (outcome.error) {
+      mcp.sendResponse(id, null, outcome.error);
+    } else {
+      mcp.sendResponse(id, outcome.result);
+    }
+  },
+  
+  // Number of tool calls running or waiting for a slot
+  get pendingRequests() {
+    return requests.size;
+  },
+  
+  // Stop taking requests, wait for those being handled to finish (up to
+  // the shutdown timeout) and exit
+  shutdown: (reason) => {
+    if (shuttingDown) {
+      return shuttingDown;
     }
+    
+    console.error(`[INFO] Shutting down MCP server (${reason})...`);
+    
+    // Closing the transport can re-enter shutdown, so it runs once this is set
+    // Closing the transport and finishing requests share one deadline
+    const deadline = Date.now() + shutdownTimeout;
+    const remaining = () => Math.max(0, deadline - Date.now());
+    
+    shuttingDown = Promise.resolve().then(async () => {
+      await closeTransport(remaining());
+      
+      if (!await requests.drain(remaining())) {
+        console.error(`[WARN] Gave up waiting for ${requests.size} request(s) after ${shutdownTimeout}ms`);
+      }
+      process.exit(0);
+    });
+    
+    return shuttingDown;
   }
 };
 
-// Process each line as an MCP request
-rl.on('line', (line) => {
-  try {
-    const request = JSON.parse(line);
-    mcp.handleRequest(request);
-  } catch (error) {
-    console.error(`[ERROR] Failed to parse request: ${error.message}`);
-    // Can't send proper response without an ID, log to stderr
+// Stops the transport taking new requests, waiting at most the given
+// milliseconds for it; set up with the transport
+let closeTransport = async () => {};
+let shuttingDown = null;
+
+if (transport === 'http') {
+  const port = parseInt(getArgument('port') || process.env.MCP_PORT || '3000', 10);
+  const host = getArgument('host') || process.env.MCP_HOST || '127.0.0.1';
+  
+  // Users in the config file must present their bearer token
+  const requireAuth = hasUsers();
+  if (!requireAuth && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+    console.error(`[WARN] Serving on ${host} without authentication; define users in the config file to require bearer tokens`);
   }
-});
+  
+  const httpTransport = createHttpTransport({
+    handleMessage: mcp.handleSessionMessage,
+    onSessionEnd: mcp.endSession,
+    authenticate: requireAuth ? authenticate : null,
+    maxSessions: parseInt(process.env.MCP_MAX_SESSIONS || '100', 10),
+    allowedOrigins: (process.env.MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+  });
+  
+  httpTransport.listen(port, host)
+    .then(address => {
+      console.error(`[INFO] MCP server listening on http://${address.address}:${address.port}/mcp`);
+    })
+    .catch(error => {
+      console.error(`[FATAL] Cannot listen on ${host}:${port}: ${error.message}`);
+      process.exit(1);
+    });
+  
+  closeTransport = timeout => httpTransport.close(timeout);
+} else if (transport === 'stdio') {
+  // Input/output streams for MCP protocol
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: false
+  });
+  
+  // Process each line as an MCP request. Requests are handled
+  // concurrently, so responses may come back in a different order
+  rl.on('line', (line) => {
+    if (shuttingDown) {
+      return;
+    }
+    
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      console.error(`[ERROR] Failed to parse request: ${error.message}`);
+      // Can't send proper response without an ID, log to stderr
+      return;
+    }
+    
+    mcp.handleRequest(request).catch((error) => {
+      console.error(`[ERROR] ${error.message}`);
+    });
+  });
+  
+  // The client closing stdin is how it tells us it is done
+  rl.on('close', () => mcp.shutdown('stdin closed'));
+  
+  closeTransport = async () => rl.close();
+} else {
+  console.error(`[FATAL] Unsupported transport: ${transport}. Supported transports: stdio, http`);
+  process.exit(1);
+}
 
 // Log server startup
 console.error(`[INFO] MCP server started at ${new Date().toISOString()}`);
 console.error(`[INFO] Environment: ${process.env.NODE_ENV || 'development'}`);
 console.error(`[INFO] Log level: ${logLevel}`);
+console.error(`[INFO] Transport: ${transport}`);
 
-// Handle process signals
-process.on('SIGINT', () => {
-  console.error('[INFO] Shutting down MCP server...');
-  process.exit(0);
+// Handle process signals; a second signal exits without waiting
+let signalled = false;
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    if (signalled) {
+      console.error('[WARN] Exiting without waiting for requests in progress');
+      process.exit(1);
+    }
+    
+    signalled = true;
+    mcp.shutdown(signal);
+  });
 });
 
 process.on('uncaughtException', (error) => {
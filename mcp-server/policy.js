@@ -0,0 +1,216 @@
+/**
+ * Server Policy
+ *
+ * Limits what MCP clients may do: a read-only mode, methods denied
+ * outright, the projects that may be written to and how many issues a
+ * session may create. Settings come from the config file or environment
+ * (see getPolicy in lib/config.js).
+ */
+
+const { getPolicy, getPlatformConfig } = require('../lib/config');
+const { PolicyError } = require('../lib/errors');
+const { normalizeIssueInput } = require('../lib/issue-model');
+const { isReadOnlyTool } = require('./tools');
+
+// JIRA issue keys start with their project key
+const JIRA_KEY_PATTERN = /^([A-Za-z][A-Za-z0-9_]*)-\d+$/;
+
+// Issues created, or being created, in each session
+const createdIssues = new Map();
+
+/**
+ * Get the project a client writes to, resolved the way the client does
+ *
+ * @param {string} platform - Platform name
+ * @param {string|number} [project] - Project given with the request
+ * @returns {string|undefined} - Project key, ID or GitHub "owner/repo"
+ */
+function resolveProject(platform, project) {
+  const config = getPlatformConfig(platform);
+
+  if (platform === 'github') {
+    // Like the GitHub client, a bare repository name belongs to the configured owner
+    if (project && String(project).includes('/')) {
+      return String(project);
+    }
+    const repo = project || config.repo;
+    return config.owner && repo ? `${config.owner}/${repo}` : undefined;
+  }
+
+  return project ? String(project) : config.project;
+}
+
+/**
+ * Get the project of a JIRA issue from its key
+ *
+ * @param {string} [key] - Issue key
+ * @returns {string|undefined} - Project key, undefined if the key has none
+ */
+function getKeyProject(key) {
+  const match = JIRA_KEY_PATTERN.exec(key || '');
+  return match ? match[1].toUpperCase() : undefined;
+}
+
+/**
+ * Get the project an existing issue belongs to
+ *
+ * JIRA keys name their project, and the JIRA client goes by the key alone,
+ * so a project given alongside one is ignored.
+ *
+ * @param {string} platform - Platform name
+ * @param {string} [key] - Issue key
+ * @param {string|number} [project] - Project the client is given
+ * @returns {string|undefined} - Project
+ */
+function getIssueProject(platform, key, project) {
+  return platform === 'jira' ? getKeyProject(key) : resolveProject(platform, project);
+}
+
+/**
+ * Get the projects a write tool changes
+ *
+ * Only the arguments runTool passes on to the client count, since those
+ * decide where the client writes.
+ *
+ * @param {string} method - Tool name
+ * @param {Object} params - Tool arguments
+ * @param {string} platform - Platform name
+ * @returns {Array<string|undefined>} - Projects, undefined where unknown
+ */
+function getWriteTargets(method, params, platform) {
+  switch (method) {
+    case 'create_issue': {
+      const input = normalizeIssueInput(params);
+
+      if (platform !== 'jira') {
+        return [resolveProject(platform, input.project)];
+      }
+
+      // Sub-tasks default to their parent's project, and change the parent too
+      const parentProject = input.parent ? getKeyProject(input.parent) : undefined;
+      const project = input.project ? String(input.project) : parentProject || resolveProject(platform);
+      return input.parent ? [project, parentProject] : [project];
+    }
+
+    case 'update_issue': {
+      const key = params.key || params.issueKey || params.issueId || params.issueNumber;
+      return [getIssueProject(platform, key, normalizeIssueInput(params.updateData || {}).project)];
+    }
+
+    case 'link_issues':
+    case 'unlink_issues':
+      // Links show up on both issues
+      return [
+        getIssueProject(platform, params.key, params.project),
+        getIssueProject(platform, params.targetKey, params.targetProject || params.project)
+      ];
+
+    case 'create_milestone':
+      return [resolveProject(platform, params.project)];
+
+    default:
+      return [getIssueProject(platform, params.key, params.project)];
+  }
+}
+
+/**
+ * Check whether the policy lets clients call a tool at all
+ *
+ * @param {string} method - Tool name
+ * @param {Object} [policy] - Policy (defaults to the configured one)
+ * @returns {boolean} - False if the tool is denied or writes in read-only mode
+ */
+function isToolAllowed(method, policy = getPolicy()) {
+  return !policy.deniedMethods.includes(method) && (!policy.readOnly || isReadOnlyTool(method));
+}
+
+/**
+ * Throw if the policy forbids a tool call
+ *
+ * @param {string} method - Tool name
+ * @param {Object} params - Tool arguments
+ * @param {string} platform - Platform the call goes to
+ * @param {Object} policy - Policy
+ * @param {number} created - Issues the session has created so far
+ */
+function checkPolicy(method, params, platform, policy, created) {
+  if (policy.deniedMethods.includes(method)) {
+    throw new PolicyError(`Policy violation: ${method} is denied on this server`, { rule: 'deniedMethods', method });
+  }
+
+  if (isReadOnlyTool(method)) {
+    return;
+  }
+
+  if (policy.readOnly) {
+    throw new PolicyError(
+      `Policy violation: ${method} is not allowed because the server is read-only`,
+      { rule: 'readOnly', method }
+    );
+  }
+
+  if (policy.writableProjects) {
+    getWriteTargets(method, params, platform).forEach((project) => {
+      if (!project || !policy.writableProjects.includes(project)) {
+        throw new PolicyError(
+          `Policy violation: ${method} cannot write to ${project ? `project ${project}` : 'an unspecified project'}. ` +
+          `Writable projects: ${policy.writableProjects.join(', ') || 'none'}`,
+          { rule: 'writableProjects', method }
+        );
+      }
+    });
+  }
+
+  if (method === 'create_issue' && policy.maxIssuesPerSession !== null && created >= policy.maxIssuesPerSession) {
+    throw new PolicyError(
+      `Policy violation: this session may create at most ${policy.maxIssuesPerSession} issues`,
+      { rule: 'maxIssuesPerSession', method }
+    );
+  }
+}
+
+/**
+ * Run a tool call if the policy allows it
+ *
+ * Issue creations count against the session's cap from the moment they
+ * start, so concurrent calls can't overshoot it; failed ones are given back.
+ *
+ * @param {string} method - Tool name
+ * @param {Object} params - Tool arguments
+ * @param {string} platform - Platform the call goes to
+ * @param {string|null} sessionId - Session the call belongs to
+ * @param {Function} run - Function making the call
+ * @returns {Promise<*>} - Result of the call
+ */
+async function enforcePolicy(method, params, platform, sessionId, run) {
+  const created = createdIssues.get(sessionId) || 0;
+  checkPolicy(method, params, platform, getPolicy(), created);
+
+  if (method !== 'create_issue') {
+    return run();
+  }
+
+  createdIssues.set(sessionId, created + 1);
+
+  try {
+    return await run();
+  } catch (error) {
+    createdIssues.set(sessionId, (createdIssues.get(sessionId) || 1) - 1);
+    throw error;
+  }
+}
+
+/**
+ * Forget a session's issue count
+ *
+ * @param {string|null} sessionId - Session that ended
+ */
+function endPolicySession(sessionId) {
+  createdIssues.delete(sessionId);
+}
+
+module.exports = {
+  isToolAllowed,
+  enforcePolicy,
+  endPolicySession
+};
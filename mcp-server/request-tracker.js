@@ -0,0 +1,161 @@
+/**
+ * Request Tracker for the MCP Server
+ *
+ * Keeps track of the requests being handled so they can be cancelled and
+ * waited for on shutdown, and limits how many run at once. Requests over
+ * the limit wait their turn in the order they arrived.
+ */
+
+/**
+ * Create a request tracker
+ *
+ * @param {Object} [options] - Tracker options
+ * @param {number} [options.concurrency] - Most requests handled at once
+ *   (default unlimited)
+ * @returns {Object} - Tracker with run(key, fn), has(key), cancel(key),
+ *   drain(timeout) and size
+ */
+function createRequestTracker(options = {}) {
+  const concurrency = options.concurrency > 0 ? options.concurrency : Infinity;
+
+  // Requests running or waiting for a slot
+  const requests = new Map();
+  // Requests waiting for a slot, first come first served
+  const queue = [];
+  // Called whenever a request finishes, for drain
+  const listeners = new Set();
+  let running = 0;
+
+  const acquire = () => {
+    if (running < concurrency) {
+      running += 1;
+      return Promise.resolve();
+    }
+
+    // The slot is handed over directly by release, so running stays the same
+    return new Promise(resolve => queue.push(resolve));
+  };
+
+  const release = () => {
+    const next = queue.shift();
+
+    if (next) {
+      next();
+    } else {
+      running -= 1;
+    }
+  };
+
+  return {
+    /**
+     * Handle a request once a slot is free
+     *
+     * @param {*} key - Identifies the request for cancel; null if it can't
+     *   be cancelled
+     * @param {Function} fn - Function handling the request
+     * @returns {Promise<*>} - Result of the function, or null if the request
+     *   was cancelled
+     * @throws {Error} - If a request with the same key is still in progress
+     */
+    async run(key, fn) {
+      const entry = { cancelled: false };
+      const id = key === null || key === undefined ? Symbol('request') : key;
+
+      // Replacing the entry would hide the first request from cancel and drain
+      if (requests.has(id)) {
+        throw new Error(`Request ${String(key)} is already in progress`);
+      }
+      requests.set(id, entry);
+
+      try {
+        await acquire();
+
+        try {
+          // Requests cancelled while waiting aren't started
+          if (entry.cancelled) {
+            return null;
+          }
+
+          const result = await fn();
+          return entry.cancelled ? null : result;
+        } finally {
+          release();
+        }
+      } finally {
+        if (requests.get(id) === entry) {
+          requests.delete(id);
+        }
+        // Let the caller send its response before drain reports it finished
+        setImmediate(() => listeners.forEach(listener => listener()));
+      }
+    },
+
+    /**
+     * Check whether a request is running or waiting
+     *
+     * @param {*} key - Key the request was run with
+     * @returns {boolean} - True if the request is in progress
+     */
+    has(key) {
+      return requests.has(key);
+    },
+
+    /**
+     * Cancel a request
+     *
+     * A request still waiting is dropped. One already running can't be
+     * stopped partway, since the platform may already have acted on it,
+     * so it finishes but its result is discarded.
+     *
+     * @param {*} key - Key the request was run with
+     * @returns {boolean} - True if the request was found
+     */
+    cancel(key) {
+      const entry = requests.get(key);
+
+      if (!entry) {
+        return false;
+      }
+
+      entry.cancelled = true;
+      return true;
+    },
+
+    /**
+     * Wait for every request to finish
+     *
+     * @param {number} [timeout] - Milliseconds to wait at most
+     * @returns {Promise<boolean>} - True if all finished in time
+     */
+    drain(timeout = Infinity) {
+      if (requests.size === 0) {
+        return Promise.resolve(true);
+      }
+
+      return new Promise((resolve) => {
+        const done = (drained) => {
+          clearTimeout(timer);
+          listeners.delete(check);
+          resolve(drained);
+        };
+        const check = () => {
+          if (requests.size === 0) {
+            done(true);
+          }
+        };
+        const timer = Number.isFinite(timeout) ? setTimeout(() => done(false), timeout) : null;
+
+        listeners.add(check);
+      });
+    },
+
+    // Number of requests running or waiting
+    get size() {
+      return requests.size;
+    }
+  };
+}
+
+module.exports = {
+  createRequestTracker
+};
@@ -0,0 +1,483 @@
+/**
+ * MCP Tool Definitions
+ *
+ * Describes the tools exposed by the MCP server in `tools/list`,
+ * including the JSON Schema for each tool's arguments
+ */
+
+const { LINK_TYPES } = require('../lib/issue-model');
+
+// Marks tools that only read from the platform, which read-only servers allow
+const readOnly = { readOnlyHint: true };
+
+// Platform selector shared by every tool
+const platformProperty = {
+  type: 'string',
+  enum: ['jira', 'gitlab', 'github', 'local'],
+  description: 'Task management platform to use (defaults to the profile\'s platform, then jira)'
+};
+
+// Named profile from .project-manager.json shared by every tool
+const profileProperty = {
+  type: 'string',
+  description: 'Profile from .project-manager.json to take the platform and credentials from'
+};
+
+const labelsProperty = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Labels to apply to the issue'
+};
+
+// Issue reference accepted by every platform
+const keyProperty = {
+  type: 'string',
+  description: 'Issue key, e.g. PROJ-123 (JIRA) or #42 (GitLab, GitHub)'
+};
+
+// Project an issue referenced by key belongs to; JIRA keys already include it
+const projectProperty = {
+  type: 'string',
+  description: 'GitLab project ID or GitHub "owner/repo" the issue belongs to (defaults to the configured project)'
+};
+
+// How an issue relates to the issue it is linked to
+const linkTypeProperty = {
+  type: 'string',
+  enum: LINK_TYPES,
+  description: 'Link type, read as "<key> blocks <targetKey>" (defaults to relates)'
+};
+
+// Project listings and metadata are cached for the server session
+const refreshProperty = {
+  type: 'boolean',
+  description: 'Fetch again instead of using the cached result'
+};
+
+// Custom field values keyed by the field's name or ID
+const customFieldsProperty = {
+  type: 'object',
+  additionalProperties: true,
+  description: 'JIRA custom field values keyed by field name (e.g. "Team") or ID (e.g. "customfield_10042"); select fields take option names'
+};
+
+// JIRA fields set on both create and update
+const jiraFieldProperties = {
+  priority: { type: 'string', description: 'Priority name, e.g. High (JIRA)' },
+  components: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Component names (JIRA)'
+  },
+  fixVersions: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Fix version names (JIRA)'
+  },
+  storyPoints: {
+    type: 'number',
+    description: 'Story points, set on the project\'s story points field or JIRA_STORY_POINTS_FIELD (JIRA)'
+  },
+  environment: { type: 'string', description: 'Environment the issue occurs in (JIRA)' }
+};
+
+// GitLab planning fields set on both create and update
+const planningProperties = {
+  weight: {
+    type: 'number',
+    description: 'Issue weight (GitLab)'
+  },
+  milestone: {
+    type: ['string', 'number'],
+    description: 'Milestone title or ID (GitLab) or milestone number (GitHub); empty to remove it'
+  },
+  epic: {
+    type: 'string',
+    description: 'Epic in the project\'s group, e.g. &5 (GitLab Premium); empty to remove it'
+  },
+  iteration: {
+    type: ['string', 'number'],
+    description: 'Iteration title or ID (GitLab Premium); empty to remove it'
+  }
+};
+
+// Project whose milestones to use
+const milestoneProjectProperty = {
+  type: 'string',
+  description: 'GitLab project ID or path (defaults to the configured project)'
+};
+
+const tools = [
+  {
+    name: 'create_issue',
+    description: 'Create a new issue on the selected platform',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        project: {
+          type: 'string',
+          description: 'JIRA project key, GitLab project ID or GitHub "owner/repo" (defaults to the configured project)'
+        },
+        title: {
+          type: 'string',
+          description: 'Issue title'
+        },
+        description: {
+          type: 'string',
+          description: 'Issue description'
+        },
+        issueType: {
+          type: 'string',
+          description: 'JIRA issue type name (defaults to Task)'
+        },
+        assignee: {
+          type: 'string',
+          description: 'Assignee username'
+        },
+        labels: labelsProperty,
+        dueDate: {
+          type: 'string',
+          description: 'Due date in YYYY-MM-DD format (JIRA, GitLab)'
+        },
+        ...jiraFieldProperties,
+        ...planningProperties,
+        customFields: customFieldsProperty
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'update_issue',
+    description: 'Update an existing issue on the selected platform',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        key: keyProperty,
+        updateData: {
+          type: 'object',
+          description: 'Fields to update',
+          properties: {
+            title: { type: 'string', description: 'New title' },
+            description: { type: 'string', description: 'New description' },
+            assignee: { type: 'string', description: 'Assignee username' },
+            labels: labelsProperty,
+            dueDate: { type: 'string', description: 'Due date in YYYY-MM-DD format (JIRA, GitLab)' },
+            ...jiraFieldProperties,
+            ...planningProperties,
+            status: {
+              type: 'string',
+              description: 'Target status: a workflow status such as "In Progress" (JIRA) or "closed"/"opened"'
+            },
+            resolution: {
+              type: 'string',
+              description: 'Resolution to set when the transition asks for one (JIRA)'
+            },
+            customFields: customFieldsProperty
+          }
+        }
+      },
+      required: ['key', 'updateData']
+    }
+  },
+  {
+    name: 'get_issue',
+    description: 'Get a single issue by key, including its description and comment count',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        key: keyProperty,
+        project: projectProperty
+      },
+      required: ['key']
+    }
+  },
+  {
+    name: 'search_issues',
+    description: 'Search for issues. Results use the same issue shape on every platform',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        project: {
+          type: 'string',
+          description: 'Project to search (defaults to the configured project)'
+        },
+        key: {
+          type: 'string',
+          description: 'Only return the issue with this key'
+        },
+        status: {
+          type: 'string',
+          description: '"opened", "closed", "all" or a JIRA status name (defaults to all on JIRA, opened elsewhere)'
+        },
+        assignee: {
+          type: 'string',
+          description: 'Assignee username'
+        },
+        author: {
+          type: 'string',
+          description: 'Author/reporter username'
+        },
+        labels: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only return issues with all of these labels'
+        },
+        text: {
+          type: 'string',
+          description: 'Text to search titles and descriptions for'
+        },
+        milestone: {
+          type: 'string',
+          description: 'Milestone title, or None or Any (GitLab)'
+        },
+        epic: {
+          type: 'string',
+          description: 'Epic in the project\'s group, e.g. &5, or None or Any (GitLab Premium)'
+        },
+        iteration: {
+          type: ['string', 'number'],
+          description: 'Iteration title or ID, or None, Any or Current (GitLab Premium)'
+        },
+        jql: {
+          type: 'string',
+          description: 'Raw JQL query, overrides the other filters (JIRA)'
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of results'
+        },
+        page: {
+          type: 'number',
+          description: 'Page of results to return, starting at 1'
+        }
+      }
+    }
+  },
+  {
+    name: 'add_comment',
+    description: 'Add a comment to an issue, e.g. to leave a progress note',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        key: keyProperty,
+        body: {
+          type: 'string',
+          description: 'Comment text'
+        },
+        project: projectProperty
+      },
+      required: ['key', 'body']
+    }
+  },
+  {
+    name: 'list_comments',
+    description: 'List the comments on an issue, oldest first',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        key: keyProperty,
+        project: projectProperty
+      },
+      required: ['key']
+    }
+  },
+  {
+    name: 'link_issues',
+    description: 'Link two issues, e.g. to record that one blocks another (JIRA and GitLab)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        key: keyProperty,
+        targetKey: {
+          type: 'string',
+          description: 'Key of the issue to link to'
+        },
+        type: linkTypeProperty,
+        project: projectProperty,
+        targetProject: {
+          type: 'string',
+          description: 'GitLab project ID of the target issue, if it is in another project'
+        }
+      },
+      required: ['key', 'targetKey']
+    }
+  },
+  {
+    name: 'get_issue_links',
+    description: 'List the issues linked to an issue, including its parent and subtasks (JIRA and GitLab)',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        key: keyProperty,
+        project: projectProperty
+      },
+      required: ['key']
+    }
+  },
+  {
+    name: 'unlink_issues',
+    description: 'Remove the links between two issues (JIRA and GitLab)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        key: keyProperty,
+        targetKey: {
+          type: 'string',
+          description: 'Key of the linked issue'
+        },
+        type: {
+          ...linkTypeProperty,
+          description: 'Only remove links of this type'
+        },
+        project: projectProperty
+      },
+      required: ['key', 'targetKey']
+    }
+  },
+  {
+    name: 'list_milestones',
+    description: 'List a project\'s milestones, including its groups\' milestones, optionally with issue counts and weights (GitLab)',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        project: milestoneProjectProperty,
+        state: {
+          type: 'string',
+          enum: ['active', 'closed', 'all'],
+          description: 'Only return milestones in this state (defaults to all)'
+        },
+        title: {
+          type: 'string',
+          description: 'Only return the milestone with this title'
+        },
+        progress: {
+          type: 'boolean',
+          description: 'Count each milestone\'s open and closed issues and their weights'
+        }
+      }
+    }
+  },
+  {
+    name: 'create_milestone',
+    description: 'Create a milestone in a project (GitLab)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        project: milestoneProjectProperty,
+        title: {
+          type: 'string',
+          description: 'Milestone title'
+        },
+        description: {
+          type: 'string',
+          description: 'Milestone description'
+        },
+        startDate: {
+          type: 'string',
+          description: 'Start date in YYYY-MM-DD format'
+        },
+        dueDate: {
+          type: 'string',
+          description: 'Due date in YYYY-MM-DD format'
+        }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'list_projects',
+    description: 'List the projects available to the configured user (JIRA and GitLab)',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        refresh: refreshProperty
+      }
+    }
+  },
+  {
+    name: 'get_project_metadata',
+    description: 'Describe a project: issue types, statuses, priorities, components and custom fields on JIRA; labels, milestones and members on GitLab',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty,
+        project: {
+          type: 'string',
+          description: 'JIRA project key or GitLab project ID or path (defaults to the configured project)'
+        },
+        refresh: refreshProperty
+      }
+    }
+  },
+  {
+    name: 'has_required_config',
+    description: 'Check whether the selected platform has all required configuration',
+    annotations: readOnly,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        platform: platformProperty,
+        profile: profileProperty
+      }
+    }
+  }
+];
+
+/**
+ * Find a tool definition by name
+ *
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} - Tool definition
+ */
+function findTool(name) {
+  return tools.find(tool => tool.name === name);
+}
+
+/**
+ * Check whether a tool only reads from the platform
+ *
+ * @param {string} name - Tool name
+ * @returns {boolean} - True for read-only tools
+ */
+function isReadOnlyTool(name) {
+  const tool = findTool(name);
+  return !!(tool && tool.annotations && tool.annotations.readOnlyHint);
+}
+
+module.exports = {
+  tools,
+  findTool,
+  isReadOnlyTool
+};
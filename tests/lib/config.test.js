@@ -0,0 +1,248 @@
+/**
+ * Tests for the Config Module
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const config = require('../../lib/config');
+
+// Store original environment variables
+const originalEnv = { ...process.env };
+
+describe('Config', () => {
+  let tempDir;
+  let homeDir;
+
+  // Write a config file and return its path
+  const writeConfig = (dir, contents) => {
+    const filePath = path.join(dir, '.project-manager.json');
+    fs.writeFileSync(filePath, JSON.stringify(contents));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-config-'));
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-home-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+
+    // Start from a clean environment
+    Object.keys(process.env)
+      .filter(key => /^(JIRA|GITLAB|GITHUB)_|^DEFAULT_PLATFORM$|^PROJECT_MANAGER_/.test(key))
+      .forEach(key => delete process.env[key]);
+
+    writeConfig(homeDir, {
+      defaultProfile: 'work',
+      profiles: {
+        work: {
+          platform: 'jira',
+          url: 'https://work.atlassian.net',
+          email: 'me@work.example.com',
+          tokenEnv: 'WORK_JIRA_TOKEN',
+          project: 'WORK'
+        },
+        oss: {
+          platform: 'gitlab',
+          url: 'https://gitlab.example.com',
+          token: 'literal-token',
+          project: '42'
+        }
+      }
+    });
+    process.env.PROJECT_MANAGER_CONFIG = writeConfig(tempDir, {
+      profiles: {
+        work: { project: 'LOCAL' },
+        repo: { platform: 'github', tokenEnv: 'GH_TOKEN', project: 'octo/widgets' }
+      }
+    });
+    process.env.WORK_JIRA_TOKEN = 'work-token';
+
+    config.resetConfig();
+  });
+
+  afterEach(() => {
+    os.homedir.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.rmSync(homeDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+    config.resetConfig();
+  });
+
+  describe('loadConfig', () => {
+    it('should merge user-level and project-local profiles', () => {
+      const { defaultProfile, profiles } = config.loadConfig();
+
+      expect(defaultProfile).toBe('work');
+      expect(Object.keys(profiles)).toEqual(['work', 'oss', 'repo']);
+      expect(profiles.work.project).toBe('LOCAL');
+      expect(profiles.work.url).toBe('https://work.atlassian.net');
+    });
+
+    it('should report invalid config files', () => {
+      fs.writeFileSync(process.env.PROJECT_MANAGER_CONFIG, '{ not json');
+
+      expect(() => config.loadConfig()).toThrow('Invalid config file');
+    });
+  });
+
+  describe('getPlatformConfig', () => {
+    it('should use the default profile and resolve token references', () => {
+      expect(config.getPlatformConfig('jira')).toEqual({
+        url: 'https://work.atlassian.net',
+        email: 'me@work.example.com',
+        token: 'work-token',
+        project: 'LOCAL'
+      });
+    });
+
+    it('should let environment variables override the profile', () => {
+      process.env.JIRA_PROJECT = 'CI';
+
+      expect(config.getPlatformConfig('jira').project).toBe('CI');
+    });
+
+    it('should only apply the profile to its own platform', () => {
+      expect(config.getPlatformConfig('gitlab')).toEqual({
+        url: undefined,
+        token: undefined,
+        project: undefined
+      });
+    });
+
+    it('should use the profile selected for the current call', () => {
+      const settings = config.runWithProfile('oss', () => config.getPlatformConfig('gitlab'));
+
+      expect(settings).toEqual({
+        url: 'https://gitlab.example.com',
+        token: 'literal-token',
+        project: '42'
+      });
+    });
+
+    it('should split GitHub repositories given as owner/repo', () => {
+      process.env.GH_TOKEN = 'gh-token';
+
+      const settings = config.runWithProfile('repo', () => config.getPlatformConfig('github'));
+
+      expect(settings).toEqual(expect.objectContaining({ token: 'gh-token', owner: 'octo', repo: 'widgets' }));
+    });
+  });
+
+  describe('getDefaultPlatform', () => {
+    it('should prefer the selected profile, then DEFAULT_PLATFORM, then the default profile', () => {
+      expect(config.getDefaultPlatform()).toBe('jira');
+
+      process.env.DEFAULT_PLATFORM = 'github';
+      expect(config.getDefaultPlatform()).toBe('github');
+
+      expect(config.runWithProfile('oss', () => config.getDefaultPlatform())).toBe('gitlab');
+    });
+  });
+
+  describe('runWithProfile', () => {
+    it('should reject unknown profiles', () => {
+      expect(() => config.runWithProfile('missing', () => null))
+        .toThrow('Unknown profile: missing. Available profiles: work, oss, repo');
+    });
+  });
+
+  describe('getPolicy', () => {
+    it('should allow everything by default', () => {
+      expect(config.getPolicy()).toEqual({
+        readOnly: false,
+        writableProjects: null,
+        maxIssuesPerSession: null,
+        deniedMethods: []
+      });
+    });
+
+    it('should read the config file and let environment variables override it', () => {
+      writeConfig(tempDir, {
+        policy: { readOnly: true, writableProjects: ['PROJ', 42], maxIssuesPerSession: 5 }
+      });
+      process.env.MCP_READ_ONLY = 'false';
+      process.env.MCP_DENIED_METHODS = 'link_issues,unlink_issues';
+      config.resetConfig();
+
+      expect(config.getPolicy()).toEqual({
+        readOnly: false,
+        writableProjects: ['PROJ', '42'],
+        maxIssuesPerSession: 5,
+        deniedMethods: ['link_issues', 'unlink_issues']
+      });
+    });
+  });
+
+  describe('users', () => {
+    beforeEach(() => {
+      writeConfig(tempDir, {
+        profiles: {
+          work: { project: 'LOCAL' },
+          'alice-jira': {
+            platform: 'jira',
+            url: 'https://work.atlassian.net',
+            email: 'alice@work.example.com',
+            tokenEnv: 'ALICE_JIRA_TOKEN'
+          },
+          'alice-gitlab': { platform: 'gitlab', url: 'https://gitlab.example.com', token: 'alice-gitlab-token', project: '7' }
+        },
+        users: {
+          alice: { tokenEnv: 'ALICE_MCP_TOKEN', profiles: ['alice-jira', 'alice-gitlab'] },
+          bob: { token: 'bob-secret', profiles: [] }
+        }
+      });
+      process.env.ALICE_MCP_TOKEN = 'alice-secret';
+      process.env.ALICE_JIRA_TOKEN = 'alice-jira-token';
+      config.resetConfig();
+    });
+
+    it('should find the user a token belongs to', () => {
+      expect(config.hasUsers()).toBe(true);
+      expect(config.authenticate('alice-secret')).toEqual({
+        name: 'alice',
+        profiles: ['alice-jira', 'alice-gitlab'],
+        defaultProfile: 'alice-jira'
+      });
+      expect(config.authenticate('bob-secret').name).toBe('bob');
+      expect(config.authenticate('wrong')).toBeNull();
+      expect(config.authenticate(undefined)).toBeNull();
+    });
+
+    it('should use the user\'s own profiles and ignore server credentials', () => {
+      process.env.JIRA_TOKEN = 'bot-token';
+      const alice = config.authenticate('alice-secret');
+
+      const settings = config.runAsUser(alice, () => ({
+        jira: config.getPlatformConfig('jira'),
+        gitlab: config.getPlatformConfig('gitlab'),
+        platform: config.getDefaultPlatform()
+      }));
+
+      expect(settings.jira).toEqual(expect.objectContaining({ email: 'alice@work.example.com', token: 'alice-jira-token' }));
+      expect(settings.gitlab).toEqual(expect.objectContaining({ token: 'alice-gitlab-token', project: '7' }));
+      expect(settings.platform).toBe('jira');
+    });
+
+    it('should give users without a profile for a platform no credentials', () => {
+      process.env.JIRA_TOKEN = 'bot-token';
+      const bob = config.authenticate('bob-secret');
+
+      expect(config.runAsUser(bob, () => config.getPlatformConfig('jira')).token).toBeUndefined();
+    });
+
+    it('should not let users select other profiles', () => {
+      const alice = config.authenticate('alice-secret');
+
+      expect(() => config.runAsUser(alice, () => config.runWithProfile('work', () => null)))
+        .toThrow('Profile work is not available to user alice');
+      expect(config.runAsUser(alice, () => config.runWithProfile('alice-gitlab', () => config.getActiveProfileName())))
+        .toBe('alice-gitlab');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the Errors Module
+ */
+
+const {
+  ConfigError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  PolicyError,
+  toRpcError,
+  fromRpcError,
+  getExitCode
+} = require('../../lib/errors');
+
+describe('Errors', () => {
+  describe('toRpcError', () => {
+    it('should give typed errors a code and data', () => {
+      const error = new NotFoundError('Issue does not exist', { platform: 'jira', status: 404 });
+
+      expect(toRpcError(error)).toEqual({
+        code: -32012,
+        message: 'Issue does not exist',
+        data: { type: 'NotFoundError', platform: 'jira', status: 404 }
+      });
+    });
+
+    it('should include field errors, retry delays and policy rules', () => {
+      const invalid = new ValidationError('Issue key is required', { platform: 'jira', field: 'key' });
+      const limited = new RateLimitError('Rate limit exceeded', { retryAfter: 2000, attempts: 4 });
+      const refused = new PolicyError('Policy violation', { rule: 'readOnly', method: 'create_issue' });
+
+      expect(toRpcError(invalid)).toEqual({
+        code: -32602,
+        message: 'Issue key is required',
+        data: { type: 'ValidationError', platform: 'jira', errors: [{ field: 'key', message: 'Issue key is required' }] }
+      });
+      expect(toRpcError(limited).data).toEqual({ type: 'RateLimitError', status: 429, retryAfter: 2000 });
+      expect(toRpcError(refused).data).toEqual({ type: 'PolicyError', rule: 'readOnly', method: 'create_issue' });
+    });
+
+    it('should only give other errors a message', () => {
+      expect(toRpcError(new Error('Something broke'))).toEqual({ message: 'Something broke' });
+    });
+  });
+
+  describe('fromRpcError', () => {
+    it('should rebuild the typed error a response describes', () => {
+      const original = new ValidationError('Bad issue', {
+        platform: 'gitlab',
+        status: 400,
+        errors: [{ field: 'title', message: 'can\'t be blank' }]
+      });
+
+      const error = fromRpcError(toRpcError(original));
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Bad issue');
+      expect(error.platform).toBe('gitlab');
+      expect(error.status).toBe(400);
+      expect(error.errors).toEqual(original.errors);
+    });
+
+    it('should fall back to a plain error', () => {
+      const error = fromRpcError({ code: -32601, message: 'Unknown method: foo' });
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('Error');
+      expect(error.message).toBe('Unknown method: foo');
+    });
+  });
+
+  describe('getExitCode', () => {
+    it('should differ per error type', () => {
+      expect(getExitCode(new ConfigError('No token'))).toBe(3);
+      expect(getExitCode(new NotFoundError('Gone'))).toBe(5);
+      expect(getExitCode(new ValidationError('Bad'))).toBe(6);
+      expect(getExitCode(new RateLimitError('Slow down'))).toBe(7);
+      expect(getExitCode(new Error('Other'))).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Tests for GitHub Client Module
+ */
+
+const mockIssues = {
+  create: jest.fn(),
+  update: jest.fn(),
+  get: jest.fn(),
+  listForRepo: jest.fn(),
+  createComment: jest.fn(),
+  listComments: jest.fn()
+};
+
+const mockPaginate = jest.fn();
+
+const mockSearch = {
+  issuesAndPullRequests: jest.fn()
+};
+
+// Mock Octokit class and methods
+jest.mock('@octokit/rest', () => {
+  return {
+    Octokit: jest.fn().mockImplementation(() => {
+      return {
+        rest: {
+          issues: mockIssues,
+          search: mockSearch
+        },
+        paginate: mockPaginate
+      };
+    })
+  };
+});
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+// Import the github client module
+const githubClient = require('../../lib/github-client');
+const { Octokit } = require('@octokit/rest');
+
+// Store original environment variables
+const originalEnv = { ...process.env };
+
+describe('GitHub Client', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    // Setup test environment variables
+    process.env.GITHUB_TOKEN = 'test-token';
+    process.env.GITHUB_OWNER = 'test-owner';
+    process.env.GITHUB_REPO = 'test-repo';
+
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    process.env = { ...originalEnv };
+  });
+
+  describe('createIssue', () => {
+    it('should create a GitHub issue with required fields', async () => {
+      mockIssues.create.mockResolvedValue({ data: { number: 7, title: 'Test Issue' } });
+
+      const result = await githubClient.createIssue({
+        title: 'Test Issue',
+        description: 'Test Description'
+      });
+
+      expect(Octokit).toHaveBeenCalledWith({ auth: 'test-token' });
+      expect(mockIssues.create).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        title: 'Test Issue',
+        body: 'Test Description',
+        labels: []
+      });
+      expect(result).toEqual(expect.objectContaining({
+        key: '#7',
+        title: 'Test Issue',
+        platform: 'github'
+      }));
+    });
+
+    it('should handle optional fields if provided', async () => {
+      mockIssues.create.mockResolvedValue({ data: { number: 8 } });
+
+      await githubClient.createIssue({
+        title: 'Test Issue',
+        labels: ['bug'],
+        assignee: 'octocat',
+        milestone: 2
+      });
+
+      expect(mockIssues.create).toHaveBeenCalledWith(expect.objectContaining({
+        labels: ['bug'],
+        assignees: ['octocat'],
+        milestone: 2
+      }));
+    });
+
+    it('should throw an error if title is not provided', async () => {
+      await expect(githubClient.createIssue({ description: 'No title' })).rejects.toThrow('Issue title is required');
+      expect(mockIssues.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error if configuration is missing', async () => {
+      delete process.env.GITHUB_REPO;
+
+      await expect(githubClient.createIssue({ title: 'Test Issue' })).rejects.toThrow('Missing required GitHub configuration');
+    });
+
+    it('should use GITHUB_API_URL for GitHub Enterprise', async () => {
+      process.env.GITHUB_API_URL = 'https://github.example.com/api/v3';
+      mockIssues.create.mockResolvedValue({ data: { number: 9 } });
+
+      await githubClient.createIssue({ title: 'Test Issue' });
+
+      expect(Octokit).toHaveBeenCalledWith({
+        auth: 'test-token',
+        baseUrl: 'https://github.example.com/api/v3'
+      });
+    });
+  });
+
+  describe('updateIssue', () => {
+    it('should update a GitHub issue with the provided fields', async () => {
+      mockIssues.update.mockResolvedValue({ data: { number: 7, state: 'closed' } });
+
+      const result = await githubClient.updateIssue('7', {
+        title: 'Updated Issue',
+        description: 'Updated Description',
+        state: 'close'
+      });
+
+      expect(mockIssues.update).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 7,
+        title: 'Updated Issue',
+        body: 'Updated Description',
+        state: 'closed'
+      });
+      expect(result.status).toBe('closed');
+    });
+
+    it('should reopen issues', async () => {
+      mockIssues.update.mockResolvedValue({ data: { number: 7, state: 'open' } });
+
+      await githubClient.updateIssue(7, { state: 'reopen' });
+
+      expect(mockIssues.update).toHaveBeenCalledWith(expect.objectContaining({ state: 'open' }));
+    });
+
+    it('should close issues given a finished status', async () => {
+      mockIssues.update.mockResolvedValue({ data: { number: 7, state: 'closed' } });
+
+      await githubClient.updateIssue(7, { status: 'Resolved' });
+
+      expect(mockIssues.update).toHaveBeenCalledWith(expect.objectContaining({ state: 'closed' }));
+    });
+
+    it('should reject statuses GitHub cannot represent instead of reopening', async () => {
+      await expect(githubClient.updateIssue(7, { status: 'In Progress' }))
+        .rejects.toThrow('Status "In Progress" is not supported on github');
+      expect(mockIssues.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error if issue number is not provided', async () => {
+      await expect(githubClient.updateIssue(null, { title: 'Updated' })).rejects.toThrow('Issue number is required');
+    });
+  });
+
+  describe('getIssue', () => {
+    it('should fetch a single issue by number', async () => {
+      mockIssues.get.mockResolvedValue({
+        data: {
+          number: 42,
+          title: 'Test Issue',
+          body: 'Test Description',
+          state: 'open',
+          labels: [{ name: 'bug' }],
+          comments: 5,
+          html_url: 'https://github.com/test-owner/test-repo/issues/42'
+        }
+      });
+
+      const result = await githubClient.getIssue('#42');
+
+      expect(mockIssues.get).toHaveBeenCalledWith({ owner: 'test-owner', repo: 'test-repo', issue_number: 42 });
+      expect(result).toEqual(expect.objectContaining({
+        key: '#42',
+        description: 'Test Description',
+        labels: ['bug'],
+        commentCount: 5,
+        url: 'https://github.com/test-owner/test-repo/issues/42'
+      }));
+    });
+
+    it('should throw an error if issue number is not provided', async () => {
+      await expect(githubClient.getIssue()).rejects.toThrow('Issue number is required');
+    });
+  });
+
+  describe('comments', () => {
+    it('should add a comment to an issue', async () => {
+      mockIssues.createComment.mockResolvedValue({
+        data: { id: 900, body: 'Progress note', user: { login: 'octocat' }, created_at: '2025-04-01T10:00:00Z' }
+      });
+
+      const result = await githubClient.addComment('#42', 'Progress note');
+
+      expect(mockIssues.createComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 42,
+        body: 'Progress note'
+      });
+      expect(result).toEqual(expect.objectContaining({ id: '900', author: 'octocat', body: 'Progress note' }));
+    });
+
+    it('should list every page of comments', async () => {
+      mockPaginate.mockResolvedValue([
+        { id: 1, body: 'First', user: { login: 'alice' } },
+        { id: 2, body: 'Second', user: { login: 'bob' } }
+      ]);
+
+      const result = await githubClient.listComments(42);
+
+      expect(mockPaginate).toHaveBeenCalledWith(mockIssues.listComments, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 42,
+        per_page: 100
+      });
+      expect(result.map(comment => comment.author)).toEqual(['alice', 'bob']);
+    });
+  });
+
+  describe('searchIssues', () => {
+    it('should list repository issues and filter out pull requests', async () => {
+      mockIssues.listForRepo.mockResolvedValue({
+        data: [
+          { number: 1, title: 'Issue' },
+          { number: 2, title: 'Pull request', pull_request: {} }
+        ]
+      });
+
+      const result = await githubClient.searchIssues({ state: 'opened', maxResults: 5, labels: ['bug', 'ui'] });
+
+      expect(mockIssues.listForRepo).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        state: 'open',
+        per_page: 5,
+        page: 1,
+        labels: 'bug,ui'
+      });
+      expect(result.total).toBe(1);
+      expect(result.issues.map(issue => issue.key)).toEqual(['#1']);
+    });
+
+    it('should use the search API for free-text searches', async () => {
+      mockSearch.issuesAndPullRequests.mockResolvedValue({ data: { items: [{ number: 3 }], total_count: 12 } });
+
+      const result = await githubClient.searchIssues({ search: 'login', state: 'closed', author: 'octocat' });
+
+      expect(mockSearch.issuesAndPullRequests).toHaveBeenCalledWith({
+        q: 'login repo:test-owner/test-repo is:issue state:closed author:octocat',
+        per_page: 20,
+        page: 1
+      });
+      expect(result.total).toBe(12);
+      expect(result.issues[0].key).toBe('#3');
+    });
+
+    it('should fetch a single issue by number', async () => {
+      mockIssues.get.mockResolvedValue({ data: { number: 42 } });
+
+      const result = await githubClient.searchIssues({ issueNumber: '42' });
+
+      expect(mockIssues.get).toHaveBeenCalledWith({ owner: 'test-owner', repo: 'test-repo', issue_number: 42 });
+      expect(result.total).toBe(1);
+      expect(result.issues[0].key).toBe('#42');
+    });
+
+    it('should throw an error if GitHub search fails', async () => {
+      mockIssues.listForRepo.mockRejectedValue(new Error('GitHub API error'));
+
+      await expect(githubClient.searchIssues({})).rejects.toThrow('GitHub API error');
+    });
+  });
+
+  describe('error handling', () => {
+    it('should detect missing environment variables', () => {
+      delete process.env.GITHUB_TOKEN;
+
+      expect(githubClient.hasRequiredEnv()).toBe(false);
+    });
+  });
+});
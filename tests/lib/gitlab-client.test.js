@@ -3,11 +3,50 @@
  */
 
 // Mock Gitlab class and methods
+// Requester shared by every resource, which the issue links API goes through
+const mockRequester = {
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn()
+};
+
+// Project resources used for project metadata
+const mockProjectResources = {
+  Projects: {
+    all: jest.fn(),
+    show: jest.fn()
+  },
+  Labels: { all: jest.fn() },
+  ProjectMilestones: {
+    all: jest.fn(),
+    create: jest.fn()
+  },
+  ProjectMembers: { all: jest.fn() },
+  Epics: { show: jest.fn() }
+};
+
 jest.mock('@gitbeaker/node', () => {
   return {
     Gitlab: jest.fn().mockImplementation(() => {
       return {
+        ...mockProjectResources,
+        IssueNotes: {
+          create: jest.fn().mockImplementation((projectId, issueId, body) => ({
+            id: 501,
+            body,
+            author: { username: 'testuser' },
+            created_at: '2025-04-01T10:00:00Z',
+            updated_at: '2025-04-01T10:00:00Z',
+            system: false
+          })),
+          all: jest.fn().mockResolvedValue([
+            { id: 1, body: 'First', author: { username: 'alice' }, system: false },
+            { id: 2, body: 'changed the description', author: { username: 'alice' }, system: true },
+            { id: 3, body: 'Second', author: { username: 'bob' }, system: false }
+          ])
+        },
         Issues: {
+          requester: mockRequester,
           create: jest.fn().mockImplementation((projectId, issue) => {
             if (!issue.title) {
               throw new Error('Issue title is required');
@@ -34,6 +73,21 @@ jest.mock('@gitbeaker/node', () => {
               labels: issue.labels || []
             };
           }),
+          show: jest.fn().mockImplementation((projectId, issueId) => {
+            if (issueId === 404) {
+              throw new Error('404 Not Found');
+            }
+            return {
+              id: 1,
+              iid: issueId,
+              title: 'Test Issue 1',
+              description: 'Test Description 1',
+              state: 'opened',
+              labels: ['bug'],
+              user_notes_count: 4,
+              web_url: `https://gitlab.example.com/test-project/-/issues/${issueId}`
+            };
+          }),
           all: jest.fn().mockImplementation((params) => {
             if (params.search === 'api_error') {
               throw new Error('GitLab API error');
@@ -188,7 +242,269 @@ describe('GitLab Client', () => {
       const result = await gitlabClient.updateIssue(101, updateData);
       
       expect(result).toBeDefined();
-      expect(result.state).toBe('closed');
+      expect(result.status).toBe('closed');
+    });
+    
+    it('should close issues given a finished status', async () => {
+      const result = await gitlabClient.updateIssue(101, { status: 'Done' });
+      
+      const gitlab = require('@gitbeaker/node').Gitlab.mock.results.slice(-1)[0].value;
+      expect(gitlab.Issues.edit).toHaveBeenCalledWith('test-project', 101, { state_event: 'close' });
+      expect(result.status).toBe('closed');
+    });
+    
+    it('should reject statuses GitLab cannot represent', async () => {
+      await expect(gitlabClient.updateIssue(101, { status: 'In Progress' })).rejects.toThrow(expect.objectContaining({
+        name: 'ValidationError',
+        message: 'Status "In Progress" is not supported on gitlab. Use opened or closed (or done)'
+      }));
+    });
+  });
+  
+  describe('getIssue', () => {
+    it('should fetch a single issue by IID', async () => {
+      const result = await gitlabClient.getIssue('#101');
+      
+      expect(result.key).toBe('#101');
+      expect(result.title).toBe('Test Issue 1');
+      expect(result.commentCount).toBe(4);
+      expect(result.url).toBe('https://gitlab.example.com/test-project/-/issues/101');
+    });
+    
+    it('should throw an error if the issue does not exist', async () => {
+      await expect(gitlabClient.getIssue(404)).rejects.toThrow('404 Not Found');
+    });
+  });
+  
+  describe('comments', () => {
+    it('should add a note to an issue', async () => {
+      const result = await gitlabClient.addComment('#101', 'Progress note');
+      
+      expect(result).toEqual({
+        id: '501',
+        author: 'testuser',
+        body: 'Progress note',
+        createdAt: '2025-04-01T10:00:00Z',
+        updatedAt: '2025-04-01T10:00:00Z',
+        platform: 'gitlab'
+      });
+    });
+    
+    it('should throw an error if the comment body is empty', async () => {
+      await expect(gitlabClient.addComment(101, '')).rejects.toThrow('Comment body is required');
+    });
+    
+    it('should list notes without system notes', async () => {
+      const result = await gitlabClient.listComments(101);
+      
+      expect(result.map(comment => comment.body)).toEqual(['First', 'Second']);
+    });
+  });
+  
+  describe('links', () => {
+    const linkedIssues = [
+      { iid: 102, title: 'Release', state: 'opened', issue_link_id: 7, link_type: 'blocks', web_url: 'https://gitlab.example.com/test-project/-/issues/102' },
+      { iid: 103, title: 'Design', state: 'closed', issue_link_id: 8, link_type: 'relates_to' }
+    ];
+    
+    it('should list linked issues', async () => {
+      mockRequester.get.mockResolvedValue({ body: linkedIssues });
+      
+      const result = await gitlabClient.listLinks('#101');
+      
+      expect(mockRequester.get).toHaveBeenCalledWith('projects/test-project/issues/101/links', {});
+      expect(result.map(link => [link.type, link.key, link.id])).toEqual([
+        ['blocks', '#102', '7'],
+        ['relates', '#103', '8']
+      ]);
+    });
+    
+    it('should link issues with GitLab\'s link type names', async () => {
+      mockRequester.post.mockResolvedValue({
+        body: { target_issue: { iid: 103, title: 'Design', state: 'closed' }, link_type: 'is_blocked_by' }
+      });
+      
+      const result = await gitlabClient.linkIssues('#101', '#103', 'blocked-by');
+      
+      expect(mockRequester.post).toHaveBeenCalledWith('projects/test-project/issues/101/links', {
+        body: { target_project_id: 'test-project', target_issue_iid: 103, link_type: 'is_blocked_by' }
+      });
+      expect(result).toEqual(expect.objectContaining({ type: 'blocked-by', key: '#103', title: 'Design' }));
+    });
+    
+    it('should link new issues to their parent', async () => {
+      mockRequester.post.mockResolvedValue({
+        body: { target_issue: { iid: 100, title: 'Parent' }, link_type: 'relates_to' }
+      });
+      
+      const result = await gitlabClient.createIssue({ title: 'Child', parent: '#100' });
+      
+      expect(mockRequester.post).toHaveBeenCalledWith('projects/test-project/issues/101/links', {
+        body: { target_project_id: 'test-project', target_issue_iid: 100, link_type: 'relates_to' }
+      });
+      expect(result.parent).toBe('#100');
+    });
+    
+    it('should create the issue with a warning when linking its parent fails', async () => {
+      mockRequester.post.mockRejectedValue(new Error('Forbidden'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const result = await gitlabClient.createIssue({ title: 'Child', parent: '#100' });
+      
+      expect(result.key).toBe('#101');
+      expect(result.parent).toBeNull();
+      expect(result.warnings).toEqual([expect.stringContaining('could not link it to parent #100: Forbidden')]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Warning: Created #101'));
+      console.error.mockRestore();
+    });
+    
+    it('should remove the links between two issues by link ID', async () => {
+      mockRequester.get.mockResolvedValue({ body: linkedIssues });
+      mockRequester.delete.mockResolvedValue({ body: {} });
+      
+      const result = await gitlabClient.unlinkIssues('#101', '102');
+      
+      expect(mockRequester.delete).toHaveBeenCalledWith('projects/test-project/issues/101/links/7', {});
+      expect(result.map(link => link.key)).toEqual(['#102']);
+    });
+  });
+  
+  describe('milestones, epics and iterations', () => {
+    it('should create issues in a milestone and epic looked up by title and IID', async () => {
+      mockProjectResources.ProjectMilestones.all.mockResolvedValue([{ id: 12, title: 'Sprint 12' }]);
+      mockProjectResources.Projects.show.mockResolvedValue({ id: 42, namespace: { id: 9, kind: 'group' } });
+      mockProjectResources.Epics.show.mockResolvedValue({ id: 900, iid: 5 });
+      
+      await gitlabClient.createIssue({ title: 'Planned', milestone: 'Sprint 12', epic: '&5', weight: 3 });
+      
+      const gitlab = require('@gitbeaker/node').Gitlab.mock.results.slice(-1)[0].value;
+      expect(mockProjectResources.ProjectMilestones.all).toHaveBeenCalledWith('test-project', {
+        title: 'Sprint 12',
+        include_parent_milestones: true
+      });
+      expect(mockProjectResources.Epics.show).toHaveBeenCalledWith(9, 5);
+      expect(gitlab.Issues.create).toHaveBeenCalledWith('test-project', expect.objectContaining({
+        milestone_id: 12,
+        epic_id: 900,
+        weight: 3
+      }));
+    });
+    
+    it('should report milestones that do not exist', async () => {
+      mockProjectResources.ProjectMilestones.all.mockResolvedValue([]);
+      
+      await expect(gitlabClient.createIssue({ title: 'Planned', milestone: 'Sprint 99' }))
+        .rejects.toThrow('GitLab milestone not found: Sprint 99');
+    });
+    
+    it('should set iterations with a quick action', async () => {
+      await gitlabClient.updateIssue('#101', { iteration: 'Sprint 3' });
+      
+      const gitlab = require('@gitbeaker/node').Gitlab.mock.results.slice(-1)[0].value;
+      expect(gitlab.IssueNotes.create).toHaveBeenCalledWith('test-project', 101, '/iteration *iteration:"Sprint 3"');
+      expect(gitlab.Issues.edit).not.toHaveBeenCalled();
+      expect(gitlab.Issues.show).toHaveBeenCalledWith('test-project', 101);
+    });
+    
+    it('should return the new issue with a warning when its iteration cannot be set', async () => {
+      const { Gitlab } = require('@gitbeaker/node');
+      const createClient = Gitlab.getMockImplementation();
+      Gitlab.mockImplementationOnce(() => {
+        const gitlab = createClient();
+        gitlab.IssueNotes.create = jest.fn().mockRejectedValue(new Error('Iteration not found'));
+        return gitlab;
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const result = await gitlabClient.createIssue({ title: 'Planned', iteration: 'Sprint 99' });
+      
+      expect(result.key).toBe('#101');
+      expect(result.warnings).toEqual(['Created #101 but could not set its iteration: Iteration not found']);
+      console.error.mockRestore();
+    });
+    
+    it('should filter searches by milestone and iteration', async () => {
+      await gitlabClient.searchIssues({ milestone: 'Sprint 12', iteration: 'current' });
+      
+      const gitlab = require('@gitbeaker/node').Gitlab.mock.results.slice(-1)[0].value;
+      expect(gitlab.Issues.all).toHaveBeenCalledWith(expect.objectContaining({
+        milestone: 'Sprint 12',
+        iteration_id: 'current'
+      }));
+    });
+    
+    it('should list milestones with their progress', async () => {
+      mockProjectResources.ProjectMilestones.all.mockResolvedValue([
+        { id: 12, iid: 3, title: 'Sprint 12', state: 'active', due_date: '2025-06-01' }
+      ]);
+      
+      const result = await gitlabClient.listMilestones({ state: 'active', progress: true });
+      
+      // The mocked issues are one open and one closed, without weights
+      expect(mockProjectResources.ProjectMilestones.all).toHaveBeenCalledWith('test-project', {
+        include_parent_milestones: true,
+        state: 'active'
+      });
+      expect(result).toEqual([{
+        id: '12',
+        iid: 3,
+        title: 'Sprint 12',
+        description: '',
+        state: 'active',
+        startDate: null,
+        dueDate: '2025-06-01',
+        url: null,
+        progress: { open: 1, closed: 1, openWeight: 0, closedWeight: 0, percent: 50 }
+      }]);
+    });
+    
+    it('should create milestones', async () => {
+      mockProjectResources.ProjectMilestones.create.mockResolvedValue({ id: 13, iid: 4, title: 'Sprint 13', state: 'active' });
+      
+      const result = await gitlabClient.createMilestone({ title: 'Sprint 13', dueDate: '2025-06-15' });
+      
+      expect(mockProjectResources.ProjectMilestones.create).toHaveBeenCalledWith('test-project', 'Sprint 13', {
+        due_date: '2025-06-15'
+      });
+      expect(result).toEqual(expect.objectContaining({ id: '13', title: 'Sprint 13' }));
+    });
+  });
+  
+  describe('project metadata', () => {
+    it('should list the projects the user is a member of', async () => {
+      mockProjectResources.Projects.all.mockResolvedValue([
+        { id: 42, path_with_namespace: 'group/app', name_with_namespace: 'Group / App', web_url: 'https://gitlab.example.com/group/app' }
+      ]);
+      
+      const result = await gitlabClient.listProjects();
+      
+      expect(mockProjectResources.Projects.all).toHaveBeenCalledWith({ membership: true, simple: true });
+      expect(result).toEqual([
+        { id: '42', key: 'group/app', name: 'Group / App', url: 'https://gitlab.example.com/group/app' }
+      ]);
+    });
+    
+    it('should describe a project with its labels, milestones and members', async () => {
+      mockProjectResources.Projects.show.mockResolvedValue({
+        id: 42, path_with_namespace: 'group/app', name: 'App', web_url: 'https://gitlab.example.com/group/app'
+      });
+      mockProjectResources.Labels.all.mockResolvedValue([{ name: 'bug', color: '#ff0000' }]);
+      mockProjectResources.ProjectMilestones.all.mockResolvedValue([
+        { id: 7, title: 'v1.0', state: 'active', due_date: '2025-06-01' }
+      ]);
+      mockProjectResources.ProjectMembers.all.mockResolvedValue([{ username: 'alice', name: 'Alice' }]);
+      
+      const result = await gitlabClient.getProjectMetadata();
+      
+      expect(mockProjectResources.ProjectMembers.all).toHaveBeenCalledWith('test-project', { includeInherited: true });
+      expect(result).toEqual({
+        project: { id: '42', key: 'group/app', name: 'App', url: 'https://gitlab.example.com/group/app' },
+        statuses: [{ name: 'opened' }, { name: 'closed' }],
+        labels: [{ name: 'bug', color: '#ff0000', description: '' }],
+        milestones: [{ id: '7', title: 'v1.0', state: 'active', dueDate: '2025-06-01' }],
+        members: [{ username: 'alice', name: 'Alice' }],
+        platform: 'gitlab'
+      });
     });
   });
   
@@ -201,9 +517,11 @@ describe('GitLab Client', () => {
       const result = await gitlabClient.searchIssues(params);
       
       expect(result).toBeDefined();
-      expect(result).toHaveLength(2);
-      expect(result[0].title).toBe('Test Issue 1');
-      expect(result[1].title).toBe('Test Issue 2');
+      expect(result.total).toBe(2);
+      expect(result.issues).toHaveLength(2);
+      expect(result.issues[0].title).toBe('Test Issue 1');
+      expect(result.issues[1].title).toBe('Test Issue 2');
+      expect(result.issues[0].platform).toBe('gitlab');
     });
     
     it('should use provided options if specified', async () => {
@@ -220,7 +538,7 @@ describe('GitLab Client', () => {
       const result = await gitlabClient.searchIssues(params);
       
       expect(result).toBeDefined();
-      expect(result).toHaveLength(2);
+      expect(result.issues).toHaveLength(2);
     });
     
     it('should throw an error if GitLab search fails', async () => {
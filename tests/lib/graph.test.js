@@ -0,0 +1,144 @@
+/**
+ * Tests for the Graph Module
+ */
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const { buildGraph, renderGraph } = require('../../lib/graph');
+
+// In-memory client serving issues and their links; like GitLab, searches
+// report the length of the page as the total
+function createClient(issues, links) {
+  return {
+    getIssue: jest.fn(async (key) => issues.find(issue => issue.key === key)),
+    searchIssues: jest.fn(async ({ maxResults, page = 1 }) => {
+      const pageIssues = issues.slice((page - 1) * maxResults, page * maxResults);
+      return { issues: pageIssues, total: pageIssues.length };
+    }),
+    listLinks: jest.fn(async (key) => links[key] || [])
+  };
+}
+
+const link = (type, key, status = 'To Do') => ({ type, key, title: `Issue ${key}`, status });
+
+describe('Graph', () => {
+  let client;
+
+  beforeEach(() => {
+    const issues = ['A-1', 'A-2', 'A-3', 'A-4'].map(key => ({ key, title: `Issue ${key}`, status: 'To Do' }));
+    issues[3].status = 'Done';
+
+    // A-4 (done) blocks A-1, which blocks A-2, which blocks A-3; A-1 relates to B-9 in another project
+    client = createClient(issues, {
+      'A-1': [link('blocks', 'A-2'), link('blocked-by', 'A-4', 'Done'), link('relates', 'B-9')],
+      'A-2': [link('blocked-by', 'A-1'), link('blocks', 'A-3'), link('parent-of', 'A-2.1')],
+      'A-3': [link('blocked-by', 'A-2')],
+      'A-4': [link('blocks', 'A-1')]
+    });
+  });
+
+  describe('buildGraph', () => {
+    it('should graph a project with deduplicated links', async () => {
+      const graph = await buildGraph({ client, project: 'A' });
+
+      expect(client.searchIssues).toHaveBeenCalledWith(expect.objectContaining({ project: 'A', status: 'all' }));
+      expect(graph.nodes.map(node => node.key)).toEqual(['A-1', 'A-2', 'A-3', 'A-4', 'B-9', 'A-2.1']);
+      expect(graph.edges).toEqual([
+        { from: 'A-1', to: 'A-2', type: 'blocks' },
+        { from: 'A-4', to: 'A-1', type: 'blocks' },
+        { from: 'A-1', to: 'B-9', type: 'relates' },
+        { from: 'A-2', to: 'A-3', type: 'blocks' },
+        { from: 'A-2', to: 'A-2.1', type: 'parent' }
+      ]);
+      expect(client.listLinks).not.toHaveBeenCalledWith('B-9');
+    });
+
+    it('should find the critical path through open issues', async () => {
+      const graph = await buildGraph({ client, project: 'A' });
+
+      expect(graph.criticalPath).toEqual(['A-1', 'A-2', 'A-3']);
+      expect(graph.cycles).toEqual([]);
+    });
+
+    it('should flag cycles and leave them off the critical path', async () => {
+      client = createClient(
+        [{ key: 'A-1' }, { key: 'A-2' }, { key: 'A-3' }],
+        {
+          'A-1': [link('blocks', 'A-2')],
+          'A-2': [link('blocks', 'A-1'), link('blocks', 'A-3')]
+        }
+      );
+
+      const graph = await buildGraph({ client, project: 'A' });
+
+      expect(graph.cycles).toEqual([['A-1', 'A-2']]);
+      expect(graph.criticalPath).toEqual([]);
+    });
+
+    it('should graph every page of a large project', async () => {
+      const issues = Array.from({ length: 120 }, (_, i) => ({ key: `A-${i + 1}`, title: `Issue A-${i + 1}`, status: 'To Do' }));
+      client = createClient(issues, { 'A-120': [link('blocked-by', 'A-1')] });
+
+      const graph = await buildGraph({ client, project: 'A' });
+
+      expect(client.searchIssues.mock.calls.length).toBeGreaterThan(2);
+      expect(graph.nodes).toHaveLength(120);
+      expect(graph.edges).toEqual([{ from: 'A-1', to: 'A-120', type: 'blocks' }]);
+    });
+
+    it('should follow links from a starting issue up to the limit', async () => {
+      const graph = await buildGraph({ client, root: 'A-3', maxIssues: 2 });
+
+      expect(client.searchIssues).not.toHaveBeenCalled();
+      expect(client.listLinks.mock.calls.map(call => call[0])).toEqual(['A-3', 'A-2']);
+      expect(graph.truncated).toBe(true);
+    });
+  });
+
+  describe('renderGraph', () => {
+    it('should render Mermaid with the critical path highlighted', async () => {
+      const output = renderGraph(await buildGraph({ client, project: 'A' }), 'mermaid');
+
+      expect(output).toContain('graph LR\n');
+      expect(output).toContain('  n0["A-1: Issue A-1"]');
+      expect(output).toContain('  n0 ==> n1');
+      expect(output).toContain('  n3 --> n0');
+      expect(output).toContain('  n0 --- n4');
+      expect(output).toContain('  n1 -.-> n5');
+      expect(output).toContain('  class n0,n1,n2 critical');
+      expect(output).toContain('  class n3 done');
+    });
+
+    it('should give keys that differ only in punctuation their own Mermaid nodes', async () => {
+      client = createClient(
+        [{ key: 'A-1', title: 'Dash', status: 'To Do' }, { key: 'A_1', title: 'Underscore', status: 'To Do' }],
+        { 'A-1': [link('blocks', 'A_1')] }
+      );
+
+      const output = renderGraph(await buildGraph({ client, project: 'A' }), 'mermaid');
+
+      expect(output).toContain('  n0["A-1: Dash"]');
+      expect(output).toContain('  n1["A_1: Underscore"]');
+      expect(output).toContain('  n0 ==> n1');
+    });
+
+    it('should render Graphviz DOT with escaped labels', async () => {
+      client.searchIssues.mockResolvedValueOnce({ issues: [{ key: 'A-1', title: 'Say "hi"' }], total: 1 });
+
+      const output = renderGraph(await buildGraph({ client, project: 'A' }), 'dot');
+
+      expect(output).toContain('digraph dependencies {');
+      expect(output).toContain('  "A-1" [label="A-1\\nSay \\"hi\\"", color="#d32f2f", penwidth=2];');
+      expect(output).toContain('  "A-4" -> "A-1";');
+      expect(output).toContain('  "A-1" -> "A-2" [color="#d32f2f", penwidth=2];');
+      expect(output).toContain('  "A-1" -> "B-9" [style=dashed, arrowhead=none];');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => renderGraph({}, 'svg')).toThrow('Unsupported graph format: svg');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the Issue Model Module
+ */
+
+const {
+  createIssue,
+  normalizeIssueInput,
+  normalizeLinkType,
+  normalizeSearchQuery,
+  parseIssueNumber,
+  toOpenState,
+  toIssueState
+} = require('../../lib/issue-model');
+
+describe('Issue Model', () => {
+  describe('createIssue', () => {
+    it('should fill in defaults for missing fields', () => {
+      expect(createIssue('gitlab', { id: 42, key: '#7', title: 'Test Issue' })).toEqual({
+        id: '42',
+        key: '#7',
+        title: 'Test Issue',
+        description: '',
+        status: null,
+        assignee: null,
+        labels: [],
+        priority: null,
+        createdAt: null,
+        updatedAt: null,
+        dueDate: null,
+        url: null,
+        parent: null,
+        commentCount: null,
+        platform: 'gitlab'
+      });
+    });
+  });
+
+  describe('normalizeIssueInput', () => {
+    it('should map legacy field names onto unified ones', () => {
+      expect(normalizeIssueInput({
+        summary: 'Test Issue',
+        projectKey: 'TEST',
+        state: 'close',
+        parent: { key: 'TEST-1' }
+      })).toEqual(expect.objectContaining({
+        title: 'Test Issue',
+        project: 'TEST',
+        status: 'close',
+        parent: 'TEST-1'
+      }));
+    });
+
+    it('should prefer unified field names when both are given', () => {
+      const input = normalizeIssueInput({ title: 'New', summary: 'Old' });
+
+      expect(input.title).toBe('New');
+    });
+  });
+
+  describe('normalizeSearchQuery', () => {
+    it('should map legacy search parameters onto unified ones', () => {
+      expect(normalizeSearchQuery({
+        search: 'login',
+        state: 'opened',
+        projectKey: 'TEST',
+        issueNumber: '42'
+      })).toEqual(expect.objectContaining({
+        text: 'login',
+        status: 'opened',
+        project: 'TEST',
+        key: '42'
+      }));
+    });
+  });
+
+  describe('normalizeLinkType', () => {
+    it('should accept GitLab and JIRA spellings and default to relates', () => {
+      expect(normalizeLinkType()).toBe('relates');
+      expect(normalizeLinkType('relates_to')).toBe('relates');
+      expect(normalizeLinkType('is_blocked_by')).toBe('blocked-by');
+      expect(normalizeLinkType('Blocks')).toBe('blocks');
+    });
+
+    it('should reject unsupported link types', () => {
+      expect(() => normalizeLinkType('duplicates'))
+        .toThrow('Unsupported link type: duplicates. Supported types: relates, blocks, blocked-by');
+      expect(() => normalizeLinkType('duplicates')).toThrow(expect.objectContaining({
+        name: 'ValidationError',
+        errors: [expect.objectContaining({ field: 'type' })]
+      }));
+    });
+  });
+
+  describe('parseIssueNumber', () => {
+    it('should accept issue numbers with or without a leading "#"', () => {
+      expect(parseIssueNumber('#42')).toBe(42);
+      expect(parseIssueNumber('42')).toBe(42);
+      expect(parseIssueNumber(42)).toBe(42);
+    });
+  });
+
+  describe('toOpenState', () => {
+    it('should map statuses onto open/closed states', () => {
+      expect(toOpenState('reopen')).toBe('opened');
+      expect(toOpenState('close')).toBe('closed');
+      expect(toOpenState('ALL')).toBe('all');
+      expect(toOpenState('In Progress')).toBeNull();
+    });
+  });
+
+  describe('toIssueState', () => {
+    it('should treat finished statuses as closed and reject others', () => {
+      expect(toIssueState('reopen', 'gitlab')).toBe('opened');
+      expect(toIssueState('Done', 'gitlab')).toBe('closed');
+      expect(toIssueState('resolved', 'github')).toBe('closed');
+      expect(() => toIssueState('In Progress', 'github')).toThrow(expect.objectContaining({
+        name: 'ValidationError',
+        errors: [expect.objectContaining({ field: 'status' })]
+      }));
+    });
+  });
+});
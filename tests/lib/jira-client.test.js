@@ -6,7 +6,19 @@ const path = require('path');
 const mockJiraClient = {
   addNewIssue: jest.fn(),
   updateIssue: jest.fn(),
-  searchJira: jest.fn()
+  searchJira: jest.fn(),
+  findIssue: jest.fn(),
+  addComment: jest.fn(),
+  getComments: jest.fn(),
+  issueLink: jest.fn(),
+  getIssueCreateMetadata: jest.fn(),
+  deleteIssueLink: jest.fn(),
+  listProjects: jest.fn(),
+  getProject: jest.fn(),
+  genericGet: jest.fn(),
+  listPriorities: jest.fn(),
+  listTransitions: jest.fn(),
+  transitionIssue: jest.fn()
 };
 
 // Mock the jira-client package
@@ -42,6 +54,9 @@ describe('JIRA Client', () => {
       JIRA_PROJECT: 'TEST'
     };
     
+    // Projects without readable create metadata are not validated
+    mockJiraClient.getIssueCreateMetadata.mockResolvedValue({ projects: [] });
+    
     // Reset module cache to ensure env changes take effect
     jest.resetModules();
     
@@ -81,7 +96,47 @@ describe('JIRA Client', () => {
           issuetype: { name: 'Task' }
         }
       });
-      expect(result).toEqual(testIssue);
+      expect(result).toEqual({
+        id: null,
+        key: 'TEST-123',
+        title: 'Test Issue',
+        description: 'Test Description',
+        status: null,
+        assignee: null,
+        labels: [],
+        priority: null,
+        createdAt: null,
+        updatedAt: null,
+        dueDate: null,
+        url: 'https://test-jira.atlassian.net/browse/TEST-123',
+        parent: null,
+        commentCount: null,
+        platform: 'jira'
+      });
+    });
+    
+    it('should accept unified field names', async () => {
+      // Setup
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10001', key: 'OTHER-1' });
+      
+      // Execute
+      const result = await jiraClient.createIssue({
+        project: 'OTHER',
+        title: 'Unified Issue'
+      });
+      
+      // Verify
+      expect(mockJiraClient.addNewIssue).toHaveBeenCalledWith({
+        fields: {
+          project: { key: 'OTHER' },
+          summary: 'Unified Issue',
+          description: '',
+          issuetype: { name: 'Task' }
+        }
+      });
+      expect(result.id).toBe('10001');
+      expect(result.key).toBe('OTHER-1');
+      expect(result.title).toBe('Unified Issue');
     });
     
     it('should use default project key from environment if not provided', async () => {
@@ -163,11 +218,354 @@ describe('JIRA Client', () => {
           labels: ['test', 'unit-test']
         }
       });
-      expect(result).toEqual(testIssue);
+      expect(result).toEqual(expect.objectContaining({
+        key: 'TEST-123',
+        assignee: 'testuser',
+        labels: ['test', 'unit-test'],
+        platform: 'jira'
+      }));
+    });
+    
+    it('should create sub-tasks with the project\'s sub-task type under the parent', async () => {
+      // Setup
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({
+        projects: [{
+          key: 'TEST',
+          issuetypes: [
+            { id: '1', name: 'Task', subtask: false },
+            { id: '2', name: 'Subtask', subtask: true }
+          ]
+        }]
+      });
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10002', key: 'TEST-124' });
+      
+      // Execute
+      const result = await jiraClient.createIssue({ title: 'Child', issueType: 'Sub-task', parent: { key: 'TEST-123' } });
+      await jiraClient.createIssue({ title: 'Second child', parent: 'TEST-123' });
+      
+      // Verify
+      expect(mockJiraClient.getIssueCreateMetadata).toHaveBeenCalledTimes(1);
+      expect(mockJiraClient.getIssueCreateMetadata).toHaveBeenCalledWith({
+        projectKeys: 'TEST',
+        expand: 'projects.issuetypes.fields'
+      });
+      expect(mockJiraClient.addNewIssue).toHaveBeenCalledWith({
+        fields: {
+          project: { key: 'TEST' },
+          summary: 'Child',
+          description: '',
+          issuetype: { name: 'Subtask' },
+          parent: { key: 'TEST-123' }
+        }
+      });
+      expect(result.parent).toBe('TEST-123');
+    });
+    
+    it('should link a Task to the parent when the project has no sub-task type', async () => {
+      // Setup
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({
+        projects: [{ key: 'NEXT', issuetypes: [{ id: '1', name: 'Task', subtask: false }] }]
+      });
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10003', key: 'NEXT-2' });
+      mockJiraClient.issueLink.mockResolvedValue(undefined);
+      mockJiraClient.findIssue.mockResolvedValue({ fields: { issuelinks: [] } });
+      
+      // Execute
+      const result = await jiraClient.createIssue({ title: 'Child', issueType: 'Sub-task', parent: 'NEXT-1' });
+      
+      // Verify
+      expect(mockJiraClient.addNewIssue.mock.calls[0][0].fields.issuetype).toEqual({ name: 'Task' });
+      expect(mockJiraClient.addNewIssue.mock.calls[0][0].fields.parent).toBeUndefined();
+      expect(mockJiraClient.issueLink).toHaveBeenCalledWith({
+        type: { name: 'Relates' },
+        inwardIssue: { key: 'NEXT-2' },
+        outwardIssue: { key: 'NEXT-1' }
+      });
+      expect(result.parent).toBe('NEXT-1');
+    });
+    
+    it('should create the Task with a warning when linking the parent fails', async () => {
+      // Setup
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({
+        projects: [{ key: 'NEXT', issuetypes: [{ id: '1', name: 'Task', subtask: false }] }]
+      });
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10003', key: 'NEXT-2' });
+      mockJiraClient.issueLink.mockRejectedValue(new Error('Link issue type not found'));
+      mockJiraClient.findIssue.mockResolvedValue({ fields: { issuelinks: [] } });
+      
+      // Execute
+      const result = await jiraClient.createIssue({ title: 'Child', parent: 'NEXT-1' });
+      
+      // Verify
+      expect(result.key).toBe('NEXT-2');
+      expect(result.parent).toBeNull();
+      expect(result.warnings).toEqual([
+        'Created NEXT-2 but could not link it to parent NEXT-1: Link issue type not found'
+      ]);
+    });
+  });
+  
+  describe('fields and metadata validation', () => {
+    beforeEach(() => {
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({
+        projects: [{
+          key: 'TEST',
+          issuetypes: [{
+            name: 'Task',
+            fields: {
+              summary: { name: 'Summary', required: true },
+              reporter: { name: 'Reporter', required: true, hasDefaultValue: true },
+              components: {
+                name: 'Components',
+                required: true,
+                schema: { type: 'array', items: 'component' },
+                allowedValues: [{ id: '20', name: 'Backend' }]
+              },
+              customfield_10042: {
+                name: 'Team',
+                required: false,
+                schema: { type: 'option' },
+                allowedValues: [{ id: '1', value: 'Core' }, { id: '2', value: 'Web' }]
+              },
+              customfield_10050: { name: 'Story Points', required: false, schema: { type: 'number' } }
+            }
+          }]
+        }]
+      });
+    });
+    
+    it('should map custom fields by name and report missing required fields', async () => {
+      // Execute
+      const error = await jiraClient.createIssue({
+        title: 'Test Issue',
+        customFields: { team: 'web', 'Story Points': '3' }
+      }).catch(err => err);
+      
+      // Verify
+      expect(error.name).toBe('ValidationError');
+      expect(error.message).toBe('Invalid Task for TEST: Missing required field "Components"');
+      expect(error.errors).toEqual([{ field: 'Components', message: 'Missing required field "Components"' }]);
+      expect(mockJiraClient.addNewIssue).not.toHaveBeenCalled();
+    });
+    
+    it('should send custom fields in the shape JIRA expects', async () => {
+      // Setup
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10001', key: 'TEST-1' });
+      
+      // Execute
+      await jiraClient.createIssue({
+        title: 'Test Issue',
+        issueType: 'task',
+        customFields: { Components: ['backend'], Team: 'Web', customfield_10050: 5 }
+      });
+      
+      // Verify
+      expect(mockJiraClient.addNewIssue).toHaveBeenCalledWith({
+        fields: expect.objectContaining({
+          issuetype: { name: 'Task' },
+          components: [{ name: 'Backend' }],
+          customfield_10042: { value: 'Web' },
+          customfield_10050: 5
+        })
+      });
+    });
+    
+    it('should report invalid option values, unknown fields and issue types', async () => {
+      await expect(jiraClient.createIssue({
+        title: 'Test Issue',
+        customFields: { Components: 'Backend', Team: 'Mobile', Squad: 'A' }
+      })).rejects.toThrow(
+        'Invalid Task for TEST: Invalid value "Mobile" for Team. Allowed values: Core, Web; Unknown field "Squad"'
+      );
+      await expect(jiraClient.createIssue({ title: 'Test Issue', issueType: 'Epic' }))
+        .rejects.toThrow('Invalid issue type "Epic" for TEST. Valid issue types: Task');
+      expect(mockJiraClient.addNewIssue).not.toHaveBeenCalled();
+    });
+    
+    it('should set priority, components, fix versions and other fields by name', async () => {
+      // Setup
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({ projects: [] });
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10001', key: 'TEST-1' });
+      process.env.JIRA_STORY_POINTS_FIELD = 'customfield_10016';
+      
+      // Execute
+      const result = await jiraClient.createIssue({
+        title: 'Test Issue',
+        priority: 'High',
+        components: ['Backend', 'API'],
+        fixVersions: '1.2',
+        dueDate: '2025-05-01',
+        storyPoints: 3,
+        environment: 'Production'
+      });
+      
+      // Verify
+      expect(mockJiraClient.addNewIssue).toHaveBeenCalledWith({
+        fields: expect.objectContaining({
+          priority: { name: 'High' },
+          components: [{ name: 'Backend' }, { name: 'API' }],
+          fixVersions: [{ name: '1.2' }],
+          duedate: '2025-05-01',
+          customfield_10016: 3,
+          environment: 'Production'
+        })
+      });
+      expect(result.priority).toBe('High');
+      expect(result.dueDate).toBe('2025-05-01');
+    });
+    
+    it('should find the story points field by name in the create metadata', async () => {
+      // Setup
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({
+        projects: [{
+          key: 'TEST',
+          issuetypes: [{
+            name: 'Task',
+            fields: {
+              priority: { name: 'Priority', allowedValues: [{ id: '2', name: 'High' }] },
+              customfield_10026: { name: 'Story point estimate', schema: { type: 'number' } }
+            }
+          }]
+        }]
+      });
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10001', key: 'TEST-1' });
+      
+      // Execute
+      await jiraClient.createIssue({ title: 'Test Issue', priority: 'high', storyPoints: '5' });
+      
+      // Verify
+      expect(mockJiraClient.addNewIssue).toHaveBeenCalledWith({
+        fields: expect.objectContaining({ priority: { name: 'High' }, customfield_10026: 5 })
+      });
+      await expect(jiraClient.createIssue({ title: 'Test Issue', priority: 'Urgent' }))
+        .rejects.toThrow('Invalid Task for TEST: Invalid value "Urgent" for Priority. Allowed values: High');
+    });
+    
+    it('should not guess the story points field without metadata', async () => {
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({ projects: [] });
+      
+      await expect(jiraClient.createIssue({ title: 'Test Issue', storyPoints: 3 }))
+        .rejects.toThrow('Cannot look up field "Story Points" without field metadata; use its ID instead');
+      expect(mockJiraClient.addNewIssue).not.toHaveBeenCalled();
+    });
+    
+    it('should check custom field updates against the edit metadata', async () => {
+      // Setup
+      mockJiraClient.genericGet.mockResolvedValue({
+        fields: {
+          customfield_10042: {
+            name: 'Team',
+            schema: { type: 'option' },
+            allowedValues: [{ id: '1', value: 'Core' }]
+          }
+        }
+      });
+      mockJiraClient.updateIssue.mockResolvedValue({});
+      mockJiraClient.findIssue.mockResolvedValue({ key: 'TEST-123', fields: {} });
+      
+      // Execute
+      await jiraClient.updateIssue('TEST-123', { customFields: { Team: 'core' } });
+      
+      // Verify
+      expect(mockJiraClient.genericGet).toHaveBeenCalledWith('issue/TEST-123/editmeta');
+      expect(mockJiraClient.updateIssue).toHaveBeenCalledWith('TEST-123', {
+        fields: { customfield_10042: { value: 'Core' } }
+      });
+      await expect(jiraClient.updateIssue('TEST-123', { customFields: { Sprint: 4 } }))
+        .rejects.toThrow('Invalid update for TEST-123: Unknown field "Sprint"');
+    });
+    
+    it('should update priority and due date', async () => {
+      // Setup
+      mockJiraClient.genericGet.mockResolvedValue({
+        fields: { priority: { name: 'Priority', allowedValues: [{ id: '3', name: 'Medium' }] } }
+      });
+      mockJiraClient.updateIssue.mockResolvedValue({});
+      mockJiraClient.findIssue.mockResolvedValue({ key: 'TEST-123', fields: {} });
+      
+      // Execute
+      await jiraClient.updateIssue('TEST-123', { priority: 'medium', dueDate: '2025-06-01' });
+      
+      // Verify
+      expect(mockJiraClient.updateIssue).toHaveBeenCalledWith('TEST-123', {
+        fields: { priority: { name: 'Medium' }, duedate: '2025-06-01' }
+      });
+    });
+    
+    it('should fall back to the issue types endpoint when create metadata is forbidden', async () => {
+      // Setup
+      console.error = jest.fn();
+      mockJiraClient.getIssueCreateMetadata.mockRejectedValue(Object.assign(new Error('Forbidden'), { statusCode: 403 }));
+      mockJiraClient.genericGet.mockResolvedValue({
+        values: [{ id: '1', name: 'Task', subtask: false }, { id: '5', name: 'Subtask', subtask: true }]
+      });
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10004', key: 'TEST-4' });
+      
+      // Execute
+      await jiraClient.createIssue({ title: 'Child', parent: 'TEST-1' });
+      
+      // Verify
+      expect(mockJiraClient.genericGet).toHaveBeenCalledWith('issue/createmeta/TEST/issuetypes');
+      expect(mockJiraClient.addNewIssue.mock.calls[0][0].fields.issuetype).toEqual({ name: 'Subtask' });
+    });
+    
+    it('should create issues unchecked when no metadata can be read', async () => {
+      // Setup
+      console.error = jest.fn();
+      const notFound = Object.assign(new Error('Not Found'), { statusCode: 404 });
+      mockJiraClient.getIssueCreateMetadata.mockRejectedValue(notFound);
+      mockJiraClient.genericGet.mockRejectedValue(notFound);
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10005', key: 'TEST-5' });
+      
+      // Execute
+      const result = await jiraClient.createIssue({ title: 'Unchecked', components: ['Anything'] });
+      
+      // Verify
+      expect(result.key).toBe('TEST-5');
+      expect(mockJiraClient.addNewIssue.mock.calls[0][0].fields.components).toEqual([{ name: 'Anything' }]);
+    });
+    
+    it('should cache issue types per credentials for a limited time', async () => {
+      // Setup
+      mockJiraClient.addNewIssue.mockResolvedValue({ id: '10006', key: 'TEST-6' });
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+      
+      // Execute
+      await jiraClient.createIssue({ title: 'First', components: ['Backend'] });
+      await jiraClient.createIssue({ title: 'Second', components: ['Backend'] });
+      process.env.JIRA_TOKEN = 'other-token';
+      await jiraClient.createIssue({ title: 'Third', components: ['Backend'] });
+      clock.mockReturnValue(now + 11 * 60 * 1000);
+      await jiraClient.createIssue({ title: 'Fourth', components: ['Backend'] });
+      clock.mockRestore();
+      
+      // Verify
+      expect(mockJiraClient.getIssueCreateMetadata).toHaveBeenCalledTimes(3);
     });
   });
   
   describe('updateIssue', () => {
+    beforeEach(() => {
+      // JIRA returns no body for updates, so the client fetches the issue
+      mockJiraClient.findIssue.mockResolvedValue({
+        id: '10000',
+        key: 'TEST-123',
+        fields: {
+          summary: 'Updated Issue',
+          description: 'Updated Description',
+          status: { name: 'In Progress' },
+          assignee: { name: 'newuser', displayName: 'New User' },
+          labels: ['backend'],
+          priority: { name: 'High' },
+          created: '2025-04-01T10:00:00.000+0000',
+          updated: '2025-04-02T10:00:00.000+0000',
+          duedate: '2025-05-01',
+          parent: { key: 'TEST-100' }
+        }
+      });
+    });
+    
     it('should update a JIRA issue with the provided fields', async () => {
       // Setup
       const testIssue = { key: 'TEST-123' };
@@ -190,7 +588,24 @@ describe('JIRA Client', () => {
           description: 'Updated Description'
         }
       });
-      expect(result).toEqual(testIssue);
+      expect(mockJiraClient.findIssue).toHaveBeenCalledWith('TEST-123');
+      expect(result).toEqual({
+        id: '10000',
+        key: 'TEST-123',
+        title: 'Updated Issue',
+        description: 'Updated Description',
+        status: 'In Progress',
+        assignee: 'newuser',
+        labels: ['backend'],
+        priority: 'High',
+        createdAt: '2025-04-01T10:00:00.000+0000',
+        updatedAt: '2025-04-02T10:00:00.000+0000',
+        dueDate: '2025-05-01',
+        url: 'https://test-jira.atlassian.net/browse/TEST-123',
+        parent: 'TEST-100',
+        commentCount: null,
+        platform: 'jira'
+      });
     });
     
     it('should throw an error if issue key is not provided', async () => {
@@ -225,7 +640,7 @@ describe('JIRA Client', () => {
           summary: 'Updated Issue'
         }
       });
-      expect(result).toEqual(testIssue);
+      expect(result.key).toBe('TEST-123');
     });
     
     it('should handle assignee updates', async () => {
@@ -248,7 +663,364 @@ describe('JIRA Client', () => {
           assignee: { name: 'newuser' }
         }
       });
-      expect(result).toEqual(testIssue);
+      expect(result.key).toBe('TEST-123');
+    });
+  });
+  
+  describe('status transitions', () => {
+    const transitions = {
+      transitions: [
+        { id: '11', name: 'Start Progress', to: { name: 'In Progress' } },
+        {
+          id: '31',
+          name: 'Resolve',
+          to: { name: 'Done' },
+          fields: {
+            resolution: {
+              required: true,
+              allowedValues: [{ name: 'Fixed' }, { name: 'Done' }, { name: "Won't Do" }]
+            }
+          }
+        }
+      ]
+    };
+    
+    beforeEach(() => {
+      mockJiraClient.listTransitions.mockResolvedValue(transitions);
+      mockJiraClient.transitionIssue.mockResolvedValue(undefined);
+    });
+    
+    it('should transition to a status matched case-insensitively', async () => {
+      // Execute
+      await jiraClient.updateIssue('TEST-123', { status: 'in progress' });
+      
+      // Verify
+      expect(mockJiraClient.listTransitions).toHaveBeenCalledWith('TEST-123');
+      expect(mockJiraClient.transitionIssue).toHaveBeenCalledWith('TEST-123', {
+        transition: { id: '11' }
+      });
+      // No field changes, so no field update is sent
+      expect(mockJiraClient.updateIssue).not.toHaveBeenCalled();
+    });
+    
+    it('should match transition names as well as target statuses', async () => {
+      // Execute
+      await jiraClient.updateIssue('TEST-123', { status: 'Start Progress' });
+      
+      // Verify
+      expect(mockJiraClient.transitionIssue).toHaveBeenCalledWith('TEST-123', {
+        transition: { id: '11' }
+      });
+    });
+    
+    it('should supply a default resolution when the transition requires one', async () => {
+      // Execute
+      await jiraClient.updateIssue('TEST-123', { status: 'Done' });
+      
+      // Verify
+      expect(mockJiraClient.transitionIssue).toHaveBeenCalledWith('TEST-123', {
+        transition: { id: '31' },
+        fields: { resolution: { name: 'Done' } }
+      });
+    });
+    
+    it('should use the requested resolution', async () => {
+      // Execute
+      await jiraClient.updateIssue('TEST-123', { status: 'Done', resolution: "won't do" });
+      
+      // Verify
+      expect(mockJiraClient.transitionIssue).toHaveBeenCalledWith('TEST-123', {
+        transition: { id: '31' },
+        fields: { resolution: { name: "Won't Do" } }
+      });
+    });
+    
+    it('should reject unknown resolutions with the valid options', async () => {
+      // Execute & Verify
+      await expect(jiraClient.updateIssue('TEST-123', { status: 'Done', resolution: 'Duplicate' }))
+        .rejects.toThrow('Valid resolutions: Fixed, Done, Won\'t Do');
+      expect(mockJiraClient.transitionIssue).not.toHaveBeenCalled();
+    });
+    
+    it('should list the valid statuses when no transition matches', async () => {
+      // Execute & Verify
+      await expect(jiraClient.updateIssue('TEST-123', { status: 'Blocked' }))
+        .rejects.toThrow('Cannot move TEST-123 to status "Blocked". Valid target statuses: In Progress, Done');
+      expect(mockJiraClient.transitionIssue).not.toHaveBeenCalled();
+    });
+    
+    it('should update fields before transitioning', async () => {
+      // Execute
+      await jiraClient.updateIssue('TEST-123', { summary: 'Updated Issue', status: 'In Progress' });
+      
+      // Verify
+      expect(mockJiraClient.updateIssue).toHaveBeenCalledWith('TEST-123', {
+        fields: { summary: 'Updated Issue' }
+      });
+      expect(mockJiraClient.transitionIssue).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  describe('getIssue', () => {
+    it('should fetch a single issue with its comment count', async () => {
+      // Setup
+      mockJiraClient.findIssue.mockResolvedValue({
+        id: '10000',
+        key: 'TEST-123',
+        fields: {
+          summary: 'Test Issue',
+          description: 'Test Description',
+          status: { name: 'To Do' },
+          labels: ['backend'],
+          comment: { comments: [], total: 3 }
+        }
+      });
+      
+      // Execute
+      const result = await jiraClient.getIssue('TEST-123');
+      
+      // Verify
+      expect(mockJiraClient.findIssue).toHaveBeenCalledWith('TEST-123');
+      expect(result).toEqual(expect.objectContaining({
+        key: 'TEST-123',
+        title: 'Test Issue',
+        description: 'Test Description',
+        status: 'To Do',
+        labels: ['backend'],
+        commentCount: 3,
+        url: 'https://test-jira.atlassian.net/browse/TEST-123'
+      }));
+    });
+    
+    it('should throw an error if issue key is not provided', async () => {
+      await expect(jiraClient.getIssue()).rejects.toThrow('Issue key is required');
+      expect(mockJiraClient.findIssue).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('comments', () => {
+    it('should add a comment to an issue', async () => {
+      // Setup
+      mockJiraClient.addComment.mockResolvedValue({
+        id: '20001',
+        author: { name: 'testuser' },
+        body: 'Progress note',
+        created: '2025-04-01T10:00:00.000+0000',
+        updated: '2025-04-01T10:00:00.000+0000'
+      });
+      
+      // Execute
+      const result = await jiraClient.addComment('TEST-123', 'Progress note');
+      
+      // Verify
+      expect(mockJiraClient.addComment).toHaveBeenCalledWith('TEST-123', 'Progress note');
+      expect(result).toEqual({
+        id: '20001',
+        author: 'testuser',
+        body: 'Progress note',
+        createdAt: '2025-04-01T10:00:00.000+0000',
+        updatedAt: '2025-04-01T10:00:00.000+0000',
+        platform: 'jira'
+      });
+    });
+    
+    it('should throw an error if the comment body is empty', async () => {
+      await expect(jiraClient.addComment('TEST-123', '')).rejects.toThrow('Comment body is required');
+      expect(mockJiraClient.addComment).not.toHaveBeenCalled();
+    });
+    
+    it('should list the comments on an issue', async () => {
+      // Setup
+      mockJiraClient.getComments.mockResolvedValue({
+        comments: [
+          { id: '1', author: { name: 'alice' }, body: 'First' },
+          { id: '2', author: { name: 'bob' }, body: 'Second' }
+        ],
+        total: 2
+      });
+      
+      // Execute
+      const result = await jiraClient.listComments('TEST-123');
+      
+      // Verify
+      expect(mockJiraClient.getComments).toHaveBeenCalledWith('TEST-123');
+      expect(result.map(comment => comment.author)).toEqual(['alice', 'bob']);
+      expect(result.map(comment => comment.body)).toEqual(['First', 'Second']);
+    });
+  });
+  
+  describe('links', () => {
+    const linkedIssue = {
+      fields: {
+        parent: { key: 'TEST-1', fields: { summary: 'Epic work', status: { name: 'In Progress' } } },
+        subtasks: [{ key: 'TEST-124', fields: { summary: 'Subtask', status: { name: 'To Do' } } }],
+        issuelinks: [
+          {
+            id: '10001',
+            type: { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+            outwardIssue: { key: 'TEST-200', fields: { summary: 'Release', status: { name: 'To Do' } } }
+          },
+          {
+            id: '10002',
+            type: { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+            inwardIssue: { key: 'TEST-50', fields: { summary: 'Design', status: { name: 'Done' } } }
+          },
+          {
+            id: '10003',
+            type: { name: 'Relates', inward: 'relates to', outward: 'relates to' },
+            outwardIssue: { key: 'TEST-300', fields: { summary: 'Docs', status: { name: 'To Do' } } }
+          }
+        ]
+      }
+    };
+    
+    it('should list links, parents and subtasks from the linked issue\'s side', async () => {
+      // Setup
+      mockJiraClient.findIssue.mockResolvedValue(linkedIssue);
+      
+      // Execute
+      const result = await jiraClient.listLinks('TEST-123');
+      
+      // Verify
+      expect(result.map(link => [link.type, link.key, link.id])).toEqual([
+        ['child-of', 'TEST-1', null],
+        ['parent-of', 'TEST-124', null],
+        ['blocks', 'TEST-200', '10001'],
+        ['blocked-by', 'TEST-50', '10002'],
+        ['relates', 'TEST-300', '10003']
+      ]);
+      expect(result[2]).toEqual(expect.objectContaining({
+        title: 'Release',
+        status: 'To Do',
+        url: 'https://test-jira.atlassian.net/browse/TEST-200'
+      }));
+    });
+    
+    it('should create blocked-by links as Blocks links pointing the other way', async () => {
+      // Setup
+      mockJiraClient.issueLink.mockResolvedValue(undefined);
+      mockJiraClient.findIssue.mockResolvedValue(linkedIssue);
+      
+      // Execute
+      const result = await jiraClient.linkIssues('TEST-123', 'TEST-50', 'is_blocked_by');
+      
+      // Verify
+      expect(mockJiraClient.issueLink).toHaveBeenCalledWith({
+        type: { name: 'Blocks' },
+        inwardIssue: { key: 'TEST-50' },
+        outwardIssue: { key: 'TEST-123' }
+      });
+      expect(result).toEqual(expect.objectContaining({ id: '10002', type: 'blocked-by', key: 'TEST-50' }));
+    });
+    
+    it('should reject unsupported link types', async () => {
+      await expect(jiraClient.linkIssues('TEST-123', 'TEST-50', 'duplicates'))
+        .rejects.toThrow('Unsupported link type: duplicates');
+      expect(mockJiraClient.issueLink).not.toHaveBeenCalled();
+    });
+    
+    it('should remove the links between two issues', async () => {
+      // Setup
+      mockJiraClient.findIssue.mockResolvedValue(linkedIssue);
+      mockJiraClient.deleteIssueLink.mockResolvedValue(undefined);
+      
+      // Execute
+      const result = await jiraClient.unlinkIssues('TEST-123', 'TEST-200');
+      
+      // Verify
+      expect(mockJiraClient.deleteIssueLink).toHaveBeenCalledWith('10001');
+      expect(result).toHaveLength(1);
+      await expect(jiraClient.unlinkIssues('TEST-123', 'TEST-1'))
+        .rejects.toThrow('No link between TEST-123 and TEST-1');
+    });
+  });
+  
+  describe('project metadata', () => {
+    it('should list projects', async () => {
+      // Setup
+      mockJiraClient.listProjects.mockResolvedValue([
+        { id: '10000', key: 'TEST', name: 'Test Project' }
+      ]);
+      
+      // Execute
+      const result = await jiraClient.listProjects();
+      
+      // Verify
+      expect(result).toEqual([{
+        id: '10000',
+        key: 'TEST',
+        name: 'Test Project',
+        url: 'https://test-jira.atlassian.net/browse/TEST'
+      }]);
+    });
+    
+    it('should describe a project', async () => {
+      // Setup
+      mockJiraClient.getProject.mockResolvedValue({
+        id: '10000',
+        key: 'TEST',
+        name: 'Test Project',
+        issueTypes: [{ id: '1', name: 'Task', subtask: false }, { id: '5', name: 'Sub-task', subtask: true }],
+        components: [{ id: '20', name: 'Backend' }]
+      });
+      mockJiraClient.genericGet.mockResolvedValue([
+        {
+          name: 'Task',
+          statuses: [
+            { name: 'To Do', statusCategory: { name: 'To Do' } },
+            { name: 'Done', statusCategory: { name: 'Done' } }
+          ]
+        },
+        { name: 'Sub-task', statuses: [{ name: 'Done', statusCategory: { name: 'Done' } }] }
+      ]);
+      mockJiraClient.listPriorities.mockResolvedValue([{ name: 'High' }, { name: 'Low' }]);
+      mockJiraClient.getIssueCreateMetadata.mockResolvedValue({
+        projects: [{
+          key: 'TEST',
+          issuetypes: [
+            {
+              name: 'Task',
+              fields: {
+                summary: { name: 'Summary', required: true },
+                customfield_10010: {
+                  name: 'Team',
+                  required: true,
+                  schema: { type: 'option' },
+                  allowedValues: [{ value: 'Core' }, { value: 'Web' }]
+                }
+              }
+            },
+            {
+              name: 'Sub-task',
+              fields: { customfield_10010: { name: 'Team', required: false, schema: { type: 'option' } } }
+            }
+          ]
+        }]
+      });
+      
+      // Execute
+      const result = await jiraClient.getProjectMetadata('TEST');
+      
+      // Verify
+      expect(mockJiraClient.genericGet).toHaveBeenCalledWith('project/TEST/statuses');
+      expect(result.issueTypes).toEqual([
+        { id: '1', name: 'Task', subtask: false },
+        { id: '5', name: 'Sub-task', subtask: true }
+      ]);
+      expect(result.statuses).toEqual([
+        { name: 'To Do', category: 'To Do', issueTypes: ['Task'] },
+        { name: 'Done', category: 'Done', issueTypes: ['Task', 'Sub-task'] }
+      ]);
+      expect(result.priorities).toEqual(['High', 'Low']);
+      expect(result.components).toEqual([{ id: '20', name: 'Backend', description: '' }]);
+      expect(result.customFields).toEqual([{
+        id: 'customfield_10010',
+        name: 'Team',
+        type: 'option',
+        issueTypes: ['Task', 'Sub-task'],
+        requiredFor: ['Task'],
+        allowedValues: ['Core', 'Web']
+      }]);
     });
   });
   
@@ -276,9 +1048,14 @@ describe('JIRA Client', () => {
         jql,
         maxResults: 50,
         startAt: 0,
-        fields: ['summary', 'status', 'assignee', 'description', 'created', 'updated']
+        fields: [
+          'summary', 'status', 'assignee', 'description', 'created', 'updated',
+          'labels', 'priority', 'duedate', 'parent'
+        ]
       });
-      expect(result).toEqual(testResults);
+      expect(result.total).toBe(2);
+      expect(result.issues.map(issue => issue.key)).toEqual(['TEST-123', 'TEST-124']);
+      expect(result.issues[0].title).toBe('Test Issue 1');
     });
     
     it('should use provided options if specified', async () => {
@@ -310,7 +1087,51 @@ describe('JIRA Client', () => {
         startAt: 5,
         fields: ['summary', 'priority']
       });
-      expect(result).toEqual(testResults);
+      expect(result.total).toBe(1);
+      expect(result.issues[0].key).toBe('TEST-123');
+    });
+    
+    it('should build JQL from unified search parameters', async () => {
+      // Setup
+      mockJiraClient.searchJira.mockResolvedValue({ issues: [], total: 0 });
+      
+      // Execute
+      await jiraClient.searchIssues({
+        project: 'TEST',
+        status: 'opened',
+        assignee: 'testuser',
+        labels: ['backend', 'api'],
+        text: 'login',
+        maxResults: 10,
+        page: 3
+      });
+      
+      // Verify
+      const expectedJql = 'project = "TEST" AND statusCategory != Done AND assignee = "testuser" AND ' +
+        'labels = "backend" AND labels = "api" AND text ~ "login" ORDER BY created DESC';
+      expect(mockJiraClient.searchJira).toHaveBeenCalledWith(expectedJql, expect.objectContaining({
+        jql: expectedJql,
+        maxResults: 10,
+        startAt: 20
+      }));
+    });
+    
+    it('should retry searches that hit a transient server error', async () => {
+      // Setup - no backoff delay
+      const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0);
+      const unavailable = Object.assign(new Error('Service Unavailable'), { statusCode: 503 });
+      mockJiraClient.searchJira
+        .mockRejectedValueOnce(unavailable)
+        .mockResolvedValue({ issues: [], total: 0 });
+      
+      // Execute
+      const result = await jiraClient.searchIssues('project = TEST');
+      
+      // Verify
+      expect(mockJiraClient.searchJira).toHaveBeenCalledTimes(2);
+      expect(result.total).toBe(0);
+      
+      randomSpy.mockRestore();
     });
     
     it('should throw an error if JIRA search fails', async () => {
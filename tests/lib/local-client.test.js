@@ -0,0 +1,181 @@
+/**
+ * Tests for Local Client Module
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const localClient = require('../../lib/local-client');
+
+// Store original environment variables
+const originalEnv = { ...process.env };
+
+describe('Local Client', () => {
+  let tempDir;
+  let tasksFile;
+  let consoleErrorSpy;
+
+  const readFile = () => JSON.parse(fs.readFileSync(tasksFile, 'utf8'));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-local-'));
+    tasksFile = path.join(tempDir, 'tasks.json');
+    process.env.LOCAL_TASKS_FILE = tasksFile;
+    delete process.env.LOCAL_PROJECT;
+
+    fs.writeFileSync(tasksFile, JSON.stringify({
+      phase1: {
+        title: 'Phase 1',
+        description: 'First phase',
+        tasks: [
+          {
+            id: 'P1-1',
+            title: 'Project Setup',
+            description: 'Initialize project structure',
+            subtasks: [
+              { id: 'P1-1.1', title: 'Create directories', status: 'done', priority: 'high' },
+              { id: 'P1-1.2', title: 'Initialize package.json', status: 'todo', priority: 'high' }
+            ]
+          }
+        ]
+      }
+    }));
+
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  describe('getTasksFile', () => {
+    it('should not give users without a local profile the server\'s task file', async () => {
+      const { runAsUser } = require('../../lib/config');
+      const bob = { name: 'bob', profiles: [], defaultProfile: null };
+
+      await expect(runAsUser(bob, () => localClient.getIssue('P1-1'))).rejects.toThrow(expect.objectContaining({
+        name: 'ConfigError',
+        message: 'No local task file is configured for user bob',
+        platform: 'local'
+      }));
+    });
+  });
+
+  describe('getIssue', () => {
+    it('should fetch a subtask with its parent', async () => {
+      const result = await localClient.getIssue('P1-1.1');
+
+      expect(result).toEqual(expect.objectContaining({
+        key: 'P1-1.1',
+        title: 'Create directories',
+        status: 'done',
+        priority: 'high',
+        parent: 'P1-1',
+        platform: 'local'
+      }));
+    });
+
+    it('should derive the status of tasks from their subtasks', async () => {
+      const result = await localClient.getIssue('P1-1');
+
+      expect(result.status).toBe('in-progress');
+    });
+
+    it('should throw an error if the task does not exist', async () => {
+      await expect(localClient.getIssue('P9-9')).rejects.toThrow('Task P9-9 not found');
+    });
+  });
+
+  describe('createIssue', () => {
+    it('should create a task with the next id in its phase', async () => {
+      const result = await localClient.createIssue({ title: 'New Task', labels: ['docs'] });
+
+      expect(result).toEqual(expect.objectContaining({
+        key: 'P1-2',
+        title: 'New Task',
+        status: 'todo',
+        labels: ['docs']
+      }));
+      expect(readFile().phase1.tasks[1].id).toBe('P1-2');
+    });
+
+    it('should create subtasks under a parent', async () => {
+      const result = await localClient.createIssue({ title: 'Install dependencies', parent: 'P1-1' });
+
+      expect(result.key).toBe('P1-1.3');
+      expect(result.parent).toBe('P1-1');
+      expect(readFile().phase1.tasks[0].subtasks).toHaveLength(3);
+    });
+
+    it('should create the task file and phase when missing', async () => {
+      fs.unlinkSync(tasksFile);
+
+      const result = await localClient.createIssue({ title: 'First', project: 'backlog' });
+
+      expect(result.key).toBe('BACKLOG-1');
+      expect(readFile().backlog.tasks[0].title).toBe('First');
+    });
+
+    it('should not lose tasks created concurrently', async () => {
+      await Promise.all([1, 2, 3].map(n => localClient.createIssue({ title: `Task ${n}` })));
+
+      expect(readFile().phase1.tasks.map(task => task.id)).toEqual(['P1-1', 'P1-2', 'P1-3', 'P1-4']);
+    });
+
+    it('should write atomically without leaving temporary files', async () => {
+      await localClient.createIssue({ title: 'New Task' });
+
+      expect(fs.readdirSync(tempDir)).toEqual(['tasks.json']);
+    });
+
+    it('should throw an error if title is not provided', async () => {
+      await expect(localClient.createIssue({})).rejects.toThrow('Issue title is required');
+    });
+  });
+
+  describe('updateIssue', () => {
+    it('should update fields and map closing onto done', async () => {
+      const result = await localClient.updateIssue('P1-1.2', { assignee: 'alice', state: 'close' });
+
+      expect(result.status).toBe('done');
+      expect(result.assignee).toBe('alice');
+      expect(readFile().phase1.tasks[0].subtasks[1].status).toBe('done');
+    });
+  });
+
+  describe('searchIssues', () => {
+    it('should search tasks and subtasks by state', async () => {
+      const result = await localClient.searchIssues({ status: 'opened' });
+
+      expect(result.issues.map(issue => issue.key)).toEqual(['P1-1', 'P1-1.2']);
+      expect(result.total).toBe(2);
+    });
+
+    it('should filter by text and paginate', async () => {
+      const result = await localClient.searchIssues({ text: 'INIT', maxResults: 1, page: 2 });
+
+      expect(result.total).toBe(2);
+      expect(result.issues.map(issue => issue.key)).toEqual(['P1-1.2']);
+    });
+  });
+
+  describe('comments', () => {
+    it('should add and list comments', async () => {
+      await localClient.addComment('P1-1', 'Progress note');
+
+      const comments = await localClient.listComments('P1-1');
+      const issue = await localClient.getIssue('P1-1');
+
+      expect(comments.map(comment => comment.body)).toEqual(['Progress note']);
+      expect(issue.commentCount).toBe(1);
+    });
+  });
+});
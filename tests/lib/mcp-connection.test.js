@@ -0,0 +1,219 @@
+/**
+ * Tests for the MCP Connection Module
+ */
+
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+// Mock child_process so no real server is spawned
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+const childProcess = require('child_process');
+const { createMcpConnection } = require('../../lib/mcp-connection');
+const { NotFoundError } = require('../../lib/errors');
+
+/**
+ * Build a fake server process whose stdin records requests
+ */
+function createFakeServer() {
+  const server = new EventEmitter();
+  server.stdout = new PassThrough();
+  server.stderr = new PassThrough();
+  server.requests = [];
+  server.stdin = {
+    write: jest.fn((line) => {
+      server.requests.push(JSON.parse(line));
+    }),
+    end: jest.fn(() => {
+      setImmediate(() => server.emit('close', 0));
+    })
+  };
+  server.kill = jest.fn();
+  server.respond = (response) => {
+    server.stdout.write(JSON.stringify(response) + '\n');
+  };
+  return server;
+}
+
+// Let stream and readline events propagate
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('MCP Connection', () => {
+  let server;
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    server = createFakeServer();
+    childProcess.spawn.mockReturnValue(server);
+    connection = createMcpConnection({ serverPath: '/path/to/server.js' });
+  });
+
+  it('should spawn the server lazily and reuse it across requests', async () => {
+    expect(childProcess.spawn).not.toHaveBeenCalled();
+
+    const first = connection.request('search_issues', { platform: 'jira' });
+    const second = connection.request('has_required_config', { platform: 'gitlab' });
+
+    expect(childProcess.spawn).toHaveBeenCalledTimes(1);
+    expect(childProcess.spawn).toHaveBeenCalledWith('node', ['/path/to/server.js']);
+    expect(server.requests).toEqual([
+      { id: '1', method: 'search_issues', params: { platform: 'jira' } },
+      { id: '2', method: 'has_required_config', params: { platform: 'gitlab' } }
+    ]);
+
+    server.respond({ id: '1', result: { issues: [] }, error: null });
+    server.respond({ id: '2', result: { hasRequiredConfig: true }, error: null });
+
+    await expect(first).resolves.toEqual({ issues: [] });
+    await expect(second).resolves.toEqual({ hasRequiredConfig: true });
+  });
+
+  it('should correlate responses that arrive out of order', async () => {
+    const first = connection.request('create_issue', { title: 'First' });
+    const second = connection.request('create_issue', { title: 'Second' });
+
+    server.respond({ id: '2', result: { key: 'TEST-2' }, error: null });
+    server.respond({ id: '1', result: { key: 'TEST-1' }, error: null });
+
+    await expect(first).resolves.toEqual({ key: 'TEST-1' });
+    await expect(second).resolves.toEqual({ key: 'TEST-2' });
+  });
+
+  it('should reject requests that receive an error response', async () => {
+    const request = connection.request('create_issue', {});
+
+    server.respond({ id: '1', result: null, error: { message: 'Issue summary is required' } });
+
+    await expect(request).rejects.toThrow('Issue summary is required');
+    expect(connection.pendingCount).toBe(0);
+  });
+
+  it('should reject with the error type the server reported', async () => {
+    const request = connection.request('get_issue', { key: 'TEST-9' });
+
+    server.respond({
+      id: '1',
+      result: null,
+      error: { code: -32012, message: 'Issue Does Not Exist', data: { type: 'NotFoundError', platform: 'jira', status: 404 } }
+    });
+
+    const error = await request.catch(e => e);
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.platform).toBe('jira');
+    expect(error.status).toBe(404);
+  });
+
+  it('should time out requests that receive no response', async () => {
+    jest.useFakeTimers();
+
+    try {
+      const request = connection.request('search_issues', {}, { timeout: 1000 });
+      jest.advanceTimersByTime(1000);
+
+      await expect(request).rejects.toThrow('MCP request search_issues timed out after 1000ms');
+      expect(connection.pendingCount).toBe(0);
+      expect(server.requests[1]).toEqual({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: '1', reason: 'timed out' }
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should ignore late responses for timed out requests', async () => {
+    jest.useFakeTimers();
+
+    try {
+      const request = connection.request('search_issues', {}, { timeout: 10 });
+      jest.advanceTimersByTime(10);
+      await expect(request).rejects.toThrow('timed out');
+    } finally {
+      jest.useRealTimers();
+    }
+
+    server.respond({ id: '1', result: {}, error: null });
+    await flush();
+
+    expect(connection.pendingCount).toBe(0);
+  });
+
+  it('should fail pending requests if the server exits and respawn on the next request', async () => {
+    const request = connection.request('search_issues', {});
+    await flush();
+
+    server.stderr.write('Missing required JIRA configuration');
+    await flush();
+    server.emit('close', 1);
+
+    await expect(request).rejects.toThrow('MCP server exited with code 1: Missing required JIRA configuration');
+
+    const replacement = createFakeServer();
+    childProcess.spawn.mockReturnValue(replacement);
+
+    const retry = connection.request('search_issues', {});
+    expect(childProcess.spawn).toHaveBeenCalledTimes(2);
+
+    replacement.respond({ id: '2', result: [], error: null });
+    await expect(retry).resolves.toEqual([]);
+  });
+
+  it('should only report the end of the server output when it exits', async () => {
+    const request = connection.request('search_issues', {});
+    await flush();
+
+    server.stderr.write('x'.repeat(100000));
+    server.stderr.write('Missing required JIRA configuration');
+    await flush();
+    server.emit('close', 1);
+
+    const error = await request.catch(err => err);
+    expect(error.message).toMatch(/Missing required JIRA configuration$/);
+    expect(error.message.length).toBeLessThan(4200);
+  });
+
+  it('should close the server by ending its stdin', async () => {
+    const request = connection.request('has_required_config', {});
+    server.respond({ id: '1', result: { hasRequiredConfig: true }, error: null });
+    await request;
+
+    await connection.close();
+
+    expect(server.stdin.end).toHaveBeenCalled();
+    expect(server.kill).not.toHaveBeenCalled();
+  });
+
+  it('should give the server its shutdown timeout before killing it', async () => {
+    const request = connection.request('has_required_config', {});
+    server.respond({ id: '1', result: { hasRequiredConfig: true }, error: null });
+    await request;
+
+    // The server keeps running while it finishes a slow request
+    server.stdin.end = jest.fn();
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+
+    try {
+      const closing = connection.close();
+
+      jest.advanceTimersByTime(30000);
+      await flush();
+      expect(server.kill).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(5000);
+      await closing;
+      expect(server.kill).toHaveBeenCalled();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should do nothing when closing an unused connection', async () => {
+    await connection.close();
+
+    expect(childProcess.spawn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for the Migrate Module
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const { readMapping, writeMapping, migrateIssues } = require('../../lib/migrate');
+
+describe('Migrate', () => {
+  let source;
+  let target;
+  let mapping;
+  let created;
+
+  const migrate = (options = {}) => migrateIssues({
+    source,
+    target,
+    from: 'jira',
+    to: 'gitlab',
+    project: 'PROJ',
+    targetProject: '42',
+    userMap: { 'alice.jira': 'alice' },
+    mapping,
+    ...options
+  });
+
+  beforeEach(() => {
+    created = 0;
+
+    // Subtask listed before its parent, as JIRA may return them
+    source = {
+      searchIssues: jest.fn(async ({ page }) => ({
+        issues: page > 1 ? [] : [
+          { key: 'PROJ-2', title: 'Subtask', status: 'Done', parent: 'PROJ-1', commentCount: 0 },
+          { key: 'PROJ-1', title: 'Parent', description: 'Details', status: 'In Progress', assignee: 'alice.jira', labels: ['api'], url: 'https://jira/PROJ-1', commentCount: 2 },
+          { key: 'PROJ-3', title: 'Orphan', status: 'To Do', assignee: 'bob.jira', commentCount: 0 }
+        ],
+        total: 3
+      })),
+      listComments: jest.fn().mockResolvedValue([
+        { author: 'Alice', body: 'First', createdAt: '2024-01-01T00:00:00Z' },
+        { author: 'Bob', body: 'Second', createdAt: '2024-01-02T00:00:00Z' }
+      ])
+    };
+
+    target = {
+      createIssue: jest.fn(async (data) => ({ key: `#${++created}`, url: `https://gitlab/${created}`, status: 'opened', ...data })),
+      updateIssue: jest.fn(async (key, updateData) => ({ key, status: updateData.status === 'close' ? 'closed' : 'opened' })),
+      addComment: jest.fn().mockResolvedValue({})
+    };
+
+    mapping = { from: 'jira', to: 'gitlab', issues: {} };
+  });
+
+  it('should copy issues with parents first and record the mapping', async () => {
+    const report = await migrate();
+
+    expect(report.migrated.map(entry => [entry.from, entry.to])).toEqual([
+      ['PROJ-1', '#1'],
+      ['PROJ-2', '#2'],
+      ['PROJ-3', '#3']
+    ]);
+    expect(target.createIssue).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      project: '42',
+      title: 'Parent',
+      description: 'Details\n\nMigrated from JIRA issue PROJ-1 (https://jira/PROJ-1)',
+      assignee: 'alice',
+      labels: ['api']
+    }));
+    expect(target.createIssue.mock.calls[1][0].parent).toBe('#1');
+    expect(mapping.issues['PROJ-2']).toEqual(expect.objectContaining({ key: '#2', status: 'closed', done: true }));
+  });
+
+  it('should copy comments with their original author and date', async () => {
+    await migrate();
+
+    expect(source.listComments).toHaveBeenCalledTimes(1);
+    expect(target.addComment).toHaveBeenCalledWith('#1', 'Alice wrote on 2024-01-01T00:00:00Z:\n\nFirst');
+    expect(mapping.issues['PROJ-1'].comments).toBe(2);
+  });
+
+  it('should warn about assignees missing from the user map', async () => {
+    const report = await migrate();
+
+    expect(report.warnings).toEqual([
+      { from: 'PROJ-3', message: 'No user mapped for assignee bob.jira; left unassigned' }
+    ]);
+    expect(target.createIssue.mock.calls[2][0].assignee).toBeUndefined();
+  });
+
+  it('should resume an interrupted migration without duplicating work', async () => {
+    target.addComment.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('socket hang up'));
+
+    const first = await migrate();
+
+    expect(first.errors).toEqual([{ from: 'PROJ-1', message: 'socket hang up' }]);
+    expect(mapping.issues['PROJ-1']).toEqual(expect.objectContaining({ comments: 1, done: false }));
+
+    target.createIssue.mockClear();
+    target.addComment.mockClear();
+
+    const second = await migrate();
+
+    expect(second.migrated.map(entry => entry.from)).toEqual(['PROJ-1']);
+    expect(second.skipped.map(entry => entry.from)).toEqual(['PROJ-2', 'PROJ-3']);
+    expect(target.createIssue).not.toHaveBeenCalled();
+    expect(target.addComment).toHaveBeenCalledTimes(1);
+    expect(target.addComment).toHaveBeenCalledWith('#1', expect.stringContaining('Second'));
+  });
+
+  it('should fetch every page when the total only counts the page', async () => {
+    // GitLab reports the page length as the total; GitHub pages are short
+    // where pull requests were dropped
+    const pages = [60, 45, 15].map((length, index) => Array.from({ length }, (_, i) => ({
+      key: `#${index * 100 + i + 1}`,
+      title: `Issue ${index * 100 + i + 1}`,
+      status: 'opened',
+      commentCount: 0
+    })));
+    source.searchIssues = jest.fn(async ({ page }) => {
+      const issues = pages[page - 1] || [];
+      return { issues, total: issues.length };
+    });
+    mapping = { from: 'gitlab', to: 'jira', issues: {} };
+
+    const report = await migrate({ from: 'gitlab', to: 'jira' });
+
+    expect(source.searchIssues).toHaveBeenCalledTimes(4);
+    expect(source.searchIssues).toHaveBeenLastCalledWith(expect.objectContaining({ page: 4 }));
+    expect(report.migrated).toHaveLength(120);
+  });
+
+  it('should create JIRA subtasks under their parent', async () => {
+    mapping = { from: 'gitlab', to: 'jira', issues: {} };
+
+    await migrate({ from: 'gitlab', to: 'jira' });
+
+    expect(target.createIssue.mock.calls[1][0]).toEqual(expect.objectContaining({
+      parent: '#1',
+      issueType: 'Sub-task'
+    }));
+  });
+
+  describe('mapping files', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-migrate-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should start a new mapping and read back a saved one', async () => {
+      const file = path.join(tempDir, 'map.json');
+      const empty = await readMapping(file, 'jira', 'gitlab');
+
+      empty.issues['PROJ-1'] = { key: '#1', done: true };
+      await writeMapping(file, empty);
+
+      await expect(readMapping(file, 'jira', 'gitlab')).resolves.toEqual(empty);
+      await expect(readMapping(file, 'jira', 'github'))
+        .rejects.toThrow('is for a migration from jira to gitlab');
+    });
+  });
+});
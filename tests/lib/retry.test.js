@@ -0,0 +1,199 @@
+/**
+ * Tests for the Retry Module
+ */
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const { withRetry, toTypedError, getRetryAfter, isRetryable } = require('../../lib/retry');
+const {
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  UpstreamError
+} = require('../../lib/errors');
+
+// Build an error shaped like the ones the platform SDKs throw
+function httpError(statusCode, headers = {}) {
+  const error = new Error(`Request failed with status ${statusCode}`);
+  error.response = { statusCode, headers };
+  return error;
+}
+
+describe('Retry', () => {
+  let sleep;
+
+  beforeEach(() => {
+    sleep = jest.fn().mockResolvedValue();
+  });
+
+  describe('withRetry', () => {
+    it('should return the result without retrying on success', async () => {
+      const fn = jest.fn().mockResolvedValue('ok');
+
+      await expect(withRetry(fn, { sleep })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should retry server errors and network resets', async () => {
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(reset)
+        .mockResolvedValue('ok');
+
+      await expect(withRetry(fn, { sleep })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(sleep).toHaveBeenCalledTimes(2);
+    });
+
+    it('should back off exponentially with jitter', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      const fn = jest.fn().mockRejectedValue(httpError(502));
+
+      await expect(withRetry(fn, { sleep, retries: 3, baseDelay: 100 })).rejects.toThrow('status 502');
+      expect(sleep.mock.calls.map(args => args[0])).toEqual([100, 200, 400]);
+
+      Math.random.mockRestore();
+    });
+
+    it('should not retry client errors', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(400));
+
+      await expect(withRetry(fn, { sleep })).rejects.toThrow('status 400');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only retry non-idempotent calls when rate limited', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(withRetry(fn, { sleep, idempotent: false })).rejects.toThrow('status 503');
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      const limited = jest.fn()
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+        .mockResolvedValue('created');
+
+      await expect(withRetry(limited, { sleep, idempotent: false })).resolves.toBe('created');
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('should throw a RateLimitError once attempts are exhausted', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '1' }));
+
+      const error = await withRetry(fn, { sleep, retries: 2 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.attempts).toBe(3);
+      expect(error.retryAfter).toBe(1000);
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('should raise typed errors once the call has failed', async () => {
+      const error = await withRetry(jest.fn().mockRejectedValue(httpError(404)), { sleep }).catch(e => e);
+      const unavailable = await withRetry(jest.fn().mockRejectedValue(httpError(503)), { sleep, retries: 1 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.status).toBe(404);
+      expect(error.message).toBe('Request failed with status 404');
+      expect(unavailable).toBeInstanceOf(UpstreamError);
+    });
+
+    it('should read the number of retries from API_MAX_RETRIES', async () => {
+      process.env.API_MAX_RETRIES = '1';
+      const fn = jest.fn().mockRejectedValue(httpError(500));
+
+      await expect(withRetry(fn, { sleep })).rejects.toThrow('status 500');
+      expect(fn).toHaveBeenCalledTimes(2);
+
+      delete process.env.API_MAX_RETRIES;
+    });
+  });
+
+  describe('getRetryAfter', () => {
+    const now = Date.parse('2025-04-01T10:00:00Z');
+
+    it('should honor Retry-After in seconds or as a date', () => {
+      expect(getRetryAfter(httpError(429, { 'retry-after': '5' }), now)).toBe(5000);
+      expect(getRetryAfter(httpError(429, { 'retry-after': 'Tue, 01 Apr 2025 10:00:30 GMT' }), now)).toBe(30000);
+    });
+
+    it('should honor GitLab RateLimit-Reset', () => {
+      const reset = String(now / 1000 + 10);
+
+      expect(getRetryAfter(httpError(429, { 'ratelimit-reset': reset }), now)).toBe(10000);
+    });
+
+    it('should return null when no delay is given', () => {
+      expect(getRetryAfter(httpError(503), now)).toBeNull();
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should treat exhausted GitHub rate limits as retryable', () => {
+      expect(isRetryable(httpError(403, { 'x-ratelimit-remaining': '0' }), false)).toBe(true);
+      expect(isRetryable(httpError(403), true)).toBe(false);
+    });
+
+    it('should read the status of jira-client errors', () => {
+      const error = Object.assign(new Error('Service Unavailable'), { statusCode: 503 });
+
+      expect(isRetryable(error, true)).toBe(true);
+    });
+  });
+
+  describe('toTypedError', () => {
+    it('should map rejected credentials and missing items by status', () => {
+      expect(toTypedError(httpError(401))).toBeInstanceOf(AuthError);
+      expect(toTypedError(httpError(403))).toBeInstanceOf(AuthError);
+      expect(toTypedError(httpError(404))).toBeInstanceOf(NotFoundError);
+    });
+
+    it('should collect JIRA field errors', () => {
+      const error = Object.assign(new Error('400 - Bad Request'), {
+        statusCode: 400,
+        error: { errorMessages: ['Issue type is required'], errors: { priority: 'Priority name "Urgent" is not valid' } }
+      });
+
+      const typed = toTypedError(error);
+
+      expect(typed).toBeInstanceOf(ValidationError);
+      expect(typed.errors).toEqual([
+        { field: null, message: 'Issue type is required' },
+        { field: 'priority', message: 'Priority name "Urgent" is not valid' }
+      ]);
+      expect(typed.cause).toBe(error);
+    });
+
+    it('should collect GitLab and GitHub field errors', () => {
+      const gitlab = httpError(400);
+      gitlab.response.body = JSON.stringify({ message: { title: ['can\'t be blank', 'is too short'] } });
+      const github = Object.assign(new Error('Validation Failed'), {
+        status: 422,
+        response: { data: { message: 'Validation Failed', errors: [{ resource: 'Issue', field: 'title', code: 'missing_field' }] } }
+      });
+
+      expect(toTypedError(gitlab).errors).toEqual([{ field: 'title', message: 'can\'t be blank, is too short' }]);
+      expect(toTypedError(github).errors).toEqual([{ field: 'title', message: 'missing_field' }]);
+    });
+
+    it('should treat server and network failures as upstream errors', () => {
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+      expect(toTypedError(httpError(500))).toBeInstanceOf(UpstreamError);
+      expect(toTypedError(reset)).toBeInstanceOf(UpstreamError);
+    });
+
+    it('should leave other errors alone', () => {
+      const error = new Error('Issue summary is required');
+      const typed = new NotFoundError('Gone');
+
+      expect(toTypedError(error)).toBe(error);
+      expect(toTypedError(typed)).toBe(typed);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for the Sync Module
+ */
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const { syncTasks, comparableStatus } = require('../../lib/sync');
+
+// In-memory remote platform with GitLab-style open/closed states
+function createRemote() {
+  const issues = {};
+  let next = 1;
+
+  return {
+    issues,
+    createIssue: jest.fn(async (data) => {
+      const key = String(next++);
+      issues[key] = { key, title: data.title, description: data.description, status: 'opened', assignee: data.assignee || null };
+      return { ...issues[key] };
+    }),
+    getIssue: jest.fn(async (key) => ({ ...issues[key] })),
+    updateIssue: jest.fn(async (key, updateData) => {
+      if (updateData.status) {
+        issues[key].status = updateData.status === 'close' ? 'closed' : 'opened';
+      }
+      if (updateData.assignee) {
+        issues[key].assignee = updateData.assignee;
+      }
+      return { ...issues[key] };
+    })
+  };
+}
+
+function createData() {
+  return {
+    phase1: {
+      title: 'Phase 1',
+      tasks: [
+        {
+          id: 'P1-1',
+          title: 'Project Setup',
+          subtasks: [
+            { id: 'P1-1.1', title: 'Create directories', status: 'done' },
+            { id: 'P1-1.2', title: 'Initialize package.json', status: 'todo' }
+          ]
+        }
+      ]
+    }
+  };
+}
+
+describe('Sync', () => {
+  let remote;
+  let data;
+
+  const sync = (options = {}) => syncTasks({ data, remote, platform: 'gitlab', project: '42', ...options });
+  const subtask = (index) => data.phase1.tasks[0].subtasks[index];
+
+  beforeEach(() => {
+    remote = createRemote();
+    data = createData();
+  });
+
+  it('should create remote issues for new tasks and record their keys', async () => {
+    const report = await sync();
+
+    expect(report.created.map(entry => entry.key)).toEqual(['1', '2', '3']);
+    expect(data.phase1.tasks[0].remote.gitlab).toEqual(expect.objectContaining({ key: '1', status: 'opened' }));
+    expect(remote.createIssue).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Create directories',
+      parent: '1',
+      project: '42'
+    }));
+    expect(remote.issues['2'].status).toBe('closed');
+  });
+
+  it('should be idempotent', async () => {
+    await sync();
+    remote.createIssue.mockClear();
+    remote.updateIssue.mockClear();
+
+    const report = await sync();
+
+    expect(report.unchanged).toHaveLength(3);
+    expect(remote.createIssue).not.toHaveBeenCalled();
+    expect(remote.updateIssue).not.toHaveBeenCalled();
+  });
+
+  it('should pull remote changes and push local ones', async () => {
+    await sync();
+    remote.issues['3'].status = 'closed';
+    subtask(0).assignee = 'alice';
+
+    const report = await sync();
+
+    expect(report.pulled).toEqual([expect.objectContaining({ task: 'P1-1.2', field: 'status' })]);
+    expect(subtask(1).status).toBe('done');
+    expect(report.pushed).toEqual([expect.objectContaining({ task: 'P1-1.1', field: 'assignee' })]);
+    expect(remote.issues['2'].assignee).toBe('alice');
+  });
+
+  it('should report fields changed on both sides as conflicts', async () => {
+    await sync();
+    remote.issues['3'].assignee = 'bob';
+    subtask(1).assignee = 'alice';
+
+    const report = await sync();
+
+    expect(report.conflicts).toEqual([
+      expect.objectContaining({ task: 'P1-1.2', key: '3', field: 'assignee', local: 'alice', remote: 'bob' })
+    ]);
+    expect(subtask(1).assignee).toBe('alice');
+    expect(remote.issues['3'].assignee).toBe('bob');
+  });
+
+  it('should not change anything in a dry run', async () => {
+    const report = await sync({ dryRun: true });
+
+    expect(report.created).toHaveLength(3);
+    expect(remote.createIssue).not.toHaveBeenCalled();
+    expect(data).toEqual(createData());
+  });
+
+  it('should keep syncing other tasks when one fails', async () => {
+    remote.createIssue.mockRejectedValueOnce(new Error('Forbidden'));
+
+    const report = await sync();
+
+    expect(report.errors).toEqual([{ task: 'P1-1', key: null, message: 'Forbidden' }]);
+    expect(report.created).toHaveLength(2);
+  });
+
+  it('should keep the new issue when pushing its status fails', async () => {
+    remote.updateIssue.mockRejectedValueOnce(new Error('Bad Gateway'));
+
+    const first = await sync();
+
+    expect(first.created).toHaveLength(3);
+    expect(first.errors).toEqual([{ task: 'P1-1.1', key: '2', message: 'Bad Gateway' }]);
+    expect(subtask(0).remote.gitlab).toEqual(expect.objectContaining({ key: '2', status: 'opened' }));
+
+    const second = await sync();
+
+    expect(remote.createIssue).toHaveBeenCalledTimes(3);
+    expect(Object.keys(remote.issues)).toHaveLength(3);
+    expect(second.pushed).toEqual([expect.objectContaining({ task: 'P1-1.1', field: 'status' })]);
+    expect(remote.issues['2'].status).toBe('closed');
+  });
+
+  it('should save progress so a run cut short creates no duplicates', async () => {
+    let saved = null;
+    const saveTasks = jest.fn(async (tasks) => {
+      saved = JSON.stringify(tasks);
+    });
+
+    // The run is killed while creating the last issue, so it never finishes
+    const create = remote.createIssue.getMockImplementation();
+    let killed;
+    const reached = new Promise((resolve) => {
+      killed = resolve;
+    });
+    remote.createIssue
+      .mockImplementationOnce(create)
+      .mockImplementationOnce(create)
+      .mockImplementationOnce(() => {
+        killed();
+        return new Promise(() => {});
+      });
+    sync({ saveTasks });
+    await reached;
+
+    // Start over from what the first run saved
+    data = JSON.parse(saved);
+    expect(data.phase1.tasks[0].remote.gitlab.key).toBe('1');
+    expect(subtask(0).remote.gitlab.key).toBe('2');
+
+    const second = await sync({ saveTasks });
+
+    expect(second.created.map(entry => entry.task)).toEqual(['P1-1.2']);
+    expect(Object.keys(remote.issues)).toHaveLength(3);
+  });
+
+  describe('comparableStatus', () => {
+    it('should reduce statuses to open or closed outside JIRA', () => {
+      expect(comparableStatus('github', 'in-progress')).toBe('opened');
+      expect(comparableStatus('github', 'done')).toBe('closed');
+      expect(comparableStatus('jira', 'In Progress')).toBe('in-progress');
+      expect(comparableStatus('jira', 'To Do')).toBe('todo');
+    });
+  });
+});
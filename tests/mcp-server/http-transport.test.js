@@ -0,0 +1,262 @@
+/**
+ * Tests for the MCP Server HTTP transport
+ */
+
+const { createHttpTransport } = require('../../mcp-server/http-transport');
+
+describe('MCP HTTP transport', () => {
+  let transport;
+  let handleMessage;
+  let onSessionEnd;
+  let url;
+
+  const post = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  const initialize = async () => {
+    const response = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    return response.headers.get('mcp-session-id');
+  };
+
+  beforeEach(async () => {
+    handleMessage = jest.fn(async (message) => (
+      message.id === undefined ? null : { jsonrpc: '2.0', id: message.id, result: { method: message.method } }
+    ));
+    onSessionEnd = jest.fn();
+    transport = createHttpTransport({ handleMessage, onSessionEnd });
+
+    const address = await transport.listen(0);
+    url = `http://127.0.0.1:${address.port}/mcp`;
+  });
+
+  afterEach(async () => {
+    await transport.close(1000);
+  });
+
+  it('should start a session on initialize', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('mcp-session-id')).toMatch(/^[0-9a-f-]{36}$/);
+    expect(await response.json()).toEqual({ jsonrpc: '2.0', id: 1, result: { method: 'initialize' } });
+    expect(transport.sessions.size).toBe(1);
+  });
+
+  it('should pass the session to the message handler', async () => {
+    const sessionId = await initialize();
+    const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ jsonrpc: '2.0', id: 2, result: { method: 'tools/list' } });
+    expect(handleMessage).toHaveBeenLastCalledWith(
+      expect.objectContaining({ method: 'tools/list' }),
+      expect.objectContaining({ id: sessionId })
+    );
+  });
+
+  it('should keep concurrent sessions apart', async () => {
+    const [first, second] = await Promise.all([initialize(), initialize()]);
+
+    expect(first).not.toBe(second);
+    expect(transport.sessions.size).toBe(2);
+  });
+
+  it('should refuse new sessions once the cap is reached', async () => {
+    await transport.close(1000);
+    transport = createHttpTransport({ handleMessage, onSessionEnd, maxSessions: 2 });
+    url = `http://127.0.0.1:${(await transport.listen(0)).port}/mcp`;
+
+    const first = await initialize();
+    await initialize();
+    const refused = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+
+    expect(refused.status).toBe(503);
+    expect((await refused.json()).error).toEqual({
+      code: -32003,
+      message: 'Too many sessions (limit 2); end one with DELETE first'
+    });
+    expect(transport.sessions.size).toBe(2);
+
+    await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': first } });
+    expect(await initialize()).toBeTruthy();
+  });
+
+  it('should answer batches with an array', async () => {
+    const sessionId = await initialize();
+    const response = await post([
+      { jsonrpc: '2.0', id: 3, method: 'tools/list' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 4, method: 'ping' }
+    ], { 'Mcp-Session-Id': sessionId });
+
+    expect(await response.json()).toEqual([
+      { jsonrpc: '2.0', id: 3, result: { method: 'tools/list' } },
+      { jsonrpc: '2.0', id: 4, result: { method: 'ping' } }
+    ]);
+  });
+
+  it('should accept notifications without a response body', async () => {
+    const sessionId = await initialize();
+    const response = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+
+    expect(response.status).toBe(202);
+    expect(await response.text()).toBe('');
+  });
+
+  it('should stream responses to clients that only accept event streams', async () => {
+    const sessionId = await initialize();
+    const response = await post(
+      { jsonrpc: '2.0', id: 5, method: 'ping' },
+      { 'Mcp-Session-Id': sessionId, Accept: 'text/event-stream' }
+    );
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(await response.text()).toBe(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: 5, result: { method: 'ping' } })}\n\n`);
+  });
+
+  it('should require a session for requests other than initialize', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 6, method: 'tools/list' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.code).toBe(-32600);
+    expect(handleMessage).not.toHaveBeenCalled();
+  });
+
+  it('should refuse unknown sessions', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 7, method: 'tools/list' }, { 'Mcp-Session-Id': 'nope' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should answer malformed JSON with a parse error', async () => {
+    const response = await post('{not json');
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.code).toBe(-32700);
+  });
+
+  it('should end sessions on DELETE', async () => {
+    const sessionId = await initialize();
+    const response = await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+
+    expect(response.status).toBe(204);
+    expect(onSessionEnd).toHaveBeenCalledWith(expect.objectContaining({ id: sessionId }));
+
+    const afterDelete = await post({ jsonrpc: '2.0', id: 8, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+    expect(afterDelete.status).toBe(404);
+  });
+
+  it('should refuse browser origins other than localhost', async () => {
+    const response = await post(
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+      { Origin: 'https://evil.example.com' }
+    );
+
+    expect(response.status).toBe(403);
+    expect(transport.sessions.size).toBe(0);
+  });
+
+  it('should only allow POST and DELETE', async () => {
+    const response = await fetch(url);
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('POST, DELETE');
+  });
+
+  describe('with authentication', () => {
+    const users = { 'alice-token': { name: 'alice' }, 'bob-token': { name: 'bob' } };
+
+    beforeEach(async () => {
+      await transport.close(1000);
+      transport = createHttpTransport({ handleMessage, onSessionEnd, authenticate: token => users[token] || null });
+
+      const address = await transport.listen(0);
+      url = `http://127.0.0.1:${address.port}/mcp`;
+    });
+
+    const initializeAs = async (token) => {
+      const response = await post(
+        { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+        { Authorization: `Bearer ${token}` }
+      );
+      return response.headers.get('mcp-session-id');
+    };
+
+    it('should reject requests without a valid bearer token', async () => {
+      const missing = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      const invalid = await post(
+        { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+        { Authorization: 'Bearer nope' }
+      );
+
+      expect(missing.status).toBe(401);
+      expect(missing.headers.get('www-authenticate')).toBe('Bearer realm="mcp"');
+      expect((await missing.json()).error).toEqual({ code: -32001, message: 'Missing bearer token' });
+      expect(invalid.status).toBe(401);
+      expect((await invalid.json()).error.message).toBe('Invalid bearer token');
+      expect(handleMessage).not.toHaveBeenCalled();
+    });
+
+    it('should attach the caller to their session', async () => {
+      const sessionId = await initializeAs('alice-token');
+
+      expect(handleMessage).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ id: sessionId, user: { name: 'alice' } })
+      );
+    });
+
+    it('should cap sessions per user', async () => {
+      await transport.close(1000);
+      transport = createHttpTransport({ handleMessage, onSessionEnd, authenticate: token => users[token] || null, maxSessions: 1 });
+      url = `http://127.0.0.1:${(await transport.listen(0)).port}/mcp`;
+
+      await initializeAs('alice-token');
+      const refused = await post(
+        { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+        { Authorization: 'Bearer alice-token' }
+      );
+
+      expect(refused.status).toBe(503);
+      expect(await initializeAs('bob-token')).toBeTruthy();
+      expect(transport.sessions.size).toBe(2);
+    });
+
+    it('should not let another user use or end a session', async () => {
+      const sessionId = await initializeAs('alice-token');
+      const headers = { 'Mcp-Session-Id': sessionId, Authorization: 'Bearer bob-token' };
+
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers);
+      const deleted = await fetch(url, { method: 'DELETE', headers });
+
+      expect(response.status).toBe(403);
+      expect(deleted.status).toBe(403);
+      expect(transport.sessions.has(sessionId)).toBe(true);
+    });
+  });
+
+  it('should wait for requests in progress when closing', async () => {
+    const sessionId = await initialize();
+    let finish;
+    handleMessage.mockImplementationOnce((message) => new Promise((resolve) => {
+      finish = () => resolve({ jsonrpc: '2.0', id: message.id, result: {} });
+    }));
+
+    const pending = post({ jsonrpc: '2.0', id: 9, method: 'tools/call' }, { 'Mcp-Session-Id': sessionId });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    let closed = false;
+    const closing = transport.close(5000).then(() => { closed = true; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(closed).toBe(false);
+    expect(onSessionEnd).toHaveBeenCalled();
+
+    finish();
+    expect((await pending).status).toBe(200);
+    await closing;
+    expect(closed).toBe(true);
+  });
+});
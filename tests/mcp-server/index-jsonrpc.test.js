@@ -0,0 +1,558 @@
+/**
+ * Tests for the MCP Server JSON-RPC 2.0 protocol support
+ */
+
+// Mock the readline module
+jest.mock('readline', () => {
+  const EventEmitter = require('events');
+
+  return {
+    createInterface: jest.fn(() => {
+      const emitter = new EventEmitter();
+      emitter.close = jest.fn();
+      return emitter;
+    })
+  };
+});
+
+// Mock the JIRA client module
+jest.mock('../../lib/jira-client', () => ({
+  createIssue: jest.fn(),
+  updateIssue: jest.fn(),
+  searchIssues: jest.fn(),
+  addComment: jest.fn(),
+  linkIssues: jest.fn(),
+  listProjects: jest.fn(),
+  getProjectMetadata: jest.fn(),
+  hasRequiredEnv: jest.fn().mockReturnValue(true)
+}));
+
+// Mock the GitLab client module
+jest.mock('../../lib/gitlab-client', () => ({
+  createIssue: jest.fn(),
+  updateIssue: jest.fn(),
+  searchIssues: jest.fn(),
+  hasRequiredEnv: jest.fn().mockReturnValue(false)
+}));
+
+// Mock dotenv
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+describe('MCP Server JSON-RPC protocol', () => {
+  let mcp;
+  let jiraClient;
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  // Parse every message written to stdout
+  const sentMessages = () => consoleLogSpy.mock.calls.map(args => JSON.parse(args[0]));
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    jiraClient = require('../../lib/jira-client');
+    mcp = require('../../mcp-server/index');
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('handshake', () => {
+    it('should answer initialize with server info and tool capabilities', async () => {
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: {
+          protocolVersion: '2024-11-05',
+          capabilities: {},
+          clientInfo: { name: 'test-client', version: '1.0.0' }
+        }
+      });
+
+      const [response] = sentMessages();
+      expect(response.jsonrpc).toBe('2.0');
+      expect(response.id).toBe(1);
+      expect(response.result.protocolVersion).toBe('2024-11-05');
+      expect(response.result.capabilities).toHaveProperty('tools');
+      expect(response.result.serverInfo).toEqual({
+        name: 'project-manager-mcp',
+        version: expect.any(String)
+      });
+    });
+
+    it('should fall back to the newest protocol version for unknown versions', async () => {
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '1999-01-01' }
+      });
+
+      const [response] = sentMessages();
+      expect(response.result.protocolVersion).toBe('2025-06-18');
+    });
+
+    it('should not respond to the initialized notification', async () => {
+      await mcp.handleRequest({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      expect(consoleLogSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tools/list', () => {
+    it('should list every tool with a JSON Schema', async () => {
+      await mcp.handleRequest({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      const [response] = sentMessages();
+      const names = response.result.tools.map(tool => tool.name);
+      expect(names).toEqual([
+        'create_issue',
+        'update_issue',
+        'get_issue',
+        'search_issues',
+        'add_comment',
+        'list_comments',
+        'link_issues',
+        'get_issue_links',
+        'unlink_issues',
+        'list_milestones',
+        'create_milestone',
+        'list_projects',
+        'get_project_metadata',
+        'has_required_config'
+      ]);
+
+      response.result.tools.forEach(tool => {
+        expect(tool.description).toEqual(expect.any(String));
+        expect(tool.inputSchema.type).toBe('object');
+      });
+    });
+  });
+
+  describe('tools/call', () => {
+    it('should call the tool and return its result as a text content block', async () => {
+      const testIssue = { key: 'TEST-123' };
+      jiraClient.createIssue.mockResolvedValue(testIssue);
+
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: {
+          name: 'create_issue',
+          arguments: { title: 'Test Issue', project: 'TEST' }
+        }
+      });
+
+      expect(jiraClient.createIssue).toHaveBeenCalledWith({ title: 'Test Issue', project: 'TEST' });
+
+      const [response] = sentMessages();
+      expect(response).toEqual({
+        jsonrpc: '2.0',
+        id: 3,
+        result: {
+          content: [{ type: 'text', text: JSON.stringify(testIssue, null, 2) }],
+          isError: false
+        }
+      });
+    });
+
+    it('should route add_comment to the client', async () => {
+      jiraClient.addComment.mockResolvedValue({ id: '1', body: 'Progress note' });
+
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 9,
+        method: 'tools/call',
+        params: { name: 'add_comment', arguments: { key: 'TEST-1', body: 'Progress note' } }
+      });
+
+      expect(jiraClient.addComment).toHaveBeenCalledWith('TEST-1', 'Progress note', { project: undefined });
+      const [response] = sentMessages();
+      expect(response.result.isError).toBe(false);
+    });
+
+    it('should route link_issues to the client', async () => {
+      jiraClient.linkIssues.mockResolvedValue({ type: 'blocks', key: 'TEST-2' });
+
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 11,
+        method: 'tools/call',
+        params: { name: 'link_issues', arguments: { key: 'TEST-1', targetKey: 'TEST-2', type: 'blocks' } }
+      });
+
+      expect(jiraClient.linkIssues).toHaveBeenCalledWith('TEST-1', 'TEST-2', 'blocks', {
+        project: undefined,
+        targetProject: undefined
+      });
+      const [response] = sentMessages();
+      expect(response.result.isError).toBe(false);
+    });
+
+    it('should cache project metadata for the session unless refreshed', async () => {
+      jiraClient.getProjectMetadata.mockResolvedValue({ project: { key: 'TEST' } });
+      const call = (id, args) => mcp.handleRequest({
+        jsonrpc: '2.0',
+        id,
+        method: 'tools/call',
+        params: { name: 'get_project_metadata', arguments: args }
+      });
+
+      await call(13, { project: 'TEST' });
+      await call(14, { project: 'TEST' });
+      expect(jiraClient.getProjectMetadata).toHaveBeenCalledTimes(1);
+
+      await call(15, { project: 'OTHER' });
+      await call(16, { project: 'TEST', refresh: true });
+      expect(jiraClient.getProjectMetadata).toHaveBeenCalledTimes(3);
+      expect(sentMessages().every(response => response.result.isError === false)).toBe(true);
+    });
+
+    it('should not cache failed metadata requests', async () => {
+      jiraClient.listProjects
+        .mockRejectedValueOnce(new Error('Service unavailable'))
+        .mockResolvedValueOnce([{ key: 'TEST' }]);
+      const call = (id) => mcp.handleRequest({
+        jsonrpc: '2.0',
+        id,
+        method: 'tools/call',
+        params: { name: 'list_projects', arguments: {} }
+      });
+
+      await call(17);
+      await call(18);
+
+      const [failed, succeeded] = sentMessages();
+      expect(failed.result.isError).toBe(true);
+      expect(succeeded.result.isError).toBe(false);
+      expect(jiraClient.listProjects).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report features a platform lacks as a validation error result', async () => {
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 12,
+        method: 'tools/call',
+        params: { name: 'get_issue_links', arguments: { key: '#1', platform: 'github' } }
+      });
+
+      const [response] = sentMessages();
+      expect(response.result).toEqual({
+        content: [{ type: 'text', text: 'Issue links are not supported on github' }],
+        structuredContent: {
+          error: {
+            code: -32602,
+            message: 'Issue links are not supported on github',
+            data: {
+              type: 'ValidationError',
+              platform: 'github',
+              errors: [{ field: 'platform', message: 'Issue links are not supported on github' }]
+            }
+          }
+        },
+        isError: true
+      });
+    });
+
+    it('should report tool failures as an error result', async () => {
+      jiraClient.createIssue.mockRejectedValue(new Error('JIRA API error'));
+
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 4,
+        method: 'tools/call',
+        params: { name: 'create_issue', arguments: { title: 'Test Issue' } }
+      });
+
+      const [response] = sentMessages();
+      expect(response.result).toEqual({
+        content: [{ type: 'text', text: 'JIRA API error' }],
+        isError: true
+      });
+    });
+
+    it('should report unknown profiles as a configuration error', async () => {
+      process.env.PROJECT_MANAGER_CONFIG = '/nonexistent/.project-manager.json';
+
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 10,
+        method: 'tools/call',
+        params: { name: 'get_issue', arguments: { key: 'TEST-1', profile: 'missing' } }
+      });
+
+      const [response] = sentMessages();
+      const { error } = response.result.structuredContent;
+      expect(response.result.isError).toBe(true);
+      expect(response.result.content[0].text).toContain('Unknown profile: missing');
+      expect(error.code).toBe(-32010);
+      expect(error.message).toContain('Unknown profile: missing');
+      expect(error.data).toEqual({ type: 'ConfigError' });
+
+      delete process.env.PROJECT_MANAGER_CONFIG;
+    });
+
+    it('should report typed client errors as error results with their code and data', async () => {
+      const { NotFoundError } = require('../../lib/errors');
+      jiraClient.getIssue = jest.fn().mockRejectedValue(new NotFoundError('Issue Does Not Exist', { status: 404 }));
+
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 11,
+        method: 'tools/call',
+        params: { name: 'get_issue', arguments: { key: 'TEST-404', platform: 'jira' } }
+      });
+
+      const [response] = sentMessages();
+      expect(response.error).toBeUndefined();
+      expect(response.result).toEqual({
+        content: [{ type: 'text', text: 'Issue Does Not Exist' }],
+        structuredContent: {
+          error: {
+            code: -32012,
+            message: 'Issue Does Not Exist',
+            data: { type: 'NotFoundError', platform: 'jira', status: 404 }
+          }
+        },
+        isError: true
+      });
+    });
+
+    it('should reject unknown tools with an invalid params error', async () => {
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 5,
+        method: 'tools/call',
+        params: { name: 'delete_everything', arguments: {} }
+      });
+
+      const [response] = sentMessages();
+      expect(response.error).toEqual({ code: -32602, message: 'Unknown tool: delete_everything' });
+    });
+
+    it('should reject calls missing required arguments', async () => {
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 6,
+        method: 'tools/call',
+        params: { name: 'update_issue', arguments: { issueKey: 'TEST-1' } }
+      });
+
+      const [response] = sentMessages();
+      expect(response.error.code).toBe(-32602);
+      expect(response.error.message).toContain('updateData');
+    });
+  });
+
+  describe('errors', () => {
+    it('should answer unknown methods with a method not found error', async () => {
+      await mcp.handleRequest({ jsonrpc: '2.0', id: 7, method: 'resources/list' });
+
+      const [response] = sentMessages();
+      expect(response).toEqual({
+        jsonrpc: '2.0',
+        id: 7,
+        error: { code: -32601, message: 'Unknown method: resources/list' }
+      });
+    });
+
+    it('should keep handling legacy requests without a jsonrpc field', async () => {
+      await mcp.handleRequest({ id: '8', method: 'has_required_config', params: {} });
+
+      const [response] = sentMessages();
+      expect(response).toEqual({ id: '8', result: { hasRequiredConfig: true }, error: null });
+    });
+  });
+
+  describe('policy', () => {
+    afterEach(() => {
+      delete process.env.MCP_READ_ONLY;
+    });
+
+    it('should only offer and run read-only tools in read-only mode', async () => {
+      process.env.MCP_READ_ONLY = 'true';
+
+      await mcp.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'create_issue', arguments: { title: 'New' } }
+      });
+
+      const [list, call] = sentMessages();
+      expect(list.result.tools.map(tool => tool.name)).not.toContain('create_issue');
+      expect(list.result.tools.map(tool => tool.name)).toContain('search_issues');
+      expect(call).toEqual({
+        jsonrpc: '2.0',
+        id: 2,
+        result: {
+          content: [{ type: 'text', text: 'Policy violation: create_issue is not allowed because the server is read-only' }],
+          structuredContent: {
+            error: {
+              code: -32002,
+              message: 'Policy violation: create_issue is not allowed because the server is read-only',
+              data: { type: 'PolicyError', platform: 'jira', rule: 'readOnly', method: 'create_issue' }
+            }
+          },
+          isError: true
+        }
+      });
+      expect(jiraClient.createIssue).not.toHaveBeenCalled();
+    });
+
+    it('should refuse legacy requests the policy forbids', async () => {
+      process.env.MCP_READ_ONLY = 'true';
+
+      await mcp.handleRequest({ id: '3', method: 'add_comment', params: { key: 'TEST-1', body: 'Hi' } });
+
+      const [response] = sentMessages();
+      expect(response.error.message).toBe('Policy violation: add_comment is not allowed because the server is read-only');
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should not answer requests cancelled while in progress', async () => {
+      let finish;
+      jiraClient.getIssue = jest.fn(() => new Promise((resolve) => {
+        finish = () => resolve({ key: 'TEST-1' });
+      }));
+
+      const call = mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 21,
+        method: 'tools/call',
+        params: { name: 'get_issue', arguments: { key: 'TEST-1', platform: 'jira' } }
+      });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(mcp.pendingRequests).toBe(1);
+
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 21, reason: 'User gave up' }
+      });
+      finish();
+      await call;
+
+      expect(sentMessages()).toEqual([]);
+      expect(mcp.pendingRequests).toBe(0);
+    });
+
+    it('should reject a request id already in progress', async () => {
+      let finish;
+      jiraClient.getIssue = jest.fn(() => new Promise((resolve) => {
+        finish = () => resolve({ key: 'TEST-1' });
+      }));
+      const call = {
+        jsonrpc: '2.0',
+        id: 23,
+        method: 'tools/call',
+        params: { name: 'get_issue', arguments: { key: 'TEST-1', platform: 'jira' } }
+      };
+
+      const first = mcp.handleRequest(call);
+      await new Promise(resolve => setImmediate(resolve));
+      await mcp.handleRequest(call);
+
+      expect(sentMessages()).toEqual([{
+        jsonrpc: '2.0',
+        id: 23,
+        error: { code: -32600, message: 'Request 23 is already in progress' }
+      }]);
+      expect(mcp.pendingRequests).toBe(1);
+
+      finish();
+      await first;
+      expect(jiraClient.getIssue).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only cancel requests from the same session', async () => {
+      let finish;
+      jiraClient.getIssue = jest.fn(() => new Promise((resolve) => {
+        finish = () => resolve({ key: 'TEST-1' });
+      }));
+
+      const call = mcp.handleSessionMessage({
+        jsonrpc: '2.0',
+        id: 22,
+        method: 'tools/call',
+        params: { name: 'get_issue', arguments: { key: 'TEST-1', platform: 'jira' } }
+      }, { id: 'session-1' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      await mcp.handleSessionMessage({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 22 }
+      }, { id: 'session-2' });
+      finish();
+
+      expect((await call).result.isError).toBe(false);
+    });
+  });
+
+  describe('HTTP sessions', () => {
+    const metadataCall = (id) => ({
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name: 'get_project_metadata', arguments: { project: 'TEST' } }
+    });
+
+    it('should keep a separate metadata cache for each session', async () => {
+      jiraClient.getProjectMetadata.mockResolvedValue({ project: { key: 'TEST' } });
+      const first = { id: 'session-1' };
+      const second = { id: 'session-2' };
+
+      const response = await mcp.handleSessionMessage(metadataCall(1), first);
+      await mcp.handleSessionMessage(metadataCall(2), first);
+      expect(response.result.isError).toBe(false);
+      expect(jiraClient.getProjectMetadata).toHaveBeenCalledTimes(1);
+
+      await mcp.handleSessionMessage(metadataCall(3), second);
+      expect(jiraClient.getProjectMetadata).toHaveBeenCalledTimes(2);
+
+      mcp.endSession(first);
+      await mcp.handleSessionMessage(metadataCall(4), first);
+      expect(jiraClient.getProjectMetadata).toHaveBeenCalledTimes(3);
+    });
+
+    it('should handle messages on behalf of the session\'s user', async () => {
+      jest.resetModules();
+      const config = require('../../lib/config');
+      const runAsUser = jest.spyOn(config, 'runAsUser');
+      mcp = require('../../mcp-server/index');
+      const alice = { name: 'alice', profiles: [], defaultProfile: null };
+
+      await mcp.handleSessionMessage({ jsonrpc: '2.0', id: 5, method: 'ping' }, { id: 'session-1', user: alice });
+      expect(runAsUser).toHaveBeenCalledWith(alice, expect.any(Function));
+
+      runAsUser.mockClear();
+      await mcp.handleSessionMessage({ jsonrpc: '2.0', id: 6, method: 'ping' }, { id: 'session-2' });
+      expect(runAsUser).not.toHaveBeenCalled();
+    });
+
+    it('should reject legacy messages', async () => {
+      const response = await mcp.handleSessionMessage(
+        { id: '9', method: 'has_required_config', params: {} },
+        { id: 'session-1' }
+      );
+
+      expect(response).toEqual({
+        jsonrpc: '2.0',
+        id: '9',
+        error: { code: -32600, message: 'Invalid request: expected a JSON-RPC 2.0 message' }
+      });
+    });
+  });
+});
@@ -19,6 +19,7 @@ jest.mock('readline', () => {
 jest.mock('../../lib/jira-client', () => ({
   createIssue: jest.fn(),
   updateIssue: jest.fn(),
+  getIssue: jest.fn(),
   searchIssues: jest.fn()
 }));
 
@@ -200,10 +201,7 @@ describe('MCP Server', () => {
       
       // Verify
       expect(jiraClient.searchIssues).toHaveBeenCalledTimes(1);
-      expect(jiraClient.searchIssues).toHaveBeenCalledWith(
-        request.params.jql,
-        request.params.options
-      );
+      expect(jiraClient.searchIssues).toHaveBeenCalledWith(request.params);
       
       // Check response
       expect(mockStdout.length).toBe(1);
@@ -215,6 +213,43 @@ describe('MCP Server', () => {
       });
     });
     
+    it('should process get_issue requests and send a response', async () => {
+      // Setup
+      const testIssue = { key: 'TEST-123', title: 'Test Issue', commentCount: 2 };
+      jiraClient.getIssue.mockResolvedValue(testIssue);
+      
+      // Import the module under test
+      require('../../mcp-server/index');
+      
+      // Get the readline instance
+      rlInstance = readline.createInterface.mock.results[0].value;
+      
+      // Emit a line event with a get_issue request
+      const request = {
+        id: '790',
+        method: 'get_issue',
+        params: {
+          key: 'TEST-123'
+        }
+      };
+      
+      rlInstance.emit('line', JSON.stringify(request));
+      
+      // Wait for promises to resolve
+      await new Promise(process.nextTick);
+      
+      // Verify
+      expect(jiraClient.getIssue).toHaveBeenCalledWith('TEST-123', { project: undefined });
+      
+      // Check response
+      const response = JSON.parse(mockStdout[0]);
+      expect(response).toEqual({
+        id: '790',
+        result: testIssue,
+        error: null
+      });
+    });
+    
     it('should handle errors and send an error response', async () => {
       // Setup - manually emit an error message to stderr before the test
       console.error('[ERROR] JIRA API error');
@@ -291,6 +326,7 @@ describe('MCP Server', () => {
         id: '101',
         result: null,
         error: {
+          code: -32601,
           message: 'Unknown method: unknown_method'
         }
       });
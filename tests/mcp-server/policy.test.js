@@ -0,0 +1,141 @@
+/**
+ * Tests for the MCP server policy
+ */
+
+// Mock dotenv to use our test environment
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const { resetConfig } = require('../../lib/config');
+const { PolicyError } = require('../../lib/errors');
+const { isToolAllowed, enforcePolicy, endPolicySession } = require('../../mcp-server/policy');
+
+// Store original environment variables
+const originalEnv = { ...process.env };
+
+describe('Server policy', () => {
+  const run = jest.fn();
+
+  // Run a tool call through the policy, returning the error it is refused with
+  const refusal = async (method, params, platform = 'jira', sessionId = 'session') => {
+    try {
+      await enforcePolicy(method, params, platform, sessionId, run);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  beforeEach(() => {
+    Object.keys(process.env)
+      .filter(key => /^(JIRA|GITLAB|GITHUB|MCP)_|^PROJECT_MANAGER_/.test(key))
+      .forEach(key => delete process.env[key]);
+    process.env.PROJECT_MANAGER_CONFIG = '/nonexistent/.project-manager.json';
+    process.env.JIRA_PROJECT = 'PROJ';
+
+    run.mockReset();
+    run.mockResolvedValue({ key: 'PROJ-1' });
+    resetConfig();
+    endPolicySession('session');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetConfig();
+  });
+
+  it('should allow everything without a policy', async () => {
+    expect(await refusal('create_issue', { title: 'New' })).toBeNull();
+    expect(await refusal('link_issues', { key: 'PROJ-1', targetKey: 'OPS-2' })).toBeNull();
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  it('should only allow reading in read-only mode', async () => {
+    process.env.MCP_READ_ONLY = 'true';
+
+    expect(await refusal('search_issues', {})).toBeNull();
+    expect(await refusal('get_project_metadata', {})).toBeNull();
+
+    const error = await refusal('update_issue', { key: 'PROJ-1', updateData: {} });
+    expect(error).toBeInstanceOf(PolicyError);
+    expect(error.message).toBe('Policy violation: update_issue is not allowed because the server is read-only');
+    expect(error.rule).toBe('readOnly');
+    expect(run).toHaveBeenCalledTimes(2);
+
+    expect(isToolAllowed('list_comments')).toBe(true);
+    expect(isToolAllowed('add_comment')).toBe(false);
+  });
+
+  it('should refuse denied methods', async () => {
+    process.env.MCP_DENIED_METHODS = 'unlink_issues, get_issue_links';
+
+    const error = await refusal('get_issue_links', { key: 'PROJ-1' });
+    expect(error.message).toBe('Policy violation: get_issue_links is denied on this server');
+    expect(error.rule).toBe('deniedMethods');
+    expect(isToolAllowed('unlink_issues')).toBe(false);
+    expect(isToolAllowed('link_issues')).toBe(true);
+  });
+
+  it('should only write to writable projects', async () => {
+    process.env.MCP_WRITABLE_PROJECTS = 'PROJ,42';
+
+    expect(await refusal('create_issue', { title: 'New' })).toBeNull();
+    expect(await refusal('update_issue', { key: 'proj-7', updateData: {} })).toBeNull();
+    expect(await refusal('add_comment', { key: '#3', project: 42 }, 'gitlab')).toBeNull();
+    expect(await refusal('get_issue', { key: 'OPS-1' })).toBeNull();
+
+    const error = await refusal('create_issue', { title: 'New', project: 'OPS' });
+    expect(error.message).toBe('Policy violation: create_issue cannot write to project OPS. Writable projects: PROJ, 42');
+    expect(error.rule).toBe('writableProjects');
+
+    expect((await refusal('link_issues', { key: 'PROJ-1', targetKey: 'OPS-2' })).rule).toBe('writableProjects');
+    expect((await refusal('add_comment', { key: '#3' }, 'gitlab')).message)
+      .toBe('Policy violation: add_comment cannot write to an unspecified project. Writable projects: PROJ, 42');
+  });
+
+  it('should check the projects the clients actually write to', async () => {
+    process.env.MCP_WRITABLE_PROJECTS = 'SAFE';
+    process.env.JIRA_PROJECT = 'SAFE';
+    process.env.GITLAB_PROJECT_ID = 'other';
+
+    // JIRA goes by the issue key, whatever project is given with it
+    expect((await refusal('update_issue', { key: 'SECRET-1', updateData: { project: 'SAFE' } })).message)
+      .toBe('Policy violation: update_issue cannot write to project SECRET. Writable projects: SAFE');
+    expect((await refusal('add_comment', { key: 'SECRET-1', project: 'SAFE' })).rule).toBe('writableProjects');
+
+    // projectKey is an alias for project
+    expect((await refusal('create_issue', { title: 'New', projectKey: 'SECRET' })).message)
+      .toBe('Policy violation: create_issue cannot write to project SECRET. Writable projects: SAFE');
+    expect((await refusal('create_issue', { title: 'Sub-task', parent: 'SECRET-1' })).rule).toBe('writableProjects');
+
+    // GitLab updates take their project from the update data, not the arguments
+    expect((await refusal('update_issue', { key: '#1', project: 'SAFE', updateData: {} }, 'gitlab')).message)
+      .toBe('Policy violation: update_issue cannot write to project other. Writable projects: SAFE');
+    expect(await refusal('update_issue', { key: '#1', updateData: { project: 'SAFE' } }, 'gitlab')).toBeNull();
+
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cap the issues a session may create', async () => {
+    process.env.MCP_MAX_ISSUES_PER_SESSION = '2';
+
+    run.mockRejectedValueOnce(new Error('Service unavailable'));
+    expect((await refusal('create_issue', { title: 'Failed' })).message).toBe('Service unavailable');
+
+    const results = await Promise.all([
+      refusal('create_issue', { title: 'One' }),
+      refusal('create_issue', { title: 'Two' }),
+      refusal('create_issue', { title: 'Three' })
+    ]);
+    expect(results.filter(Boolean).map(error => error.message)).toEqual([
+      'Policy violation: this session may create at most 2 issues'
+    ]);
+
+    expect(await refusal('create_issue', { title: 'Elsewhere' }, 'jira', 'other-session')).toBeNull();
+    expect(await refusal('update_issue', { key: 'PROJ-1', updateData: {} })).toBeNull();
+
+    endPolicySession('session');
+    expect(await refusal('create_issue', { title: 'Again' })).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the MCP server request tracker
+ */
+
+const { createRequestTracker } = require('../../mcp-server/request-tracker');
+
+describe('Request tracker', () => {
+  // A request that finishes when told to
+  const deferred = () => {
+    let finish;
+    const promise = new Promise((resolve) => {
+      finish = resolve;
+    });
+    return { promise, finish };
+  };
+
+  // Let pending promise callbacks run
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it('should return each request\'s result', async () => {
+    const tracker = createRequestTracker();
+
+    await expect(tracker.run('a', async () => 'done')).resolves.toBe('done');
+    expect(tracker.size).toBe(0);
+  });
+
+  it('should limit how many requests run at once, starting them in order', async () => {
+    const tracker = createRequestTracker({ concurrency: 2 });
+    const started = [];
+    const work = [deferred(), deferred(), deferred(), deferred()];
+
+    const results = work.map((item, index) => tracker.run(index, () => {
+      started.push(index);
+      return item.promise.then(() => index);
+    }));
+    await flush();
+
+    expect(started).toEqual([0, 1]);
+    expect(tracker.size).toBe(4);
+
+    work[1].finish();
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    work.forEach(item => item.finish());
+    await expect(Promise.all(results)).resolves.toEqual([0, 1, 2, 3]);
+    expect(tracker.size).toBe(0);
+  });
+
+  it('should drop cancelled requests that haven\'t started', async () => {
+    const tracker = createRequestTracker({ concurrency: 1 });
+    const first = deferred();
+    const second = jest.fn();
+
+    const running = tracker.run('first', () => first.promise);
+    const queued = tracker.run('second', second);
+
+    expect(tracker.cancel('second')).toBe(true);
+    first.finish('first result');
+
+    await expect(running).resolves.toBe('first result');
+    await expect(queued).resolves.toBeNull();
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  it('should let cancelled requests that have started finish but discard their result', async () => {
+    const tracker = createRequestTracker();
+    const work = deferred();
+    let finished = false;
+
+    const result = tracker.run('create', () => work.promise.then(() => {
+      finished = true;
+      return 'created';
+    }));
+    await flush();
+
+    expect(tracker.cancel('create')).toBe(true);
+    expect(tracker.cancel('unknown')).toBe(false);
+
+    work.finish();
+    await expect(result).resolves.toBeNull();
+    expect(finished).toBe(true);
+  });
+
+  it('should keep going after a request fails', async () => {
+    const tracker = createRequestTracker({ concurrency: 1 });
+
+    await expect(tracker.run('a', async () => { throw new Error('Boom'); })).rejects.toThrow('Boom');
+    await expect(tracker.run('b', async () => 'ok')).resolves.toBe('ok');
+  });
+
+  it('should wait for requests to finish when draining', async () => {
+    const tracker = createRequestTracker();
+    const work = deferred();
+    tracker.run(null, () => work.promise);
+
+    let drained = null;
+    const draining = tracker.drain(5000).then((result) => {
+      drained = result;
+    });
+    await flush();
+    expect(drained).toBeNull();
+
+    work.finish();
+    await draining;
+    expect(drained).toBe(true);
+    await expect(tracker.drain()).resolves.toBe(true);
+  });
+
+  it('should refuse a key that is already in progress', async () => {
+    const tracker = createRequestTracker();
+    const work = deferred();
+    const first = tracker.run('a', () => work.promise);
+
+    expect(tracker.has('a')).toBe(true);
+    await expect(tracker.run('a', async () => 'again')).rejects.toThrow('Request a is already in progress');
+    expect(tracker.size).toBe(1);
+
+    work.finish('first');
+    await expect(first).resolves.toBe('first');
+    expect(tracker.has('a')).toBe(false);
+  });
+
+  it('should give up draining after the timeout', async () => {
+    const tracker = createRequestTracker();
+    const work = deferred();
+    tracker.run('slow', () => work.promise);
+
+    await expect(tracker.drain(10)).resolves.toBe(false);
+    expect(tracker.size).toBe(1);
+
+    work.finish();
+  });
+});